@@ -23,6 +23,12 @@ CREATE TABLE IF NOT EXISTS users (
     stripe_customer_id VARCHAR(255),
     stripe_subscription_id VARCHAR(255),
     payment_terms INTEGER DEFAULT 30,
+    early_discount_rate DECIMAL(5, 2) DEFAULT 0 CHECK (early_discount_rate >= 0 AND early_discount_rate < 100),
+    early_discount_days INTEGER DEFAULT 0 CHECK (early_discount_days >= 0),
+    default_currency CHAR(3) DEFAULT 'USD',
+    vat_id VARCHAR(20),
+    country CHAR(2),
+    vat_exemption_reason TEXT,
     is_active BOOLEAN DEFAULT true,
     email_verified BOOLEAN DEFAULT false,
     last_login_at TIMESTAMP WITH TIME ZONE,
@@ -42,12 +48,88 @@ CREATE TABLE IF NOT EXISTS clients (
     phone VARCHAR(20),
     address TEXT,
     notes TEXT,
+    reminders_enabled BOOLEAN DEFAULT true,
+    currency CHAR(3),
+    locale VARCHAR(10),
+    vat_id VARCHAR(20),
+    country CHAR(2),
+    facturx_enabled BOOLEAN DEFAULT false,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, email)
 );
 
+-- =====================================================
+-- TAX RATES TABLE (Named taxes applied per line item)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(50) NOT NULL,
+    rate DECIMAL(6, 3) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+    is_compound BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- CATALOG ITEMS TABLE (Products and services for line items)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS catalog_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(200) NOT NULL,
+    description TEXT,
+    unit VARCHAR(10) NOT NULL DEFAULT 'piece' CHECK (unit IN ('hour', 'day', 'piece')),
+    default_price DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    tax_rate_ids UUID[] DEFAULT '{}',
+    sku VARCHAR(64),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- RECURRING PROFILES TABLE (Invoice templates on a schedule)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS recurring_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+    name VARCHAR(100),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'quarterly', 'yearly', 'custom')),
+    interval_days INTEGER CHECK (interval_days > 0),
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_run_date DATE NOT NULL,
+    occurrences INTEGER NOT NULL DEFAULT 0,
+    due_in_days INTEGER DEFAULT 30,
+    currency CHAR(3),
+    tax_rate DECIMAL(5, 2) DEFAULT 0,
+    discount_amount DECIMAL(12, 2) DEFAULT 0,
+    notes TEXT,
+    terms TEXT,
+    auto_send BOOLEAN DEFAULT false,
+    is_active BOOLEAN DEFAULT true,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (frequency <> 'custom' OR interval_days IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS recurring_profile_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    profile_id UUID NOT NULL REFERENCES recurring_profiles(id) ON DELETE CASCADE,
+    description VARCHAR(200) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(12, 2) NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- =====================================================
 -- INVOICES TABLE
 -- =====================================================
@@ -56,23 +138,38 @@ CREATE TABLE IF NOT EXISTS invoices (
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
     invoice_number VARCHAR(50) NOT NULL,
-    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'pending', 'paid', 'overdue', 'cancelled')),
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled', 'void')),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
     issue_date DATE DEFAULT CURRENT_DATE,
     due_date DATE NOT NULL,
     subtotal DECIMAL(12, 2) DEFAULT 0,
     tax_rate DECIMAL(5, 2) DEFAULT 0,
     tax_amount DECIMAL(12, 2) DEFAULT 0,
+    tax_breakdown JSONB DEFAULT '[]',
+    prices_include_tax BOOLEAN DEFAULT false,
     discount_amount DECIMAL(12, 2) DEFAULT 0,
+    late_fee_amount DECIMAL(12, 2) DEFAULT 0,
     total DECIMAL(12, 2) DEFAULT 0,
+    -- Early-payment discount terms ("2/10 net 30" = 2% off if paid within 10 days of issue)
+    early_discount_rate DECIMAL(5, 2) DEFAULT 0 CHECK (early_discount_rate >= 0 AND early_discount_rate < 100),
+    early_discount_days INTEGER DEFAULT 0 CHECK (early_discount_days >= 0),
+    -- Discount the client earned by settling within the window
+    early_discount_amount DECIMAL(12, 2) DEFAULT 0,
     notes TEXT,
     terms TEXT,
     pdf_url TEXT,
     paid_at TIMESTAMP WITH TIME ZONE,
-    paid_amount DECIMAL(12, 2),
+    paid_amount DECIMAL(12, 2) DEFAULT 0,
+    credited_amount DECIMAL(12, 2) DEFAULT 0,
+    balance_due DECIMAL(12, 2) GENERATED ALWAYS AS (total - COALESCE(paid_amount, 0) - COALESCE(credited_amount, 0) - COALESCE(early_discount_amount, 0)) STORED,
     payment_method VARCHAR(50),
     stripe_payment_intent_id VARCHAR(255),
     reminder_sent_at TIMESTAMP WITH TIME ZONE,
     reminder_count INTEGER DEFAULT 0,
+    -- Voided invoices keep their number and history but count towards no totals
+    voided_at TIMESTAMP WITH TIME ZONE,
+    void_reason TEXT,
+    recurring_profile_id UUID REFERENCES recurring_profiles(id) ON DELETE SET NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(user_id, invoice_number)
@@ -88,6 +185,121 @@ CREATE TABLE IF NOT EXISTS invoice_items (
     quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
     unit_price DECIMAL(12, 2) NOT NULL,
     amount DECIMAL(12, 2) NOT NULL,
+    net_amount DECIMAL(12, 2),
+    tax_amount DECIMAL(12, 2) DEFAULT 0,
+    taxes JSONB DEFAULT '[]',
+    catalog_item_id UUID REFERENCES catalog_items(id) ON DELETE SET NULL,
+    unit VARCHAR(10),
+    sku VARCHAR(64),
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- INVOICE LATE FEES TABLE (Fees and interest added to overdue invoices)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoice_late_fees (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    period INTEGER NOT NULL DEFAULT 1 CHECK (period > 0),
+    fee_type VARCHAR(20) NOT NULL CHECK (fee_type IN ('flat', 'percentage', 'monthly_interest')),
+    rate DECIMAL(12, 2),
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    description VARCHAR(200) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(invoice_id, period)
+);
+
+-- =====================================================
+-- INVOICE REVISIONS TABLE (Immutable snapshots of each version)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoice_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('created', 'updated', 'sent', 'status_changed')),
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(invoice_id, revision_number)
+);
+
+-- =====================================================
+-- CREDIT NOTES TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE RESTRICT,
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+    credit_note_number VARCHAR(50) NOT NULL,
+    status VARCHAR(20) DEFAULT 'issued' CHECK (status IN ('issued', 'void')),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    issue_date DATE DEFAULT CURRENT_DATE,
+    reason TEXT,
+    subtotal DECIMAL(12, 2) DEFAULT 0,
+    tax_rate DECIMAL(5, 2) DEFAULT 0,
+    tax_amount DECIMAL(12, 2) DEFAULT 0,
+    tax_breakdown JSONB DEFAULT '[]',
+    prices_include_tax BOOLEAN DEFAULT false,
+    total DECIMAL(12, 2) DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, credit_note_number)
+);
+
+CREATE TABLE IF NOT EXISTS credit_note_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credit_note_id UUID NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+    description VARCHAR(200) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(12, 2) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
+    net_amount DECIMAL(12, 2),
+    tax_amount DECIMAL(12, 2) DEFAULT 0,
+    taxes JSONB DEFAULT '[]',
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- ESTIMATES TABLE (Quotes)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS estimates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id UUID NOT NULL REFERENCES clients(id) ON DELETE RESTRICT,
+    estimate_number VARCHAR(50) NOT NULL,
+    status VARCHAR(20) DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'accepted', 'declined', 'expired')),
+    currency CHAR(3) NOT NULL DEFAULT 'USD',
+    issue_date DATE DEFAULT CURRENT_DATE,
+    expiry_date DATE NOT NULL,
+    subtotal DECIMAL(12, 2) DEFAULT 0,
+    tax_rate DECIMAL(5, 2) DEFAULT 0,
+    tax_amount DECIMAL(12, 2) DEFAULT 0,
+    discount_amount DECIMAL(12, 2) DEFAULT 0,
+    total DECIMAL(12, 2) DEFAULT 0,
+    notes TEXT,
+    terms TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    accepted_at TIMESTAMP WITH TIME ZONE,
+    declined_at TIMESTAMP WITH TIME ZONE,
+    decline_reason TEXT,
+    converted_invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, estimate_number)
+);
+
+CREATE TABLE IF NOT EXISTS estimate_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    estimate_id UUID NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+    description VARCHAR(200) NOT NULL,
+    quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+    unit_price DECIMAL(12, 2) NOT NULL,
+    amount DECIMAL(12, 2) NOT NULL,
     sort_order INTEGER DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -104,6 +316,23 @@ CREATE TABLE IF NOT EXISTS payments (
     stripe_payment_id VARCHAR(255),
     status VARCHAR(20) DEFAULT 'completed' CHECK (status IN ('pending', 'completed', 'failed', 'refunded')),
     notes TEXT,
+    refunded_amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    paid_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- REFUNDS TABLE
+-- =====================================================
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(20) NOT NULL CHECK (method IN ('stripe', 'manual')),
+    stripe_refund_id VARCHAR(255),
+    reason TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
@@ -153,20 +382,310 @@ CREATE TABLE IF NOT EXISTS refresh_tokens (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- =====================================================
+-- INVOICE SHARE LINKS TABLE (Public client access)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoice_share_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    invoice_id UUID REFERENCES invoices(id) ON DELETE CASCADE,
+    estimate_id UUID REFERENCES estimates(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) UNIQUE NOT NULL,
+    purpose VARCHAR(20) DEFAULT 'share' CHECK (purpose IN ('share', 'reminder')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    is_revoked BOOLEAN DEFAULT false,
+    view_count INTEGER DEFAULT 0,
+    last_viewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((invoice_id IS NULL) <> (estimate_id IS NULL))
+);
+
+-- =====================================================
+-- REMINDER SETTINGS TABLE (Automated payment reminders)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS reminder_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    is_enabled BOOLEAN DEFAULT false,
+    days_before_due INTEGER[] DEFAULT '{3}',
+    on_due_date BOOLEAN DEFAULT true,
+    repeat_every_days INTEGER DEFAULT 7 CHECK (repeat_every_days >= 0),
+    max_reminders INTEGER DEFAULT 5 CHECK (max_reminders > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- INVOICE BRANDING TABLE (Template and branding per account; the logo is users.logo_url)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoice_branding (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    template VARCHAR(20) DEFAULT 'classic' CHECK (template IN ('classic', 'modern', 'minimal')),
+    accent_color CHAR(7) DEFAULT '#667eea' CHECK (accent_color ~ '^#[0-9a-fA-F]{6}$'),
+    font VARCHAR(20) DEFAULT 'helvetica' CHECK (font IN ('helvetica', 'times', 'courier')),
+    footer_text VARCHAR(200),
+    hidden_fields TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Logos used by invoice revisions, stored once per image and referenced from snapshots by hash
+CREATE TABLE IF NOT EXISTS branding_logos (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    hash CHAR(64) NOT NULL,
+    data_url TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, hash)
+);
+
+-- =====================================================
+-- LATE FEE POLICIES TABLE (Account default and per-client overrides)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS late_fee_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id UUID REFERENCES clients(id) ON DELETE CASCADE,
+    is_enabled BOOLEAN DEFAULT true,
+    fee_type VARCHAR(20) NOT NULL DEFAULT 'percentage' CHECK (fee_type IN ('flat', 'percentage', 'monthly_interest')),
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0 CHECK (amount >= 0),
+    grace_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_days BETWEEN 0 AND 365),
+    max_periods INTEGER CHECK (max_periods > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- NUMBER SEQUENCES TABLE (Per-account document numbering)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS number_sequences (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('invoice', 'estimate', 'credit_note')),
+    pattern VARCHAR(50) NOT NULL DEFAULT '{PREFIX}-{YYYY}-{NUMBER}',
+    prefix VARCHAR(20) NOT NULL DEFAULT '',
+    padding INTEGER NOT NULL DEFAULT 4 CHECK (padding BETWEEN 1 AND 10),
+    start_number INTEGER NOT NULL DEFAULT 1 CHECK (start_number > 0),
+    reset_yearly BOOLEAN NOT NULL DEFAULT false,
+    next_number INTEGER NOT NULL DEFAULT 1,
+    current_year INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, document_type)
+);
+
+-- Counters of earlier years for sequences that reset yearly, so documents
+-- dated back into a finished year continue that year's numbering
+CREATE TABLE IF NOT EXISTS number_sequence_years (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sequence_id UUID NOT NULL REFERENCES number_sequences(id) ON DELETE CASCADE,
+    year INTEGER NOT NULL,
+    next_number INTEGER NOT NULL,
+    UNIQUE(sequence_id, year)
+);
+
+-- =====================================================
+-- BULK JOBS TABLE (Background bulk invoice operations)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS bulk_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('send', 'remind', 'mark_paid', 'cancel', 'void', 'delete', 'pdf')),
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    invoice_ids UUID[] NOT NULL,
+    options JSONB DEFAULT '{}',
+    total INTEGER NOT NULL,
+    processed INTEGER NOT NULL DEFAULT 0,
+    succeeded INTEGER NOT NULL DEFAULT 0,
+    failed INTEGER NOT NULL DEFAULT 0,
+    results JSONB DEFAULT '[]',
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- PDFs made by background jobs, kept out of the results so progress updates stay small
+CREATE TABLE IF NOT EXISTS bulk_job_files (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES bulk_jobs(id) ON DELETE CASCADE,
+    invoice_id UUID NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(job_id, invoice_id)
+);
+
+-- =====================================================
+-- INVOICE FILTER PRESETS TABLE (Saved invoice list views)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS invoice_filter_presets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, name)
+);
+
+-- =====================================================
+-- UPGRADES (Databases created by an earlier version of this file)
+-- =====================================================
+-- CREATE TABLE IF NOT EXISTS leaves existing tables alone, so columns and
+-- constraints added since are applied here as well. Everything below the
+-- tables relies on them, so this runs before the indexes and functions.
+
+-- Reminder links are replaced by each new reminder
+ALTER TABLE invoice_share_links ADD COLUMN IF NOT EXISTS purpose VARCHAR(20) DEFAULT 'share' CHECK (purpose IN ('share', 'reminder'));
+
+-- Clients can opt out of payment reminders
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS reminders_enabled BOOLEAN DEFAULT true;
+
+
+-- Invoices generated by a recurring profile
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS recurring_profile_id UUID REFERENCES recurring_profiles(id) ON DELETE SET NULL;
+UPDATE recurring_profiles SET occurrences = 0 WHERE occurrences IS NULL;
+ALTER TABLE recurring_profiles ALTER COLUMN occurrences SET NOT NULL;
+
+
+-- Share links for estimates: a link belongs to exactly one invoice or estimate
+ALTER TABLE invoice_share_links ADD COLUMN IF NOT EXISTS estimate_id UUID REFERENCES estimates(id) ON DELETE CASCADE;
+ALTER TABLE invoice_share_links ALTER COLUMN invoice_id DROP NOT NULL;
+ALTER TABLE invoice_share_links DROP CONSTRAINT IF EXISTS invoice_share_links_check;
+ALTER TABLE invoice_share_links ADD CONSTRAINT invoice_share_links_check CHECK ((invoice_id IS NULL) <> (estimate_id IS NULL));
+ALTER TABLE estimates ADD COLUMN IF NOT EXISTS converted_at TIMESTAMP WITH TIME ZONE;
+
+
+-- Partial payments and the running balance
+ALTER TABLE invoices ALTER COLUMN paid_amount SET DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS balance_due DECIMAL(12, 2) GENERATED ALWAYS AS (total - COALESCE(paid_amount, 0)) STORED;
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check CHECK (status IN ('draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled'));
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+
+-- Credit notes and refunds; the balance due now also subtracts credits
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS credited_amount DECIMAL(12, 2) DEFAULT 0;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS refunded_amount DECIMAL(12, 2) NOT NULL DEFAULT 0;
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS tax_breakdown JSONB DEFAULT '[]';
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN DEFAULT false;
+ALTER TABLE credit_note_items ADD COLUMN IF NOT EXISTS net_amount DECIMAL(12, 2);
+ALTER TABLE credit_note_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(12, 2) DEFAULT 0;
+ALTER TABLE credit_note_items ADD COLUMN IF NOT EXISTS taxes JSONB DEFAULT '[]';
+
+
+-- Per-document currencies
+ALTER TABLE users ADD COLUMN IF NOT EXISTS default_currency CHAR(3) DEFAULT 'USD';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS currency CHAR(3);
+ALTER TABLE recurring_profiles ADD COLUMN IF NOT EXISTS currency CHAR(3);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE credit_notes ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE estimates ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+
+
+-- Named per-line taxes
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS tax_breakdown JSONB DEFAULT '[]';
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN DEFAULT false;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS net_amount DECIMAL(12, 2);
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(12, 2) DEFAULT 0;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS taxes JSONB DEFAULT '[]';
+
+
+-- Line items filled from the catalog
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS catalog_item_id UUID REFERENCES catalog_items(id) ON DELETE SET NULL;
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS unit VARCHAR(10);
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS sku VARCHAR(64);
+
+
+-- Late fees added to overdue invoices
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS late_fee_amount DECIMAL(12, 2) DEFAULT 0;
+
+
+-- Early-payment discount terms
+ALTER TABLE users ADD COLUMN IF NOT EXISTS early_discount_rate DECIMAL(5, 2) DEFAULT 0 CHECK (early_discount_rate >= 0 AND early_discount_rate < 100);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS early_discount_days INTEGER DEFAULT 0 CHECK (early_discount_days >= 0);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS early_discount_rate DECIMAL(5, 2) DEFAULT 0 CHECK (early_discount_rate >= 0 AND early_discount_rate < 100);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS early_discount_days INTEGER DEFAULT 0 CHECK (early_discount_days >= 0);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS early_discount_amount DECIMAL(12, 2) DEFAULT 0;
+
+-- A generated column's formula can't be altered, so an outdated balance_due
+-- (without credits or the early-payment discount) is recreated
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'invoices' AND column_name = 'balance_due'
+          AND generation_expression LIKE '%early_discount_amount%'
+    ) THEN
+        ALTER TABLE invoices DROP COLUMN IF EXISTS balance_due;
+        ALTER TABLE invoices ADD COLUMN balance_due DECIMAL(12, 2) GENERATED ALWAYS AS (total - COALESCE(paid_amount, 0) - COALESCE(credited_amount, 0) - COALESCE(early_discount_amount, 0)) STORED;
+    END IF;
+END $$;
+
+
+-- Void invoices and void bulk jobs
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS void_reason TEXT;
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check CHECK (status IN ('draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled', 'void'));
+ALTER TABLE bulk_jobs DROP CONSTRAINT IF EXISTS bulk_jobs_action_check;
+ALTER TABLE bulk_jobs ADD CONSTRAINT bulk_jobs_action_check CHECK (action IN ('send', 'remind', 'mark_paid', 'cancel', 'void', 'delete', 'pdf'));
+
+
+-- Client document locale
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS locale VARCHAR(10);
+
+
+-- Factur-X seller and buyer details
+ALTER TABLE users ADD COLUMN IF NOT EXISTS vat_id VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS country CHAR(2);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS vat_exemption_reason TEXT;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS vat_id VARCHAR(20);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS country CHAR(2);
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS facturx_enabled BOOLEAN DEFAULT false;
+
 -- =====================================================
 -- INDEXES FOR PERFORMANCE
 -- =====================================================
 CREATE INDEX IF NOT EXISTS idx_clients_user_id ON clients(user_id);
+CREATE INDEX IF NOT EXISTS idx_tax_rates_user_id ON tax_rates(user_id);
+CREATE INDEX IF NOT EXISTS idx_catalog_items_user_id ON catalog_items(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_catalog_items_sku ON catalog_items(user_id, sku) WHERE sku IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoice_items_catalog_item_id ON invoice_items(catalog_item_id) WHERE catalog_item_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id);
 CREATE INDEX IF NOT EXISTS idx_invoices_client_id ON invoices(client_id);
 CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
 CREATE INDEX IF NOT EXISTS idx_invoices_due_date ON invoices(due_date);
+CREATE INDEX IF NOT EXISTS idx_invoices_issue_date ON invoices(user_id, issue_date);
 CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_revisions_invoice_id ON invoice_revisions(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_late_fees_invoice_id ON invoice_late_fees(invoice_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_late_fee_policies_account ON late_fee_policies(user_id) WHERE client_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_late_fee_policies_client ON late_fee_policies(user_id, client_id) WHERE client_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments(invoice_id);
 CREATE INDEX IF NOT EXISTS idx_payments_user_id ON payments(user_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_invoice_id ON refunds(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_user_id ON credit_notes(user_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_invoice_id ON credit_notes(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_credit_note_items_credit_note_id ON credit_note_items(credit_note_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_stripe_payment_id ON payments(stripe_payment_id) WHERE stripe_payment_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_audit_logs_user_id ON audit_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
 CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_share_links_invoice_id ON invoice_share_links(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_share_links_estimate_id ON invoice_share_links(estimate_id);
+CREATE INDEX IF NOT EXISTS idx_estimates_user_id ON estimates(user_id);
+CREATE INDEX IF NOT EXISTS idx_estimates_status ON estimates(status);
+CREATE INDEX IF NOT EXISTS idx_estimate_items_estimate_id ON estimate_items(estimate_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_recurring_profile_id ON invoices(recurring_profile_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_profiles_user_id ON recurring_profiles(user_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_profiles_next_run_date ON recurring_profiles(next_run_date) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_recurring_profile_items_profile_id ON recurring_profile_items(profile_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_user_id ON bulk_jobs(user_id, created_at DESC);
 
 -- =====================================================
 -- UPDATED_AT TRIGGER FUNCTION
@@ -179,7 +698,551 @@ BEGIN
 END;
 $$ language 'plpgsql';
 
+-- =====================================================
+-- DOCUMENT NUMBERING FUNCTION
+-- =====================================================
+-- Highest number an account has used for a document type: the digits at the
+-- end of its document numbers, whatever pattern made them
+CREATE OR REPLACE FUNCTION highest_document_number(p_user_id UUID, p_document_type TEXT)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(CASE p_document_type
+        WHEN 'invoice' THEN (SELECT MAX(substring(invoice_number FROM '(\d{1,9})$')::INTEGER) FROM invoices WHERE user_id = p_user_id)
+        WHEN 'estimate' THEN (SELECT MAX(substring(estimate_number FROM '(\d{1,9})$')::INTEGER) FROM estimates WHERE user_id = p_user_id)
+        WHEN 'credit_note' THEN (SELECT MAX(substring(credit_note_number FROM '(\d{1,9})$')::INTEGER) FROM credit_notes WHERE user_id = p_user_id)
+    END, 0);
+$$ language 'sql' STABLE;
+
+-- Claims the next number in an account's sequence. The sequence row is locked
+-- for the rest of the transaction, so concurrent calls queue up instead of
+-- handing out the same number. A new sequence continues after the highest
+-- number the account already has, so documents deleted before the upgrade
+-- can't lead to a reuse.
+CREATE OR REPLACE FUNCTION next_document_number(p_user_id UUID, p_document_type TEXT, p_year INTEGER)
+RETURNS JSONB AS $$
+DECLARE
+    v_sequence number_sequences%ROWTYPE;
+    v_number INTEGER;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM number_sequences WHERE user_id = p_user_id AND document_type = p_document_type) THEN
+        INSERT INTO number_sequences (user_id, document_type, prefix, next_number, current_year)
+        VALUES (
+            p_user_id,
+            p_document_type,
+            CASE p_document_type WHEN 'invoice' THEN 'INV' WHEN 'estimate' THEN 'EST' ELSE 'CN' END,
+            highest_document_number(p_user_id, p_document_type) + 1,
+            p_year
+        )
+        ON CONFLICT (user_id, document_type) DO NOTHING;
+    END IF;
+
+    SELECT * INTO v_sequence
+    FROM number_sequences
+    WHERE user_id = p_user_id AND document_type = p_document_type
+    FOR UPDATE;
+
+    IF v_sequence.reset_yearly AND p_year < v_sequence.current_year THEN
+        -- A document dated back into an earlier year takes that year's own counter
+        INSERT INTO number_sequence_years (sequence_id, year, next_number)
+        VALUES (v_sequence.id, p_year, v_sequence.start_number + 1)
+        ON CONFLICT (sequence_id, year) DO UPDATE
+        SET next_number = GREATEST(number_sequence_years.next_number, v_sequence.start_number) + 1
+        RETURNING next_number - 1 INTO v_number;
+    ELSE
+        IF v_sequence.reset_yearly AND (v_sequence.current_year IS NULL OR p_year > v_sequence.current_year) THEN
+            -- A new year: keep the finished year's counter and restart
+            IF v_sequence.current_year IS NOT NULL THEN
+                INSERT INTO number_sequence_years (sequence_id, year, next_number)
+                VALUES (v_sequence.id, v_sequence.current_year, v_sequence.next_number)
+                ON CONFLICT (sequence_id, year) DO UPDATE
+                SET next_number = GREATEST(number_sequence_years.next_number, EXCLUDED.next_number);
+            END IF;
+
+            v_number := v_sequence.start_number;
+        ELSE
+            v_number := GREATEST(v_sequence.next_number, v_sequence.start_number);
+        END IF;
+
+        UPDATE number_sequences
+        SET next_number = v_number + 1,
+            current_year = GREATEST(v_sequence.current_year, p_year)
+        WHERE id = v_sequence.id;
+    END IF;
+
+    RETURN jsonb_build_object(
+        'number', v_number,
+        'pattern', v_sequence.pattern,
+        'prefix', v_sequence.prefix,
+        'padding', v_sequence.padding
+    );
+END;
+$$ language 'plpgsql';
+
+-- Formats a number from next_document_number with its sequence's pattern,
+-- the same way as formatDocumentNumber in services/numberingService.js
+CREATE OR REPLACE FUNCTION format_document_number(p_sequence JSONB, p_year INTEGER)
+RETURNS TEXT AS $$
+    SELECT replace(replace(replace(replace(p_sequence->>'pattern',
+        '{PREFIX}', COALESCE(p_sequence->>'prefix', '')),
+        '{YYYY}', p_year::TEXT),
+        '{YY}', right(p_year::TEXT, 2)),
+        '{NUMBER}', CASE
+            WHEN length(p_sequence->>'number') >= (p_sequence->>'padding')::INTEGER THEN p_sequence->>'number'
+            ELSE lpad(p_sequence->>'number', (p_sequence->>'padding')::INTEGER, '0')
+        END);
+$$ language 'sql' IMMUTABLE;
+
+-- =====================================================
+-- REMINDER FUNCTION
+-- =====================================================
+-- Record a reminder sent for an invoice, counting it in place so a scheduled
+-- and a manual reminder sent at the same time are both counted
+CREATE OR REPLACE FUNCTION record_invoice_reminder(p_invoice_id UUID)
+RETURNS INTEGER AS $$
+    UPDATE invoices
+    SET reminder_sent_at = NOW(),
+        reminder_count = COALESCE(reminder_count, 0) + 1
+    WHERE id = p_invoice_id
+    RETURNING reminder_count;
+$$ language 'sql';
+
+-- =====================================================
+-- BULK JOB PROGRESS FUNCTION
+-- =====================================================
+-- Add one invoice's result to a bulk job and count it, so each progress
+-- update only sends that result instead of every result so far
+CREATE OR REPLACE FUNCTION append_bulk_job_result(p_job_id UUID, p_result JSONB)
+RETURNS VOID AS $$
+    UPDATE bulk_jobs
+    SET results = COALESCE(results, '[]'::JSONB) || jsonb_build_array(p_result),
+        processed = processed + 1,
+        succeeded = succeeded + CASE WHEN (p_result->>'success')::BOOLEAN THEN 1 ELSE 0 END,
+        failed = failed + CASE WHEN (p_result->>'success')::BOOLEAN THEN 0 ELSE 1 END
+    WHERE id = p_job_id;
+$$ language 'sql';
+
+-- =====================================================
+-- INVOICE WRITE FUNCTIONS
+-- =====================================================
+-- Invoices and their items are only written through these functions, so each
+-- create or update runs in one transaction: it either fully applies or leaves
+-- nothing behind.
+
+-- Recompute an invoice's totals from its stored line items. Lines carry their
+-- own net and tax amounts (named taxes); otherwise the flat tax_rate applies
+-- to the subtotal, or is backed out of tax-inclusive prices.
+CREATE OR REPLACE FUNCTION recalculate_invoice_totals(p_invoice_id UUID)
+RETURNS invoices AS $$
+DECLARE
+    v_invoice invoices%ROWTYPE;
+    v_gross DECIMAL(12, 2);
+    v_subtotal DECIMAL(12, 2);
+    v_tax DECIMAL(12, 2);
+BEGIN
+    SELECT * INTO v_invoice FROM invoices WHERE id = p_invoice_id;
+
+    SELECT
+        COALESCE(SUM(amount), 0),
+        COALESCE(SUM(COALESCE(net_amount, amount)), 0),
+        COALESCE(SUM(COALESCE(tax_amount, 0)), 0)
+    INTO v_gross, v_subtotal, v_tax
+    FROM invoice_items
+    WHERE invoice_id = p_invoice_id;
+
+    IF v_tax = 0 AND COALESCE(v_invoice.tax_rate, 0) > 0 THEN
+        IF v_invoice.prices_include_tax THEN
+            v_subtotal := ROUND(v_gross / (1 + v_invoice.tax_rate / 100), 2);
+            v_tax := v_gross - v_subtotal;
+        ELSE
+            v_tax := ROUND(v_subtotal * v_invoice.tax_rate / 100, 2);
+        END IF;
+    END IF;
+
+    UPDATE invoices
+    SET subtotal = v_subtotal,
+        tax_amount = v_tax,
+        total = v_subtotal + v_tax - COALESCE(discount_amount, 0) + COALESCE(late_fee_amount, 0)
+    WHERE id = p_invoice_id
+    RETURNING * INTO v_invoice;
+
+    -- Payments and credits already applied can't end up exceeding the invoice
+    IF v_invoice.total < COALESCE(v_invoice.paid_amount, 0) + COALESCE(v_invoice.credited_amount, 0) THEN
+        RAISE EXCEPTION 'INVOICE_TOTAL_BELOW_SETTLED';
+    END IF;
+
+    RETURN v_invoice;
+END;
+$$ language 'plpgsql';
+
+-- Snapshot an invoice with its items, client and sender as they are now.
+-- Saving without changes doesn't add a revision; sends are always recorded.
+CREATE OR REPLACE FUNCTION record_invoice_revision(p_invoice_id UUID, p_event TEXT)
+RETURNS invoice_revisions AS $$
+DECLARE
+    v_snapshot JSONB;
+    v_latest invoice_revisions%ROWTYPE;
+    v_revision invoice_revisions%ROWTYPE;
+BEGIN
+    -- Revisions of one invoice are numbered one at a time
+    PERFORM 1 FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    -- The logo is kept once and the snapshot only holds its hash
+    INSERT INTO branding_logos (user_id, hash, data_url)
+    SELECT u.id, encode(sha256(convert_to(u.logo_url, 'UTF8')), 'hex'), u.logo_url
+    FROM invoices i
+    JOIN users u ON u.id = i.user_id
+    WHERE i.id = p_invoice_id AND u.logo_url IS NOT NULL
+    ON CONFLICT (user_id, hash) DO NOTHING;
+
+    SELECT (to_jsonb(i) - 'updated_at' - 'pdf_url' - 'reminder_sent_at' - 'reminder_count' - 'stripe_payment_intent_id')
+        || jsonb_build_object(
+            'items', COALESCE((
+                SELECT jsonb_agg(to_jsonb(item) - 'id' - 'invoice_id' - 'created_at' ORDER BY item.sort_order)
+                FROM invoice_items item
+                WHERE item.invoice_id = i.id
+            ), '[]'::JSONB),
+            'late_fees', COALESCE((
+                SELECT jsonb_agg(jsonb_build_object(
+                    'description', fee.description, 'fee_type', fee.fee_type, 'rate', fee.rate, 'period', fee.period,
+                    'amount', fee.amount, 'applied_at', fee.applied_at
+                ) ORDER BY fee.period)
+                FROM invoice_late_fees fee
+                WHERE fee.invoice_id = i.id
+            ), '[]'::JSONB),
+            'client', (
+                SELECT jsonb_build_object('name', c.name, 'email', c.email, 'company', c.company, 'address', c.address, 'phone', c.phone, 'locale', c.locale)
+                FROM clients c
+                WHERE c.id = i.client_id
+            ),
+            'sender', (
+                SELECT jsonb_build_object('name', u.name, 'email', u.email, 'business_name', u.business_name, 'address', u.address, 'phone', u.phone)
+                FROM users u
+                WHERE u.id = i.user_id
+            ),
+            -- Settings left unset fall back to the template defaults
+            'branding', (
+                SELECT jsonb_strip_nulls(jsonb_build_object(
+                    'template', b.template, 'accent_color', b.accent_color, 'font', b.font,
+                    'footer_text', b.footer_text, 'hidden_fields', b.hidden_fields,
+                    'logo_hash', encode(sha256(convert_to(u.logo_url, 'UTF8')), 'hex')
+                ))
+                FROM users u
+                LEFT JOIN invoice_branding b ON b.user_id = u.id
+                WHERE u.id = i.user_id
+            )
+        )
+    INTO v_snapshot
+    FROM invoices i
+    WHERE i.id = p_invoice_id;
+
+    SELECT * INTO v_latest
+    FROM invoice_revisions
+    WHERE invoice_id = p_invoice_id
+    ORDER BY revision_number DESC
+    LIMIT 1;
+
+    IF FOUND AND p_event <> 'sent' AND v_latest.snapshot = v_snapshot THEN
+        RETURN v_latest;
+    END IF;
+
+    INSERT INTO invoice_revisions (invoice_id, user_id, revision_number, event, snapshot)
+    VALUES (p_invoice_id, (v_snapshot->>'user_id')::UUID, COALESCE(v_latest.revision_number, 0) + 1, p_event, v_snapshot)
+    RETURNING * INTO v_revision;
+
+    RETURN v_revision;
+END;
+$$ language 'plpgsql';
+
+-- Revisions are a record of the past and are never edited
+CREATE OR REPLACE FUNCTION prevent_revision_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Invoice revisions are immutable';
+END;
+$$ language 'plpgsql';
+
+-- Insert line items (JSON array of invoice_items rows) for an invoice
+CREATE OR REPLACE FUNCTION insert_invoice_items(p_invoice_id UUID, p_items JSONB)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO invoice_items (
+        id, invoice_id, description, quantity, unit_price, amount, net_amount, tax_amount, taxes,
+        catalog_item_id, unit, sku, sort_order
+    )
+    SELECT
+        COALESCE(item.id, uuid_generate_v4()),
+        p_invoice_id,
+        item.description,
+        item.quantity,
+        item.unit_price,
+        item.amount,
+        item.net_amount,
+        COALESCE(item.tax_amount, 0),
+        COALESCE(item.taxes, '[]'),
+        item.catalog_item_id,
+        item.unit,
+        item.sku,
+        COALESCE(item.sort_order, 0)
+    FROM jsonb_populate_recordset(NULL::invoice_items, p_items) AS item;
+END;
+$$ language 'plpgsql';
+
+-- Create an invoice and its items. Without an invoice_number the next one in
+-- the account's sequence is claimed here, so a failed insert doesn't use it up.
+CREATE OR REPLACE FUNCTION create_invoice(p_invoice JSONB, p_items JSONB)
+RETURNS invoices AS $$
+DECLARE
+    v_row invoices%ROWTYPE;
+    v_id UUID;
+    v_year INTEGER;
+BEGIN
+    v_row := jsonb_populate_record(NULL::invoices, p_invoice);
+
+    IF v_row.invoice_number IS NULL THEN
+        v_year := EXTRACT(YEAR FROM COALESCE(v_row.issue_date, CURRENT_DATE))::INTEGER;
+        v_row.invoice_number := format_document_number(next_document_number(v_row.user_id, 'invoice', v_year), v_year);
+    END IF;
+
+    INSERT INTO invoices (
+        id, user_id, client_id, invoice_number, status, currency, issue_date, due_date,
+        tax_rate, tax_breakdown, prices_include_tax, discount_amount, early_discount_rate, early_discount_days,
+        notes, terms, recurring_profile_id
+    )
+    VALUES (
+        COALESCE(v_row.id, uuid_generate_v4()),
+        v_row.user_id,
+        v_row.client_id,
+        v_row.invoice_number,
+        COALESCE(v_row.status, 'draft'),
+        v_row.currency,
+        COALESCE(v_row.issue_date, CURRENT_DATE),
+        v_row.due_date,
+        COALESCE(v_row.tax_rate, 0),
+        COALESCE(v_row.tax_breakdown, '[]'),
+        COALESCE(v_row.prices_include_tax, false),
+        COALESCE(v_row.discount_amount, 0),
+        COALESCE(v_row.early_discount_rate, 0),
+        COALESCE(v_row.early_discount_days, 0),
+        v_row.notes,
+        v_row.terms,
+        v_row.recurring_profile_id
+    )
+    RETURNING id INTO v_id;
+
+    PERFORM insert_invoice_items(v_id, p_items);
+
+    v_row := recalculate_invoice_totals(v_id);
+    PERFORM record_invoice_revision(v_id, 'created');
+
+    RETURN v_row;
+END;
+$$ language 'plpgsql';
+
+-- Update an invoice's fields (only keys present in p_changes) and, when
+-- p_items is not null, replace all of its items
+CREATE OR REPLACE FUNCTION update_invoice(p_invoice_id UUID, p_user_id UUID, p_changes JSONB, p_items JSONB DEFAULT NULL)
+RETURNS invoices AS $$
+DECLARE
+    v_invoice invoices%ROWTYPE;
+BEGIN
+    -- Lock the invoice so concurrent edits and payments apply one at a time
+    SELECT * INTO v_invoice FROM invoices WHERE id = p_invoice_id AND user_id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'INVOICE_NOT_FOUND';
+    END IF;
+
+    -- Paid, void and cancelled invoices are kept as they were
+    IF v_invoice.status IN ('paid', 'void', 'cancelled') THEN
+        RAISE EXCEPTION 'INVOICE_CLOSED';
+    END IF;
+
+    UPDATE invoices SET
+        due_date = CASE WHEN p_changes ? 'due_date' THEN (p_changes->>'due_date')::DATE ELSE due_date END,
+        currency = CASE WHEN p_changes ? 'currency' THEN p_changes->>'currency' ELSE currency END,
+        notes = CASE WHEN p_changes ? 'notes' THEN p_changes->>'notes' ELSE notes END,
+        terms = CASE WHEN p_changes ? 'terms' THEN p_changes->>'terms' ELSE terms END,
+        status = CASE WHEN p_changes ? 'status' THEN p_changes->>'status' ELSE status END,
+        tax_rate = CASE WHEN p_changes ? 'tax_rate' THEN (p_changes->>'tax_rate')::DECIMAL ELSE tax_rate END,
+        tax_breakdown = CASE WHEN p_changes ? 'tax_breakdown' THEN p_changes->'tax_breakdown' ELSE tax_breakdown END,
+        prices_include_tax = CASE WHEN p_changes ? 'prices_include_tax' THEN (p_changes->>'prices_include_tax')::BOOLEAN ELSE prices_include_tax END,
+        discount_amount = CASE WHEN p_changes ? 'discount_amount' THEN (p_changes->>'discount_amount')::DECIMAL ELSE discount_amount END,
+        early_discount_rate = CASE WHEN p_changes ? 'early_discount_rate' THEN (p_changes->>'early_discount_rate')::DECIMAL ELSE early_discount_rate END,
+        early_discount_days = CASE WHEN p_changes ? 'early_discount_days' THEN (p_changes->>'early_discount_days')::INTEGER ELSE early_discount_days END
+    WHERE id = p_invoice_id;
+
+    IF p_items IS NOT NULL THEN
+        DELETE FROM invoice_items WHERE invoice_id = p_invoice_id;
+        PERFORM insert_invoice_items(p_invoice_id, p_items);
+    END IF;
+
+    v_invoice := recalculate_invoice_totals(p_invoice_id);
+    PERFORM record_invoice_revision(p_invoice_id, 'updated');
+
+    RETURN v_invoice;
+END;
+$$ language 'plpgsql';
+
+-- Update an open estimate and replace its items in one transaction
+CREATE OR REPLACE FUNCTION update_estimate(p_estimate_id UUID, p_user_id UUID, p_changes JSONB, p_items JSONB DEFAULT NULL)
+RETURNS estimates AS $$
+DECLARE
+    v_estimate estimates%ROWTYPE;
+BEGIN
+    -- Lock the estimate so an edit can't interleave with a send, accept or conversion
+    SELECT * INTO v_estimate FROM estimates WHERE id = p_estimate_id AND user_id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'ESTIMATE_NOT_FOUND';
+    END IF;
+
+    IF v_estimate.status NOT IN ('draft', 'sent') OR v_estimate.converted_at IS NOT NULL THEN
+        RAISE EXCEPTION 'ESTIMATE_CLOSED';
+    END IF;
+
+    IF p_items IS NOT NULL THEN
+        DELETE FROM estimate_items WHERE estimate_id = p_estimate_id;
+
+        INSERT INTO estimate_items (id, estimate_id, description, quantity, unit_price, amount, sort_order)
+        SELECT COALESCE(item.id, uuid_generate_v4()), p_estimate_id, item.description, item.quantity,
+               item.unit_price, item.amount, COALESCE(item.sort_order, 0)
+        FROM jsonb_populate_recordset(NULL::estimate_items, p_items) AS item;
+    END IF;
+
+    UPDATE estimates SET
+        expiry_date = CASE WHEN p_changes ? 'expiry_date' THEN (p_changes->>'expiry_date')::DATE ELSE expiry_date END,
+        currency = CASE WHEN p_changes ? 'currency' THEN p_changes->>'currency' ELSE currency END,
+        notes = CASE WHEN p_changes ? 'notes' THEN p_changes->>'notes' ELSE notes END,
+        terms = CASE WHEN p_changes ? 'terms' THEN p_changes->>'terms' ELSE terms END,
+        tax_rate = CASE WHEN p_changes ? 'tax_rate' THEN (p_changes->>'tax_rate')::DECIMAL ELSE tax_rate END,
+        discount_amount = CASE WHEN p_changes ? 'discount_amount' THEN (p_changes->>'discount_amount')::DECIMAL ELSE discount_amount END,
+        subtotal = CASE WHEN p_changes ? 'subtotal' THEN (p_changes->>'subtotal')::DECIMAL ELSE subtotal END,
+        tax_amount = CASE WHEN p_changes ? 'tax_amount' THEN (p_changes->>'tax_amount')::DECIMAL ELSE tax_amount END,
+        total = CASE WHEN p_changes ? 'total' THEN (p_changes->>'total')::DECIMAL ELSE total END
+    WHERE id = p_estimate_id
+    RETURNING * INTO v_estimate;
+
+    RETURN v_estimate;
+END;
+$$ language 'plpgsql';
+
+-- =====================================================
+-- LATE FEE FUNCTION
+-- =====================================================
+-- Add one late fee or interest period to an invoice that is still overdue.
+-- Each period is added once (re-runs are no-ops) and the total is recomputed
+-- in the same transaction. Returns NULL when nothing was added.
+CREATE OR REPLACE FUNCTION apply_late_fee(
+    p_invoice_id UUID,
+    p_period INTEGER,
+    p_fee_type TEXT,
+    p_rate DECIMAL,
+    p_amount DECIMAL,
+    p_description TEXT
+)
+RETURNS invoices AS $$
+DECLARE
+    v_invoice invoices%ROWTYPE;
+BEGIN
+    SELECT * INTO v_invoice FROM invoices WHERE id = p_invoice_id FOR UPDATE;
+
+    -- Paid or cancelled since the sweep read it
+    IF NOT FOUND OR v_invoice.status <> 'overdue' THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO invoice_late_fees (invoice_id, user_id, period, fee_type, rate, amount, description)
+    VALUES (p_invoice_id, v_invoice.user_id, p_period, p_fee_type, p_rate, p_amount, p_description)
+    ON CONFLICT (invoice_id, period) DO NOTHING;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE invoices SET late_fee_amount = COALESCE(late_fee_amount, 0) + p_amount WHERE id = p_invoice_id;
+
+    v_invoice := recalculate_invoice_totals(p_invoice_id);
+    PERFORM record_invoice_revision(p_invoice_id, 'updated');
+
+    RETURN v_invoice;
+END;
+$$ language 'plpgsql';
+
+-- =====================================================
+-- INVOICE SEARCH FUNCTION
+-- =====================================================
+-- An account's invoices matching free text (invoice number, notes, line item
+-- descriptions or client name) and/or paid with a payment method. Returns
+-- invoice rows, so the API filters, sorts and pages the result like a table.
+-- A single SQL query, so Postgres inlines it and those filters, the ordering
+-- and the page limit run inside the search instead of after it.
+CREATE OR REPLACE FUNCTION search_invoices(p_user_id UUID, p_search TEXT DEFAULT NULL, p_payment_method TEXT DEFAULT NULL)
+RETURNS SETOF invoices AS $$
+    SELECT i.*
+    FROM invoices i
+    -- % and _ in the search text are matched literally
+    CROSS JOIN (
+        SELECT '%' || replace(replace(replace(COALESCE(p_search, ''), '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern
+    ) search
+    WHERE i.user_id = p_user_id
+      AND (
+          COALESCE(p_search, '') = ''
+          OR i.invoice_number ILIKE search.pattern
+          OR i.notes ILIKE search.pattern
+          OR EXISTS (SELECT 1 FROM invoice_items ii WHERE ii.invoice_id = i.id AND ii.description ILIKE search.pattern)
+          OR EXISTS (SELECT 1 FROM clients c WHERE c.id = i.client_id AND c.name ILIKE search.pattern)
+      )
+      AND (
+          p_payment_method IS NULL
+          OR EXISTS (
+              SELECT 1 FROM payments p
+              WHERE p.invoice_id = i.id AND p.payment_method = p_payment_method AND p.status = 'completed'
+          )
+      );
+$$ language 'sql' STABLE;
+
+-- =====================================================
+-- CATALOG USAGE FUNCTION
+-- =====================================================
+-- How often an account's catalog items have been invoiced, summed in the
+-- database (cancelled and void invoices excluded, revenue without tax).
+-- Returned as one JSON value so no API row limit can cut the totals short.
+CREATE OR REPLACE FUNCTION catalog_usage(p_user_id UUID, p_catalog_item_id UUID DEFAULT NULL)
+RETURNS JSONB AS $$
+    SELECT COALESCE(jsonb_agg(usage), '[]'::JSONB)
+    FROM (
+        SELECT
+            per_currency.catalog_item_id,
+            SUM(per_currency.times_used) AS times_used,
+            SUM(per_currency.quantity) AS quantity,
+            jsonb_object_agg(per_currency.currency, per_currency.revenue) AS revenue,
+            MAX(per_currency.last_used_at) AS last_used_at
+        FROM (
+            SELECT
+                ii.catalog_item_id,
+                i.currency,
+                COUNT(*) AS times_used,
+                SUM(ii.quantity) AS quantity,
+                SUM(COALESCE(ii.net_amount, ii.amount)) AS revenue,
+                MAX(i.issue_date) AS last_used_at
+            FROM invoice_items ii
+            JOIN invoices i ON i.id = ii.invoice_id
+            WHERE i.user_id = p_user_id
+              AND i.status NOT IN ('cancelled', 'void')
+              AND ii.catalog_item_id IS NOT NULL
+              AND (p_catalog_item_id IS NULL OR ii.catalog_item_id = p_catalog_item_id)
+            GROUP BY ii.catalog_item_id, i.currency
+        ) per_currency
+        GROUP BY per_currency.catalog_item_id
+    ) usage;
+$$ language 'sql' STABLE;
+
 -- Apply triggers
+DROP TRIGGER IF EXISTS prevent_invoice_revisions_update ON invoice_revisions;
+CREATE TRIGGER prevent_invoice_revisions_update
+    BEFORE UPDATE ON invoice_revisions
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_revision_update();
+
 DROP TRIGGER IF EXISTS update_users_updated_at ON users;
 CREATE TRIGGER update_users_updated_at
     BEFORE UPDATE ON users
@@ -192,6 +1255,18 @@ CREATE TRIGGER update_clients_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_catalog_items_updated_at ON catalog_items;
+CREATE TRIGGER update_catalog_items_updated_at
+    BEFORE UPDATE ON catalog_items
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_tax_rates_updated_at ON tax_rates;
+CREATE TRIGGER update_tax_rates_updated_at
+    BEFORE UPDATE ON tax_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
 CREATE TRIGGER update_invoices_updated_at
     BEFORE UPDATE ON invoices
@@ -204,17 +1279,128 @@ CREATE TRIGGER update_subscriptions_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_estimates_updated_at ON estimates;
+CREATE TRIGGER update_estimates_updated_at
+    BEFORE UPDATE ON estimates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_credit_notes_updated_at ON credit_notes;
+CREATE TRIGGER update_credit_notes_updated_at
+    BEFORE UPDATE ON credit_notes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_recurring_profiles_updated_at ON recurring_profiles;
+CREATE TRIGGER update_recurring_profiles_updated_at
+    BEFORE UPDATE ON recurring_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_invoice_filter_presets_updated_at ON invoice_filter_presets;
+CREATE TRIGGER update_invoice_filter_presets_updated_at
+    BEFORE UPDATE ON invoice_filter_presets
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_late_fee_policies_updated_at ON late_fee_policies;
+CREATE TRIGGER update_late_fee_policies_updated_at
+    BEFORE UPDATE ON late_fee_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_bulk_jobs_updated_at ON bulk_jobs;
+CREATE TRIGGER update_bulk_jobs_updated_at
+    BEFORE UPDATE ON bulk_jobs
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_number_sequences_updated_at ON number_sequences;
+CREATE TRIGGER update_number_sequences_updated_at
+    BEFORE UPDATE ON number_sequences
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_reminder_settings_updated_at ON reminder_settings;
+CREATE TRIGGER update_reminder_settings_updated_at
+    BEFORE UPDATE ON reminder_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_invoice_branding_updated_at ON invoice_branding;
+CREATE TRIGGER update_invoice_branding_updated_at
+    BEFORE UPDATE ON invoice_branding
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- =====================================================
 -- ROW LEVEL SECURITY (RLS)
 -- =====================================================
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE clients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tax_rates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE catalog_items ENABLE ROW LEVEL SECURITY;
 ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
 ALTER TABLE invoice_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_revisions ENABLE ROW LEVEL SECURITY;
 ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_share_links ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_branding ENABLE ROW LEVEL SECURITY;
+ALTER TABLE branding_logos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE number_sequences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE number_sequence_years ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_job_files ENABLE ROW LEVEL SECURITY;
+ALTER TABLE late_fee_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_late_fees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_filter_presets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recurring_profile_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE estimates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE estimate_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credit_notes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credit_note_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refunds ENABLE ROW LEVEL SECURITY;
 
 -- Users can only see their own data
+DROP POLICY IF EXISTS users_policy ON users;
 CREATE POLICY users_policy ON users FOR ALL USING (id = auth.uid());
+DROP POLICY IF EXISTS clients_policy ON clients;
 CREATE POLICY clients_policy ON clients FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS tax_rates_policy ON tax_rates;
+CREATE POLICY tax_rates_policy ON tax_rates FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS catalog_items_policy ON catalog_items;
+CREATE POLICY catalog_items_policy ON catalog_items FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS invoices_policy ON invoices;
 CREATE POLICY invoices_policy ON invoices FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS invoice_revisions_policy ON invoice_revisions;
+CREATE POLICY invoice_revisions_policy ON invoice_revisions FOR SELECT USING (user_id = auth.uid());
+DROP POLICY IF EXISTS payments_policy ON payments;
 CREATE POLICY payments_policy ON payments FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS invoice_share_links_policy ON invoice_share_links;
+CREATE POLICY invoice_share_links_policy ON invoice_share_links FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS reminder_settings_policy ON reminder_settings;
+CREATE POLICY reminder_settings_policy ON reminder_settings FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS invoice_branding_policy ON invoice_branding;
+CREATE POLICY invoice_branding_policy ON invoice_branding FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS branding_logos_policy ON branding_logos;
+CREATE POLICY branding_logos_policy ON branding_logos FOR SELECT USING (user_id = auth.uid());
+DROP POLICY IF EXISTS number_sequences_policy ON number_sequences;
+CREATE POLICY number_sequences_policy ON number_sequences FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS bulk_jobs_policy ON bulk_jobs;
+CREATE POLICY bulk_jobs_policy ON bulk_jobs FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS late_fee_policies_policy ON late_fee_policies;
+CREATE POLICY late_fee_policies_policy ON late_fee_policies FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS invoice_late_fees_policy ON invoice_late_fees;
+CREATE POLICY invoice_late_fees_policy ON invoice_late_fees FOR SELECT USING (user_id = auth.uid());
+DROP POLICY IF EXISTS invoice_filter_presets_policy ON invoice_filter_presets;
+CREATE POLICY invoice_filter_presets_policy ON invoice_filter_presets FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS recurring_profiles_policy ON recurring_profiles;
+CREATE POLICY recurring_profiles_policy ON recurring_profiles FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS estimates_policy ON estimates;
+CREATE POLICY estimates_policy ON estimates FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS credit_notes_policy ON credit_notes;
+CREATE POLICY credit_notes_policy ON credit_notes FOR ALL USING (user_id = auth.uid());
+DROP POLICY IF EXISTS refunds_policy ON refunds;
+CREATE POLICY refunds_policy ON refunds FOR ALL USING (user_id = auth.uid());
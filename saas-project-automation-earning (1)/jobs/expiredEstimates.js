@@ -0,0 +1,46 @@
+/**
+ * Expired Estimates Job
+ * Moves sent estimates whose expiry date has passed to expired
+ */
+
+const { supabase } = require('../config/database');
+
+/**
+ * Mark past-expiry sent estimates as expired
+ * @param {Object} options - { asOf: Date the sweep runs for, userId: limit to one account }
+ * @returns {Promise<Object>} { updated }
+ */
+async function markExpiredEstimates({ asOf = new Date(), userId } = {}) {
+    const today = asOf.toISOString().slice(0, 10);
+
+    let query = supabase
+        .from('estimates')
+        .update({ status: 'expired' })
+        .eq('status', 'sent')
+        .lt('expiry_date', today);
+
+    if (userId) {
+        query = query.eq('user_id', userId);
+    }
+
+    const { data: estimates, error } = await query.select('id, user_id, estimate_number, expiry_date');
+
+    if (error) {
+        throw new Error(`Failed to expire estimates: ${error.message}`);
+    }
+
+    if (estimates.length > 0) {
+        await supabase.from('audit_logs').insert(estimates.map(estimate => ({
+            user_id: estimate.user_id,
+            action: 'ESTIMATE_EXPIRED',
+            entity_type: 'estimate',
+            entity_id: estimate.id,
+            old_values: { status: 'sent' },
+            new_values: { status: 'expired', expiry_date: estimate.expiry_date }
+        })));
+    }
+
+    return { updated: estimates.length };
+}
+
+module.exports = { markExpiredEstimates };
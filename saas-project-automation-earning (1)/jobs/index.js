@@ -0,0 +1,106 @@
+/**
+ * Background Jobs
+ * Lightweight in-process scheduler for periodic maintenance tasks
+ */
+
+const { markOverdueInvoices } = require('./overdueInvoices');
+const { sendDueReminders } = require('./paymentReminders');
+const { generateRecurringInvoices } = require('./recurringInvoices');
+const { markExpiredEstimates } = require('./expiredEstimates');
+const { applyLateFees } = require('./lateFees');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Registered jobs - interval is configurable per job via env
+ */
+const jobs = {
+    'overdue-invoices': {
+        run: markOverdueInvoices,
+        interval: (parseInt(process.env.OVERDUE_JOB_INTERVAL_MINUTES) || 60) * MINUTE
+    },
+    'payment-reminders': {
+        run: sendDueReminders,
+        interval: (parseInt(process.env.REMINDER_JOB_INTERVAL_MINUTES) || 60) * MINUTE
+    },
+    'recurring-invoices': {
+        run: generateRecurringInvoices,
+        interval: (parseInt(process.env.RECURRING_JOB_INTERVAL_MINUTES) || 60) * MINUTE
+    },
+    'expired-estimates': {
+        run: markExpiredEstimates,
+        interval: (parseInt(process.env.ESTIMATE_JOB_INTERVAL_MINUTES) || 60) * MINUTE
+    },
+    'late-fees': {
+        run: applyLateFees,
+        interval: (parseInt(process.env.LATE_FEE_JOB_INTERVAL_MINUTES) || 60) * MINUTE
+    }
+};
+
+const timers = [];
+
+/**
+ * Run a job by name
+ * @param {string} name - Registered job name
+ * @param {Object} options - Passed through to the job
+ */
+async function runJob(name, options = {}) {
+    const job = jobs[name];
+
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    return job.run(options);
+}
+
+/**
+ * Start all jobs on their intervals (skipped when JOBS_ENABLED=false,
+ * e.g. when running several app instances and one dedicated worker)
+ */
+function startJobs() {
+    if (process.env.JOBS_ENABLED === 'false') {
+        return;
+    }
+
+    Object.entries(jobs).forEach(([name, job]) => {
+        let running = false;
+
+        const tick = async () => {
+            // Never overlap runs of the same job
+            if (running) return;
+            running = true;
+
+            try {
+                const result = await job.run();
+                console.log(`Job ${name} finished:`, result);
+            } catch (error) {
+                console.error(`Job ${name} failed:`, error);
+            } finally {
+                running = false;
+            }
+        };
+
+        // Initial run shortly after boot, then on the interval
+        const initial = setTimeout(tick, 10 * 1000);
+        const timer = setInterval(tick, job.interval);
+        initial.unref();
+        timer.unref();
+        timers.push(initial, timer);
+    });
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopJobs() {
+    timers.forEach(timer => clearInterval(timer));
+    timers.length = 0;
+}
+
+module.exports = {
+    jobs,
+    runJob,
+    startJobs,
+    stopJobs
+};
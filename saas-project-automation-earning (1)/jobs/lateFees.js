@@ -0,0 +1,99 @@
+/**
+ * Late Fees Job
+ * Adds late fees and interest to overdue invoices under each account's policy
+ */
+
+const { supabase } = require('../config/database');
+const { getLateFeePolicy, calculateDueLateFees } = require('../services/lateFeeService');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Charge the late fees that have become due on overdue invoices
+ * @param {Object} options - { asOf: Date the sweep runs for, userId: limit to one account }
+ * @returns {Promise<Object>} { checked, applied }
+ */
+async function applyLateFees({ asOf = new Date(), userId } = {}) {
+    // Policies are shared by all of a client's invoices
+    const policies = new Map();
+    let checked = 0;
+    let applied = 0;
+
+    // Invoices stay overdue after a fee, so page through by due date
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+        let query = supabase
+            .from('invoices')
+            .select('id, user_id, client_id, invoice_number, due_date, balance_due, late_fee_amount, late_fees:invoice_late_fees(period)')
+            .eq('status', 'overdue')
+            .order('due_date', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + BATCH_SIZE - 1);
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data: invoices, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to fetch overdue invoices: ${error.message}`);
+        }
+
+        for (const invoice of invoices) {
+            const policyKey = `${invoice.user_id}:${invoice.client_id}`;
+
+            if (!policies.has(policyKey)) {
+                policies.set(policyKey, await getLateFeePolicy(invoice.user_id, invoice.client_id));
+            }
+
+            const appliedPeriods = (invoice.late_fees || []).map(fee => fee.period);
+            const fees = calculateDueLateFees(invoice, policies.get(policyKey), appliedPeriods, asOf);
+
+            for (const fee of fees) {
+                // The function re-checks the status and skips periods already charged
+                const { data: updated, error: feeError } = await supabase.rpc('apply_late_fee', {
+                    p_invoice_id: invoice.id,
+                    p_period: fee.period,
+                    p_fee_type: fee.fee_type,
+                    p_rate: fee.rate,
+                    p_amount: fee.amount,
+                    p_description: fee.description
+                });
+
+                if (feeError) {
+                    console.error(`Failed to apply late fee to invoice ${invoice.id}:`, feeError.message);
+                    break;
+                }
+
+                if (!updated?.id) {
+                    break;
+                }
+
+                await supabase.from('audit_logs').insert({
+                    user_id: invoice.user_id,
+                    action: 'LATE_FEE_APPLIED',
+                    entity_type: 'invoice',
+                    entity_id: invoice.id,
+                    new_values: {
+                        invoice_number: invoice.invoice_number,
+                        description: fee.description,
+                        amount: fee.amount,
+                        total: updated.total
+                    }
+                });
+
+                applied++;
+            }
+        }
+
+        checked += invoices.length;
+
+        if (invoices.length < BATCH_SIZE) {
+            break;
+        }
+    }
+
+    return { checked, applied };
+}
+
+module.exports = { applyLateFees };
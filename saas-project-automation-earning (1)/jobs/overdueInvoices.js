@@ -0,0 +1,72 @@
+/**
+ * Overdue Invoices Job
+ * Moves pending and partially paid invoices whose due date has passed to overdue
+ */
+
+const { supabase } = require('../config/database');
+const { changeInvoiceStatus } = require('../services/invoiceStatusService');
+
+const BATCH_SIZE = 500;
+
+// Invoices with a balance that can still become overdue
+const OPEN_STATUSES = ['pending', 'partially_paid'];
+
+/**
+ * Mark past-due open invoices as overdue
+ * @param {Object} options - { asOf: Date the sweep runs for, userId: limit to one account }
+ * @returns {Promise<Object>} { checked, updated }
+ */
+async function markOverdueInvoices({ asOf = new Date(), userId } = {}) {
+    const today = asOf.toISOString().slice(0, 10);
+    let checked = 0;
+    let updated = 0;
+
+    // Updated rows drop out of the status filter, so keep taking the first
+    // batch until nothing is left (or nothing in a batch could be updated)
+    while (true) {
+        let query = supabase
+            .from('invoices')
+            .select('id, user_id, invoice_number, status, due_date, paid_at')
+            .in('status', OPEN_STATUSES)
+            .lt('due_date', today)
+            .order('due_date', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        if (userId) {
+            query = query.eq('user_id', userId);
+        }
+
+        const { data: invoices, error } = await query;
+
+        if (error) {
+            throw new Error(`Failed to fetch open invoices: ${error.message}`);
+        }
+
+        let batchUpdated = 0;
+
+        for (const invoice of invoices) {
+            try {
+                // The status guard keeps an invoice paid mid-sweep from being overwritten
+                await changeInvoiceStatus(invoice, 'overdue', {
+                    action: 'INVOICE_OVERDUE',
+                    details: { due_date: invoice.due_date, invoice_number: invoice.invoice_number }
+                });
+            } catch (updateError) {
+                continue;
+            }
+
+            batchUpdated++;
+        }
+
+        checked += invoices.length;
+        updated += batchUpdated;
+
+        if (invoices.length < BATCH_SIZE || batchUpdated === 0) {
+            break;
+        }
+    }
+
+    return { checked, updated };
+}
+
+module.exports = { markOverdueInvoices };
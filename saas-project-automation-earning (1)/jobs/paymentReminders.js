@@ -0,0 +1,78 @@
+/**
+ * Payment Reminders Job
+ * Sends automated reminders for unpaid invoices following each account's cadence
+ */
+
+const { supabase } = require('../config/database');
+const {
+    DEFAULT_REMINDER_SETTINGS,
+    getDueReminderOffset,
+    sendInvoiceReminder
+} = require('../services/reminderService');
+const { UNPAID_STATUSES } = require('../services/paymentService');
+
+// Automated reminders are a paid-plan feature
+const REMINDER_PLANS = ['pro', 'business'];
+
+/**
+ * Send all reminders that are due
+ * @param {Object} options - { asOf: reference time, userId: limit to one account }
+ * @returns {Promise<Object>} { accounts, checked, sent, failed }
+ */
+async function sendDueReminders({ asOf = new Date(), userId } = {}) {
+    let settingsQuery = supabase
+        .from('reminder_settings')
+        .select('*, user:users!inner(id, plan, is_active)')
+        .eq('is_enabled', true)
+        .in('user.plan', REMINDER_PLANS)
+        .eq('user.is_active', true);
+
+    if (userId) {
+        settingsQuery = settingsQuery.eq('user_id', userId);
+    }
+
+    const { data: accounts, error } = await settingsQuery;
+
+    if (error) {
+        throw new Error(`Failed to fetch reminder settings: ${error.message}`);
+    }
+
+    const result = { accounts: accounts.length, checked: 0, sent: 0, failed: 0 };
+
+    for (const account of accounts) {
+        const settings = { ...DEFAULT_REMINDER_SETTINGS, ...account };
+
+        const { data: invoices, error: invoicesError } = await supabase
+            .from('invoices')
+            .select('*, client:clients!inner(name, email, locale, reminders_enabled), late_fees:invoice_late_fees(description, fee_type, rate, period, amount)')
+            .eq('user_id', account.user_id)
+            .in('status', UNPAID_STATUSES)
+            .eq('client.reminders_enabled', true)
+            .lt('reminder_count', settings.max_reminders);
+
+        if (invoicesError) {
+            console.error(`Failed to fetch invoices for reminders (user ${account.user_id}):`, invoicesError);
+            continue;
+        }
+
+        for (const invoice of invoices) {
+            result.checked++;
+
+            if (getDueReminderOffset(invoice, settings, asOf) === null) {
+                continue;
+            }
+
+            try {
+                await sendInvoiceReminder(invoice, { automated: true });
+                result.sent++;
+            } catch (sendError) {
+                console.error(`Failed to send reminder for invoice ${invoice.id}:`, sendError);
+                result.failed++;
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = { sendDueReminders };
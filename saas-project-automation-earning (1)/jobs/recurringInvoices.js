@@ -0,0 +1,76 @@
+/**
+ * Recurring Invoices Job
+ * Generates invoices for recurring profiles whose next run date has arrived
+ */
+
+const { supabase } = require('../config/database');
+const { generateFromProfile, toDateString } = require('../services/recurringService');
+
+// Safety cap on catch-up runs for one profile in a single sweep
+const MAX_RUNS_PER_PROFILE = 12;
+
+/**
+ * Generate all due recurring invoices
+ * @param {Object} options - { asOf: reference date, userId: limit to one account }
+ * @returns {Promise<Object>} { profiles, generated, sent, failed }
+ */
+async function generateRecurringInvoices({ asOf = new Date(), userId } = {}) {
+    const today = toDateString(asOf);
+
+    let query = supabase
+        .from('recurring_profiles')
+        .select(`
+            *,
+            items:recurring_profile_items(description, quantity, unit_price, sort_order),
+            user:users!inner(id, email, name, business_name, address, phone, plan, default_currency, is_active)
+        `)
+        .eq('is_active', true)
+        .eq('user.is_active', true)
+        .lte('next_run_date', today);
+
+    if (userId) {
+        query = query.eq('user_id', userId);
+    }
+
+    const { data: profiles, error } = await query;
+
+    if (error) {
+        throw new Error(`Failed to fetch recurring profiles: ${error.message}`);
+    }
+
+    const result = { profiles: profiles.length, generated: 0, sent: 0, failed: 0 };
+
+    for (const { user, ...profile } of profiles) {
+        let current = profile;
+
+        // Catch up on missed runs, one invoice per scheduled date
+        for (let run = 0; run < MAX_RUNS_PER_PROFILE; run++) {
+            try {
+                const { invoice, sent, profile: updated } = await generateFromProfile(current, user);
+
+                // Completed without an invoice (the end date is already past), or generated by another run
+                if (!invoice) {
+                    break;
+                }
+
+                result.generated++;
+                if (sent) result.sent++;
+
+                if (!updated || !updated.is_active || updated.next_run_date > today) {
+                    break;
+                }
+
+                current = { ...updated, items: profile.items };
+            } catch (generateError) {
+                // Plan limits and other failures are retried on the next sweep
+                console.error(`Failed to generate invoice for recurring profile ${profile.id}:`, generateError.message);
+                result.failed++;
+                break;
+            }
+        }
+    }
+
+    return result;
+}
+
+module.exports = { generateRecurringInvoices };
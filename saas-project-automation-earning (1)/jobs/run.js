@@ -0,0 +1,42 @@
+/**
+ * Run a background job on demand
+ * Usage: node jobs/run.js <job-name> [--as-of=YYYY-MM-DD] [--user=<user id>]
+ */
+
+require('dotenv').config();
+
+const { jobs, runJob } = require('./index');
+
+async function main() {
+    const [name, ...args] = process.argv.slice(2);
+
+    if (!name || !jobs[name]) {
+        console.error(`Usage: node jobs/run.js <${Object.keys(jobs).join('|')}> [--as-of=YYYY-MM-DD] [--user=<id>]`);
+        process.exit(1);
+    }
+
+    const options = {};
+
+    args.forEach(arg => {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+
+        if (key === 'as-of') {
+            options.asOf = new Date(value);
+            if (isNaN(options.asOf)) {
+                throw new Error(`Invalid --as-of date: ${value}`);
+            }
+        } else if (key === 'user') {
+            options.userId = value;
+        }
+    });
+
+    const result = await runJob(name, options);
+    console.log(`Job ${name} finished:`, result);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
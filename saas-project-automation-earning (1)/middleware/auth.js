@@ -29,7 +29,7 @@ const authenticate = async (req, res, next) => {
         // Get user from database
         const { data: user, error } = await supabase
             .from('users')
-            .select('id, email, name, business_name, plan, is_active')
+            .select('id, email, name, business_name, plan, default_currency, is_active')
             .eq('id', decoded.userId)
             .single();
 
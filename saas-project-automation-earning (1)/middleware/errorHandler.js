@@ -4,12 +4,14 @@
 
 /**
  * Custom API Error class
+ * details: optional list of problems ([{ field, message }]) returned with the error
  */
 class APIError extends Error {
-    constructor(message, statusCode = 500, code = 'INTERNAL_ERROR') {
+    constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = null) {
         super(message);
         this.statusCode = statusCode;
         this.code = code;
+        this.details = details;
         this.isOperational = true;
 
         Error.captureStackTrace(this, this.constructor);
@@ -81,6 +83,7 @@ const errorHandler = (err, req, res, next) => {
         success: false,
         error: message,
         code,
+        ...(err.details && { details: err.details }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     });
 };
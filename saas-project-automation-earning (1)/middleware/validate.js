@@ -5,6 +5,7 @@
 
 const { validationResult, body, param, query } = require('express-validator');
 const xss = require('xss');
+const { isValidCurrency } = require('../services/currencyService');
 
 /**
  * Process validation results
@@ -88,16 +89,46 @@ const rules = {
         .isFloat({ min: 0, max: 999999.99 })
         .withMessage('Price must be between 0 and 999999.99'),
 
+    // Catalog lines take their description and price from the catalog item
+    invoiceLine: body('items.*')
+        .custom(item => Boolean(item?.catalog_item_id || (item?.description && item?.price !== undefined)))
+        .withMessage('Item description and price are required unless a catalog item is chosen'),
+
+    invoiceLineDescription: body('items.*.description')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Item description must be at most 200 characters')
+        .customSanitizer(sanitizeString),
+
+    invoiceLinePrice: body('items.*.price')
+        .optional({ values: 'null' })
+        .isFloat({ min: 0, max: 999999.99 })
+        .withMessage('Price must be between 0 and 999999.99'),
+
+    catalogItemRef: body('items.*.catalog_item_id')
+        .optional({ values: 'null' })
+        .isUUID()
+        .withMessage('Invalid catalog item ID'),
+
     dueDate: body('due_date')
         .isISO8601()
         .withMessage('Please provide a valid due date')
         .custom((value) => {
-            if (new Date(value) < new Date()) {
+            // An invoice may fall due today
+            if (value.slice(0, 10) < new Date().toISOString().slice(0, 10)) {
                 throw new Error('Due date cannot be in the past');
             }
             return true;
         }),
 
+    currency: body('currency')
+        .optional({ values: 'null' })
+        .trim()
+        .toUpperCase()
+        .custom(isValidCurrency)
+        .withMessage('Please provide a valid ISO 4217 currency code'),
+
     // ID validations
     uuid: param('id')
         .isUUID()
@@ -114,11 +145,27 @@ const rules = {
         .isInt({ min: 1, max: 100 })
         .withMessage('Limit must be between 1 and 100'),
 
+    // Recurring profiles
+    recurringFrequency: body('frequency')
+        .isIn(['weekly', 'monthly', 'quarterly', 'yearly', 'custom'])
+        .withMessage('Frequency must be weekly, monthly, quarterly, yearly or custom'),
+
+    recurringIntervalDays: body('interval_days')
+        .if(body('frequency').equals('custom'))
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Custom interval must be between 1 and 365 days'),
+
     // Status
     invoiceStatus: body('status')
         .optional()
-        .isIn(['draft', 'pending', 'paid', 'overdue', 'cancelled'])
+        .isIn(['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled', 'void'])
         .withMessage('Invalid invoice status'),
+
+    voidReason: body('reason')
+        .trim()
+        .isLength({ min: 1, max: 500 })
+        .withMessage('A reason (up to 500 characters) is required to void an invoice')
+        .customSanitizer(sanitizeString),
 };
 
 /**
@@ -133,13 +180,177 @@ const validations = {
     
     createInvoice: [
         rules.invoiceItems,
+        rules.invoiceLine,
+        rules.invoiceLineDescription,
+        rules.invoiceQuantity,
+        rules.invoiceLinePrice,
+        rules.catalogItemRef,
         body('client_id').isUUID().withMessage('Valid client ID required'),
         rules.dueDate,
         validate
     ],
     
-    updateInvoice: [rules.uuid, validate],
+    updateInvoice: [
+        rules.uuid,
+        body('items').optional().isArray({ min: 1 }).withMessage('Invoice must have at least one item'),
+        rules.invoiceLine,
+        rules.invoiceLineDescription,
+        rules.invoiceQuantity,
+        rules.invoiceLinePrice,
+        rules.catalogItemRef,
+        rules.invoiceStatus,
+        validate
+    ],
+
+    voidInvoice: [rules.uuid, rules.voidReason, validate],
+
+    invoicePdf: [
+        rules.uuid,
+        query('format').optional().isIn(['pdf', 'facturx']).withMessage('Format must be pdf or facturx'),
+        validate
+    ],
+
+    createEstimate: [
+        rules.invoiceItems,
+        rules.invoiceItem,
+        rules.invoiceQuantity,
+        rules.invoicePrice,
+        body('client_id').isUUID().withMessage('Valid client ID required'),
+        body('expiry_date').isISO8601().withMessage('Please provide a valid expiry date'),
+        rules.currency,
+        validate
+    ],
+
+    updateEstimate: [
+        rules.uuid,
+        body('items').optional().isArray({ min: 1 }).withMessage('Estimate must have at least one item'),
+        body('expiry_date').optional().isISO8601().withMessage('Please provide a valid expiry date'),
+        rules.currency,
+        validate
+    ],
+
+    createRecurringProfile: [
+        rules.invoiceItems,
+        rules.invoiceItem,
+        rules.invoiceQuantity,
+        rules.invoicePrice,
+        body('client_id').isUUID().withMessage('Valid client ID required'),
+        rules.recurringFrequency,
+        rules.recurringIntervalDays,
+        body('start_date').isISO8601().withMessage('Please provide a valid start date'),
+        body('end_date').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Please provide a valid end date'),
+        rules.currency,
+        validate
+    ],
+
+    updateRecurringProfile: [
+        rules.uuid,
+        body('items').optional().isArray({ min: 1 }).withMessage('Profile must have at least one item'),
+        body('frequency')
+            .optional()
+            .isIn(['weekly', 'monthly', 'quarterly', 'yearly', 'custom'])
+            .withMessage('Frequency must be weekly, monthly, quarterly, yearly or custom'),
+        body('start_date').optional().isISO8601().withMessage('Please provide a valid start date'),
+        rules.currency,
+        validate
+    ],
     
+    createCreditNote: [
+        rules.invoiceItems,
+        rules.invoiceItem,
+        rules.invoiceQuantity,
+        rules.invoicePrice,
+        body('invoice_id').isUUID().withMessage('Valid invoice ID required'),
+        body('items.*.tax_rate_ids').optional().isArray().withMessage('tax_rate_ids must be a list of tax rate IDs'),
+        body('tax_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+        body('reason').optional().trim().isLength({ max: 500 }).customSanitizer(sanitizeString),
+        validate
+    ],
+
+    refundPayment: [
+        rules.uuid,
+        param('paymentId').isUUID().withMessage('Invalid payment ID format'),
+        body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero'),
+        body('method').optional().isIn(['stripe', 'manual']).withMessage('Method must be stripe or manual'),
+        body('reason').optional().trim().isLength({ max: 500 }).customSanitizer(sanitizeString),
+        validate
+    ],
+
+    recordPayment: [
+        rules.uuid,
+        body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than zero'),
+        body('payment_method').optional().trim().isLength({ max: 50 }).customSanitizer(sanitizeString),
+        body('paid_at').optional().isISO8601().withMessage('Please provide a valid payment date'),
+        validate
+    ],
+
+    createTaxRate: [
+        body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Tax name must be between 1 and 50 characters'),
+        body('rate').isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+        body('is_compound').optional().isBoolean().withMessage('is_compound must be true or false'),
+        validate
+    ],
+
+    updateTaxRate: [
+        rules.uuid,
+        body('name').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Tax name must be between 1 and 50 characters'),
+        body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Tax rate must be between 0 and 100'),
+        body('is_compound').optional().isBoolean().withMessage('is_compound must be true or false'),
+        body('is_active').optional().isBoolean().withMessage('is_active must be true or false'),
+        validate
+    ],
+
+    catalogItemId: [rules.uuid, validate],
+
+    bulkInvoices: [
+        body('action')
+            .isIn(['send', 'remind', 'mark_paid', 'cancel', 'void', 'delete', 'pdf'])
+            .withMessage('Action must be send, remind, mark_paid, cancel, void, delete or pdf'),
+        body('invoice_ids')
+            .if(body('filter').not().exists())
+            .isArray({ min: 1, max: 500 })
+            .withMessage('Provide invoice_ids (1 to 500 IDs) or a filter'),
+        body('invoice_ids.*').isUUID().withMessage('Invalid invoice ID'),
+        body('filter')
+            .optional()
+            .isObject()
+            .custom((value, { req }) => req.body.invoice_ids === undefined)
+            .withMessage('Provide either invoice_ids or a filter, not both'),
+        body('filter.status').optional().isIn(['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled', 'void']).withMessage('Invalid invoice status'),
+        body('filter.client_id').optional().isUUID().withMessage('Invalid client ID'),
+        body(['filter.issue_date_from', 'filter.issue_date_to', 'filter.due_date_from', 'filter.due_date_to'])
+            .optional()
+            .isISO8601()
+            .withMessage('Filter dates must be valid dates'),
+        body('options.payment_method').optional().trim().isLength({ max: 50 }).customSanitizer(sanitizeString),
+        body('options.notes').optional().customSanitizer(sanitizeString),
+        body('options.reason')
+            .if(body('action').equals('void'))
+            .trim()
+            .isLength({ min: 1, max: 500 })
+            .withMessage('options.reason (up to 500 characters) is required to void invoices')
+            .customSanitizer(sanitizeString),
+        body('async').optional().isBoolean().withMessage('async must be true or false'),
+        validate
+    ],
+
+    bulkJobId: [rules.uuid, validate],
+
+    bulkJobFile: [
+        rules.uuid,
+        param('invoiceId').isUUID().withMessage('Invalid invoice ID format'),
+        validate
+    ],
+
+    filterPresetId: [rules.uuid, validate],
+
+    exportInvoices: [
+        query(['issue_date_from', 'issue_date_to']).optional().isDate().withMessage('Dates must be YYYY-MM-DD'),
+        query('status').optional().isIn(['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled']).withMessage('Invalid invoice status'),
+        query('client_id').optional().isUUID().withMessage('Invalid client ID'),
+        validate
+    ],
+
     pagination: [rules.page, rules.limit, validate],
 };
 
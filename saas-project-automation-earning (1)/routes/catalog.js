@@ -0,0 +1,266 @@
+/**
+ * Catalog Routes
+ * Products and services with default prices and taxes, used to fill invoice lines
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { validations } = require('../middleware/validate');
+const {
+    normalizeCatalogItem,
+    importCatalogCsv,
+    getCatalogUsage,
+    assertTaxRatesOwned
+} = require('../services/catalogService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const EMPTY_USAGE = { times_used: 0, quantity: 0, revenue: {}, last_used_at: null };
+
+/**
+ * Load a catalog item owned by the current user
+ */
+async function getOwnedCatalogItem(catalogItemId, userId) {
+    const { data: catalogItem, error } = await supabase
+        .from('catalog_items')
+        .select('*')
+        .eq('id', catalogItemId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !catalogItem) {
+        throw new APIError('Catalog item not found', 404);
+    }
+
+    return catalogItem;
+}
+
+/**
+ * Turn a failed catalog write into an API error
+ */
+function toCatalogWriteError(error, fallback) {
+    if (error.code === '23505') {
+        return new APIError('Another catalog item already uses this SKU', 409, 'DUPLICATE_SKU');
+    }
+
+    return new APIError(fallback, 500);
+}
+
+/**
+ * GET /api/catalog
+ * Get catalog items (?search= matches name, SKU and description; ?unit=; archived with ?include_inactive=true)
+ */
+router.get('/', validations.pagination, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 50, search, unit } = req.query;
+
+    let query = supabase
+        .from('catalog_items')
+        .select('*', { count: 'exact' })
+        .eq('user_id', req.userId)
+        .order('name', { ascending: true })
+        .range((page - 1) * limit, page * limit - 1);
+
+    if (req.query.include_inactive !== 'true') {
+        query = query.eq('is_active', true);
+    }
+
+    if (unit) {
+        query = query.eq('unit', unit);
+    }
+
+    if (search) {
+        // Commas and brackets would break out of the or() filter
+        const term = String(search).replace(/[,()]/g, ' ').trim();
+        query = query.or(`name.ilike.%${term}%,sku.ilike.%${term}%,description.ilike.%${term}%`);
+    }
+
+    const { data: catalogItems, error, count } = await query;
+
+    if (error) {
+        throw new APIError('Failed to fetch catalog items', 500);
+    }
+
+    res.json({
+        success: true,
+        catalog_items: catalogItems,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            pages: Math.ceil(count / limit)
+        }
+    });
+}));
+
+/**
+ * GET /api/catalog/usage
+ * Usage statistics for every catalog item, most used first
+ */
+router.get('/usage', asyncHandler(async (req, res) => {
+    const [{ data: catalogItems, error }, usage] = await Promise.all([
+        supabase
+            .from('catalog_items')
+            .select('id, name, sku, unit, is_active')
+            .eq('user_id', req.userId),
+        getCatalogUsage(req.userId)
+    ]);
+
+    if (error) {
+        throw new APIError('Failed to fetch catalog usage', 500);
+    }
+
+    const items = catalogItems
+        .map(catalogItem => ({ ...catalogItem, ...(usage.get(catalogItem.id) || EMPTY_USAGE) }))
+        .sort((a, b) => b.times_used - a.times_used);
+
+    res.json({ success: true, usage: items });
+}));
+
+/**
+ * GET /api/catalog/:id
+ * Get single catalog item with its usage
+ */
+router.get('/:id', validations.catalogItemId, asyncHandler(async (req, res) => {
+    const catalogItem = await getOwnedCatalogItem(req.params.id, req.userId);
+    const usage = await getCatalogUsage(req.userId, catalogItem.id);
+
+    res.json({
+        success: true,
+        catalog_item: { ...catalogItem, usage: usage.get(catalogItem.id) || EMPTY_USAGE }
+    });
+}));
+
+/**
+ * POST /api/catalog
+ * Create catalog item
+ */
+router.post('/', asyncHandler(async (req, res) => {
+    const item = normalizeCatalogItem(req.body);
+
+    if (item.tax_rate_ids?.length) {
+        await assertTaxRatesOwned(req.userId, item.tax_rate_ids);
+    }
+
+    const { data: catalogItem, error } = await supabase
+        .from('catalog_items')
+        .insert({ id: uuidv4(), user_id: req.userId, ...item })
+        .select()
+        .single();
+
+    if (error) {
+        throw toCatalogWriteError(error, 'Failed to create catalog item');
+    }
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'CATALOG_ITEM_CREATED',
+        entity_type: 'catalog_item',
+        entity_id: catalogItem.id,
+        new_values: { name: catalogItem.name, default_price: catalogItem.default_price, sku: catalogItem.sku },
+        ip_address: req.ip
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Catalog item created successfully',
+        catalog_item: catalogItem
+    });
+}));
+
+/**
+ * POST /api/catalog/import
+ * Import catalog items from CSV ({ csv }); rows matching an existing SKU update that item
+ */
+router.post('/import', asyncHandler(async (req, res) => {
+    if (typeof req.body.csv !== 'string') {
+        throw new APIError('csv must be the CSV file contents', 400);
+    }
+
+    const result = await importCatalogCsv(req.userId, req.body.csv);
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'CATALOG_IMPORTED',
+        entity_type: 'catalog_item',
+        new_values: { created: result.created, updated: result.updated, failed: result.errors.length },
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: `Imported ${result.created + result.updated} catalog items`,
+        ...result
+    });
+}));
+
+/**
+ * PUT /api/catalog/:id
+ * Update catalog item
+ * Invoice lines already created from it keep their own copy of its values
+ */
+router.put('/:id', validations.catalogItemId, asyncHandler(async (req, res) => {
+    const existing = await getOwnedCatalogItem(req.params.id, req.userId);
+    const updateData = normalizeCatalogItem(req.body, true);
+
+    if (req.body.is_active !== undefined) {
+        updateData.is_active = Boolean(req.body.is_active);
+    }
+
+    if (updateData.tax_rate_ids?.length) {
+        await assertTaxRatesOwned(req.userId, updateData.tax_rate_ids);
+    }
+
+    const { data: catalogItem, error } = await supabase
+        .from('catalog_items')
+        .update(updateData)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+    if (error) {
+        throw toCatalogWriteError(error, 'Failed to update catalog item');
+    }
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'CATALOG_ITEM_UPDATED',
+        entity_type: 'catalog_item',
+        entity_id: catalogItem.id,
+        old_values: { name: existing.name, default_price: existing.default_price, sku: existing.sku },
+        new_values: updateData,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Catalog item updated successfully',
+        catalog_item: catalogItem
+    });
+}));
+
+/**
+ * DELETE /api/catalog/:id
+ * Archive catalog item - invoices keep their lines but it can't be picked for new ones
+ */
+router.delete('/:id', validations.catalogItemId, asyncHandler(async (req, res) => {
+    const catalogItem = await getOwnedCatalogItem(req.params.id, req.userId);
+
+    const { error } = await supabase
+        .from('catalog_items')
+        .update({ is_active: false })
+        .eq('id', catalogItem.id);
+
+    if (error) {
+        throw new APIError('Failed to archive catalog item', 500);
+    }
+
+    res.json({ success: true, message: 'Catalog item archived' });
+}));
+
+module.exports = router;
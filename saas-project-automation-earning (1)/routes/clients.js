@@ -9,12 +9,34 @@ const { supabase } = require('../config/database');
 const { authenticate, requirePlan } = require('../middleware/auth');
 const { asyncHandler, APIError } = require('../middleware/errorHandler');
 const { sanitizeString } = require('../middleware/validate');
+const { isValidCurrency, sumByCurrency } = require('../services/currencyService');
+const { isSupportedLocale } = require('../services/localeService');
+const { isValidCountry, normalizeVatId, isValidVatId } = require('../services/facturXService');
+const { getLateFeePolicy, saveLateFeePolicy, deleteClientLateFeePolicy } = require('../services/lateFeeService');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+/**
+ * Load a client owned by the current user
+ */
+async function getOwnedClient(clientId, userId) {
+    const { data: client, error } = await supabase
+        .from('clients')
+        .select('id')
+        .eq('id', clientId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !client) {
+        throw new APIError('Client not found', 404);
+    }
+
+    return client;
+}
+
 /**
  * GET /api/clients
  * Get all clients for user
@@ -71,15 +93,16 @@ router.get('/:id', asyncHandler(async (req, res) => {
     // Get invoice summary
     const { data: invoices } = await supabase
         .from('invoices')
-        .select('id, invoice_number, status, total, due_date, created_at')
+        .select('id, invoice_number, status, currency, total, paid_amount, balance_due, due_date, created_at')
         .eq('client_id', req.params.id)
         .order('created_at', { ascending: false });
 
     const stats = {
         total_invoices: invoices?.length || 0,
-        total_billed: invoices?.reduce((sum, i) => sum + parseFloat(i.total), 0) || 0,
-        total_paid: invoices?.filter(i => i.status === 'paid').reduce((sum, i) => sum + parseFloat(i.total), 0) || 0,
-        outstanding: invoices?.filter(i => ['pending', 'overdue'].includes(i.status)).reduce((sum, i) => sum + parseFloat(i.total), 0) || 0
+        // Void invoices were never owed
+        total_billed: sumByCurrency(invoices?.filter(i => i.status !== 'void') || [], 'total'),
+        total_paid: sumByCurrency(invoices || [], 'paid_amount'),
+        outstanding: sumByCurrency(invoices?.filter(i => ['pending', 'partially_paid', 'overdue'].includes(i.status)) || [], 'balance_due')
     };
 
     res.json({
@@ -90,12 +113,89 @@ router.get('/:id', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/clients/:id/late-fee-policy
+ * Get the late fee policy for a client's invoices (its own, or the account's)
+ */
+router.get('/:id/late-fee-policy', asyncHandler(async (req, res) => {
+    const client = await getOwnedClient(req.params.id, req.userId);
+    const policy = await getLateFeePolicy(req.userId, client.id);
+
+    res.json({ success: true, policy });
+}));
+
+/**
+ * PUT /api/clients/:id/late-fee-policy
+ * Give a client its own late fee policy, overriding the account's
+ */
+router.put('/:id/late-fee-policy', asyncHandler(async (req, res) => {
+    const client = await getOwnedClient(req.params.id, req.userId);
+    const { policy, changes } = await saveLateFeePolicy(req.userId, client.id, req.body);
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'LATE_FEE_POLICY_UPDATED',
+        entity_type: 'client',
+        entity_id: client.id,
+        new_values: changes,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Client late fee policy updated',
+        policy
+    });
+}));
+
+/**
+ * DELETE /api/clients/:id/late-fee-policy
+ * Remove a client's own late fee policy so the account's applies again
+ */
+router.delete('/:id/late-fee-policy', asyncHandler(async (req, res) => {
+    const client = await getOwnedClient(req.params.id, req.userId);
+    await deleteClientLateFeePolicy(req.userId, client.id);
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'LATE_FEE_POLICY_REMOVED',
+        entity_type: 'client',
+        entity_id: client.id,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Client late fee policy removed',
+        policy: await getLateFeePolicy(req.userId)
+    });
+}));
+
 /**
  * POST /api/clients
  * Create new client
  */
 router.post('/', asyncHandler(async (req, res) => {
-    const { name, email, company, phone, address, notes } = req.body;
+    const {
+        name, email, company, phone, address, notes, reminders_enabled = true, currency, locale,
+        vat_id, country, facturx_enabled = false
+    } = req.body;
+
+    if (currency && !isValidCurrency(currency)) {
+        throw new APIError('Invalid currency code', 400);
+    }
+
+    if (locale && !isSupportedLocale(locale)) {
+        throw new APIError('Unsupported locale', 400);
+    }
+
+    if (vat_id && !isValidVatId(normalizeVatId(vat_id))) {
+        throw new APIError('Invalid VAT ID', 400);
+    }
+
+    if (country && !isValidCountry(country.toUpperCase())) {
+        throw new APIError('Invalid country code', 400);
+    }
 
     // Check plan limits for free users
     if (req.user.plan === 'free') {
@@ -133,7 +233,13 @@ router.post('/', asyncHandler(async (req, res) => {
             company: sanitizeString(company),
             phone: sanitizeString(phone),
             address: sanitizeString(address),
-            notes: sanitizeString(notes)
+            notes: sanitizeString(notes),
+            reminders_enabled: Boolean(reminders_enabled),
+            currency: currency ? currency.toUpperCase() : null,
+            locale: locale || null,
+            vat_id: vat_id ? normalizeVatId(vat_id) : null,
+            country: country ? country.toUpperCase() : null,
+            facturx_enabled: Boolean(facturx_enabled)
         })
         .select()
         .single();
@@ -164,7 +270,26 @@ router.post('/', asyncHandler(async (req, res) => {
  * Update client
  */
 router.put('/:id', asyncHandler(async (req, res) => {
-    const { name, email, company, phone, address, notes } = req.body;
+    const {
+        name, email, company, phone, address, notes, reminders_enabled, currency, locale,
+        vat_id, country, facturx_enabled
+    } = req.body;
+
+    if (currency && !isValidCurrency(currency)) {
+        throw new APIError('Invalid currency code', 400);
+    }
+
+    if (locale && !isSupportedLocale(locale)) {
+        throw new APIError('Unsupported locale', 400);
+    }
+
+    if (vat_id && !isValidVatId(normalizeVatId(vat_id))) {
+        throw new APIError('Invalid VAT ID', 400);
+    }
+
+    if (country && !isValidCountry(country.toUpperCase())) {
+        throw new APIError('Invalid country code', 400);
+    }
 
     // Verify client belongs to user
     const { data: existing, error: fetchError } = await supabase
@@ -201,6 +326,12 @@ router.put('/:id', asyncHandler(async (req, res) => {
     if (phone !== undefined) updateData.phone = sanitizeString(phone);
     if (address !== undefined) updateData.address = sanitizeString(address);
     if (notes !== undefined) updateData.notes = sanitizeString(notes);
+    if (reminders_enabled !== undefined) updateData.reminders_enabled = Boolean(reminders_enabled);
+    if (currency !== undefined) updateData.currency = currency ? currency.toUpperCase() : null;
+    if (locale !== undefined) updateData.locale = locale || null;
+    if (vat_id !== undefined) updateData.vat_id = vat_id ? normalizeVatId(vat_id) : null;
+    if (country !== undefined) updateData.country = country ? country.toUpperCase() : null;
+    if (facturx_enabled !== undefined) updateData.facturx_enabled = Boolean(facturx_enabled);
 
     const { data: client, error } = await supabase
         .from('clients')
@@ -0,0 +1,139 @@
+/**
+ * Credit Note Routes
+ * Corrections issued against invoices that can no longer be edited
+ */
+
+const express = require('express');
+const { supabase } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { validations } = require('../middleware/validate');
+const { createCreditNote, generateCreditNotePDF } = require('../services/creditNoteService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Load a credit note owned by the current user
+ */
+async function getOwnedCreditNote(creditNoteId, userId) {
+    const { data: creditNote, error } = await supabase
+        .from('credit_notes')
+        .select(`
+            *,
+            client:clients(*),
+            invoice:invoices(id, invoice_number, issue_date, total, status),
+            items:credit_note_items(id, description, quantity, unit_price, amount, sort_order)
+        `)
+        .eq('id', creditNoteId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !creditNote) {
+        throw new APIError('Credit note not found', 404);
+    }
+
+    creditNote.items = (creditNote.items || []).sort((a, b) => a.sort_order - b.sort_order);
+
+    return creditNote;
+}
+
+/**
+ * GET /api/credit-notes
+ * Get all credit notes for user
+ */
+router.get('/', validations.pagination, asyncHandler(async (req, res) => {
+    const { invoice_id, client_id, page = 1, limit = 20 } = req.query;
+
+    let query = supabase
+        .from('credit_notes')
+        .select(`
+            *,
+            client:clients(id, name, email, company),
+            invoice:invoices(id, invoice_number)
+        `, { count: 'exact' })
+        .eq('user_id', req.userId)
+        .order('created_at', { ascending: false })
+        .range((page - 1) * limit, page * limit - 1);
+
+    if (invoice_id) {
+        query = query.eq('invoice_id', invoice_id);
+    }
+
+    if (client_id) {
+        query = query.eq('client_id', client_id);
+    }
+
+    const { data: creditNotes, error, count } = await query;
+
+    if (error) {
+        throw new APIError('Failed to fetch credit notes', 500);
+    }
+
+    res.json({
+        success: true,
+        credit_notes: creditNotes,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            pages: Math.ceil(count / limit)
+        }
+    });
+}));
+
+/**
+ * GET /api/credit-notes/:id
+ * Get single credit note with items
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const creditNote = await getOwnedCreditNote(req.params.id, req.userId);
+
+    res.json({ success: true, credit_note: creditNote });
+}));
+
+/**
+ * POST /api/credit-notes
+ * Issue a credit note against an invoice
+ */
+router.post('/', validations.createCreditNote, asyncHandler(async (req, res) => {
+    const { invoice_id, items, reason, tax_rate } = req.body;
+
+    const { data: invoice, error } = await supabase
+        .from('invoices')
+        .select('*')
+        .eq('id', invoice_id)
+        .eq('user_id', req.userId)
+        .single();
+
+    if (error || !invoice) {
+        throw new APIError('Invoice not found', 404);
+    }
+
+    const result = await createCreditNote(invoice, { items, reason, tax_rate }, { ip: req.ip });
+
+    res.status(201).json({
+        success: true,
+        message: 'Credit note issued',
+        credit_note: result.creditNote,
+        invoice: result.invoice
+    });
+}));
+
+/**
+ * GET /api/credit-notes/:id/pdf
+ * Download credit note as PDF
+ */
+router.get('/:id/pdf', asyncHandler(async (req, res) => {
+    const creditNote = await getOwnedCreditNote(req.params.id, req.userId);
+
+    const pdfBuffer = await generateCreditNotePDF(creditNote, req.user);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${creditNote.credit_note_number}.pdf"`);
+    res.send(pdfBuffer);
+}));
+
+module.exports = router;
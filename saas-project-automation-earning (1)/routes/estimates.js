@@ -0,0 +1,456 @@
+/**
+ * Estimate Routes
+ * Quotes sent before work starts, convertible into invoices once accepted
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { authenticate, requirePlan } = require('../middleware/auth');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { sanitizeString, validations } = require('../middleware/validate');
+const { sendEstimateEmail } = require('../services/emailService');
+const { createEstimateShareLink } = require('../services/shareLinkService');
+const { createInvoice, calculateTotals } = require('../services/invoiceService');
+const { OPEN_ESTIMATE_STATUSES, generateEstimatePDF } = require('../services/estimateService');
+const { resolveCurrency } = require('../services/currencyService');
+const { nextDocumentNumber } = require('../services/numberingService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Build estimate item rows
+ */
+function buildEstimateItems(estimateId, items) {
+    return items.map((item, index) => ({
+        id: uuidv4(),
+        estimate_id: estimateId,
+        description: sanitizeString(item.description),
+        quantity: item.quantity,
+        unit_price: item.price,
+        amount: item.quantity * item.price,
+        sort_order: index
+    }));
+}
+
+/**
+ * Load an estimate owned by the current user
+ */
+async function getOwnedEstimate(estimateId, userId) {
+    const { data: estimate, error } = await supabase
+        .from('estimates')
+        .select(`
+            *,
+            client:clients(*),
+            items:estimate_items(id, description, quantity, unit_price, amount, sort_order)
+        `)
+        .eq('id', estimateId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !estimate) {
+        throw new APIError('Estimate not found', 404);
+    }
+
+    estimate.items = (estimate.items || []).sort((a, b) => a.sort_order - b.sort_order);
+
+    return estimate;
+}
+
+/**
+ * Record an audit log entry for an estimate
+ */
+async function logEstimateAudit(req, action, estimateId, newValues) {
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action,
+        entity_type: 'estimate',
+        entity_id: estimateId,
+        new_values: newValues,
+        ip_address: req.ip
+    });
+}
+
+/**
+ * GET /api/estimates
+ * Get all estimates for user
+ */
+router.get('/', validations.pagination, asyncHandler(async (req, res) => {
+    const { status, client_id, page = 1, limit = 20 } = req.query;
+
+    let query = supabase
+        .from('estimates')
+        .select(`
+            *,
+            client:clients(id, name, email, company)
+        `, { count: 'exact' })
+        .eq('user_id', req.userId)
+        .order('created_at', { ascending: false })
+        .range((page - 1) * limit, page * limit - 1);
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    if (client_id) {
+        query = query.eq('client_id', client_id);
+    }
+
+    const { data: estimates, error, count } = await query;
+
+    if (error) {
+        throw new APIError('Failed to fetch estimates', 500);
+    }
+
+    res.json({
+        success: true,
+        estimates,
+        pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            pages: Math.ceil(count / limit)
+        }
+    });
+}));
+
+/**
+ * GET /api/estimates/:id
+ * Get single estimate with items
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    res.json({ success: true, estimate });
+}));
+
+/**
+ * POST /api/estimates
+ * Create new estimate (as a draft)
+ */
+router.post('/', validations.createEstimate, asyncHandler(async (req, res) => {
+    const { client_id, items, expiry_date, currency, notes, terms, tax_rate = 0, discount_amount = 0 } = req.body;
+
+    // Verify client belongs to user
+    const { data: client, error: clientError } = await supabase
+        .from('clients')
+        .select('id, currency')
+        .eq('id', client_id)
+        .eq('user_id', req.userId)
+        .single();
+
+    if (clientError || !client) {
+        throw new APIError('Client not found', 404);
+    }
+
+    const estimateNumber = await nextDocumentNumber(req.userId, 'estimate');
+
+    const { subtotal, taxAmount, total } = calculateTotals(items, tax_rate, discount_amount);
+
+    const estimateId = uuidv4();
+    const { data: estimate, error } = await supabase
+        .from('estimates')
+        .insert({
+            id: estimateId,
+            user_id: req.userId,
+            client_id,
+            estimate_number: estimateNumber,
+            status: 'draft',
+            currency: resolveCurrency(currency, client.currency, req.user.default_currency),
+            expiry_date,
+            subtotal,
+            tax_rate,
+            tax_amount: taxAmount,
+            discount_amount,
+            total,
+            notes: sanitizeString(notes),
+            terms: sanitizeString(terms)
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new APIError(`Estimate number ${estimateNumber} is already in use; check your numbering settings`, 409, 'DUPLICATE_NUMBER');
+        }
+        throw new APIError('Failed to create estimate', 500);
+    }
+
+    const estimateItems = buildEstimateItems(estimateId, items);
+
+    const { error: itemsError } = await supabase
+        .from('estimate_items')
+        .insert(estimateItems);
+
+    if (itemsError) {
+        // Rollback estimate
+        await supabase.from('estimates').delete().eq('id', estimateId);
+        throw new APIError('Failed to create estimate items', 500);
+    }
+
+    await logEstimateAudit(req, 'ESTIMATE_CREATED', estimateId, { estimate_number: estimateNumber, total });
+
+    res.status(201).json({
+        success: true,
+        message: 'Estimate created successfully',
+        estimate: { ...estimate, items: estimateItems }
+    });
+}));
+
+/**
+ * PUT /api/estimates/:id
+ * Update a draft or sent estimate
+ */
+router.put('/:id', validations.updateEstimate, asyncHandler(async (req, res) => {
+    const { items, expiry_date, currency, notes, terms, tax_rate, discount_amount } = req.body;
+
+    const existing = await getOwnedEstimate(req.params.id, req.userId);
+
+    if (!OPEN_ESTIMATE_STATUSES.includes(existing.status)) {
+        throw new APIError(`Estimate is already ${existing.status}`, 400);
+    }
+
+    const updateData = {};
+    if (expiry_date !== undefined) updateData.expiry_date = expiry_date;
+    if (currency) updateData.currency = currency;
+    if (notes !== undefined) updateData.notes = sanitizeString(notes);
+    if (terms !== undefined) updateData.terms = sanitizeString(terms);
+    if (tax_rate !== undefined) updateData.tax_rate = tax_rate;
+    if (discount_amount !== undefined) updateData.discount_amount = discount_amount;
+
+    const newItems = items || existing.items.map(item => ({
+        description: item.description,
+        quantity: parseFloat(item.quantity),
+        price: parseFloat(item.unit_price)
+    }));
+
+    const { subtotal, taxAmount, total } = calculateTotals(
+        newItems,
+        tax_rate !== undefined ? tax_rate : existing.tax_rate,
+        discount_amount !== undefined ? discount_amount : existing.discount_amount
+    );
+
+    Object.assign(updateData, { subtotal, tax_amount: taxAmount, total });
+
+    // Items are replaced in the same transaction as the totals, so a failure leaves the estimate as it was
+    const { error } = await supabase.rpc('update_estimate', {
+        p_estimate_id: existing.id,
+        p_user_id: req.userId,
+        p_changes: updateData,
+        p_items: items ? buildEstimateItems(existing.id, items) : null
+    });
+
+    if (error) {
+        if (error.message?.includes('ESTIMATE_CLOSED')) {
+            throw new APIError('Estimate can no longer be edited', 400);
+        }
+
+        throw new APIError('Failed to update estimate', 500);
+    }
+
+    const estimate = await getOwnedEstimate(existing.id, req.userId);
+
+    res.json({ success: true, message: 'Estimate updated', estimate });
+}));
+
+/**
+ * POST /api/estimates/:id/send
+ * Send estimate to client via email
+ */
+router.post('/:id/send', requirePlan('pro', 'business'), asyncHandler(async (req, res) => {
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    if (!OPEN_ESTIMATE_STATUSES.includes(estimate.status)) {
+        throw new APIError(`Estimate is already ${estimate.status}`, 400);
+    }
+
+    const pdfBuffer = await generateEstimatePDF(estimate, req.user);
+
+    const shareLink = await createEstimateShareLink(estimate.id, req.userId);
+    await sendEstimateEmail(estimate.client.email, estimate, pdfBuffer, shareLink.url);
+
+    await supabase
+        .from('estimates')
+        .update({ status: 'sent', sent_at: new Date().toISOString() })
+        .eq('id', estimate.id);
+
+    await logEstimateAudit(req, 'ESTIMATE_SENT', estimate.id, { to: estimate.client.email });
+
+    res.json({ success: true, message: 'Estimate sent successfully' });
+}));
+
+/**
+ * POST /api/estimates/:id/accept
+ * Record client acceptance (e.g. accepted by phone or email)
+ */
+router.post('/:id/accept', asyncHandler(async (req, res) => {
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    if (!OPEN_ESTIMATE_STATUSES.includes(estimate.status)) {
+        throw new APIError(`Estimate is already ${estimate.status}`, 400);
+    }
+
+    await supabase
+        .from('estimates')
+        .update({ status: 'accepted', accepted_at: new Date().toISOString() })
+        .eq('id', estimate.id);
+
+    await logEstimateAudit(req, 'ESTIMATE_ACCEPTED', estimate.id, { by: 'owner' });
+
+    res.json({ success: true, message: 'Estimate marked as accepted' });
+}));
+
+/**
+ * POST /api/estimates/:id/decline
+ * Record client decline
+ */
+router.post('/:id/decline', asyncHandler(async (req, res) => {
+    const { reason } = req.body;
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    if (!OPEN_ESTIMATE_STATUSES.includes(estimate.status)) {
+        throw new APIError(`Estimate is already ${estimate.status}`, 400);
+    }
+
+    await supabase
+        .from('estimates')
+        .update({
+            status: 'declined',
+            declined_at: new Date().toISOString(),
+            decline_reason: sanitizeString(reason)
+        })
+        .eq('id', estimate.id);
+
+    await logEstimateAudit(req, 'ESTIMATE_DECLINED', estimate.id, { by: 'owner', reason });
+
+    res.json({ success: true, message: 'Estimate marked as declined' });
+}));
+
+/**
+ * POST /api/estimates/:id/convert
+ * Convert an accepted estimate into a pending invoice
+ */
+router.post('/:id/convert', asyncHandler(async (req, res) => {
+    const { due_date } = req.body;
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    if (estimate.status !== 'accepted') {
+        throw new APIError('Only accepted estimates can be converted', 400);
+    }
+
+    if (estimate.converted_invoice_id || estimate.converted_at) {
+        throw new APIError('Estimate has already been converted', 400, 'ALREADY_CONVERTED');
+    }
+
+    let dueDate = due_date;
+    if (!dueDate) {
+        const { data: user } = await supabase
+            .from('users')
+            .select('payment_terms')
+            .eq('id', req.userId)
+            .single();
+
+        const terms = user?.payment_terms || 30;
+        dueDate = new Date(Date.now() + terms * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+
+    // Claim the estimate before creating the invoice, so a repeated request can't convert it twice
+    const { data: claimed } = await supabase
+        .from('estimates')
+        .update({ converted_at: new Date().toISOString() })
+        .eq('id', estimate.id)
+        .is('converted_at', null)
+        .is('converted_invoice_id', null)
+        .select('id')
+        .single();
+
+    if (!claimed) {
+        throw new APIError('Estimate has already been converted', 400, 'ALREADY_CONVERTED');
+    }
+
+    let invoice;
+
+    try {
+        invoice = await createInvoice(req.user, {
+            client_id: estimate.client_id,
+            items: estimate.items.map(item => ({
+                description: item.description,
+                quantity: parseFloat(item.quantity),
+                price: parseFloat(item.unit_price)
+            })),
+            due_date: dueDate,
+            currency: estimate.currency,
+            notes: estimate.notes,
+            terms: estimate.terms,
+            tax_rate: parseFloat(estimate.tax_rate) || 0,
+            discount_amount: parseFloat(estimate.discount_amount) || 0
+        }, { ip: req.ip });
+    } catch (error) {
+        // Release the claim so the conversion can be retried
+        await supabase
+            .from('estimates')
+            .update({ converted_at: null })
+            .eq('id', estimate.id);
+
+        throw error;
+    }
+
+    await supabase
+        .from('estimates')
+        .update({ converted_invoice_id: invoice.id })
+        .eq('id', estimate.id);
+
+    await logEstimateAudit(req, 'ESTIMATE_CONVERTED', estimate.id, {
+        invoice_id: invoice.id,
+        invoice_number: invoice.invoice_number
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Estimate converted to invoice',
+        invoice
+    });
+}));
+
+/**
+ * DELETE /api/estimates/:id
+ * Delete estimate
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    if (estimate.converted_invoice_id || estimate.converted_at) {
+        throw new APIError('Cannot delete a converted estimate', 400);
+    }
+
+    // Delete estimate (cascade will delete items)
+    const { error } = await supabase
+        .from('estimates')
+        .delete()
+        .eq('id', estimate.id);
+
+    if (error) {
+        throw new APIError('Failed to delete estimate', 500);
+    }
+
+    res.json({ success: true, message: 'Estimate deleted' });
+}));
+
+/**
+ * GET /api/estimates/:id/pdf
+ * Download estimate as PDF
+ */
+router.get('/:id/pdf', asyncHandler(async (req, res) => {
+    const estimate = await getOwnedEstimate(req.params.id, req.userId);
+
+    const pdfBuffer = await generateEstimatePDF(estimate, req.user);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${estimate.estimate_number}.pdf"`);
+    res.send(pdfBuffer);
+}));
+
+module.exports = router;
@@ -4,13 +4,47 @@
  */
 
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config/database');
 const { authenticate, requirePlan } = require('../middleware/auth');
 const { asyncHandler, APIError } = require('../middleware/errorHandler');
-const { sanitizeString } = require('../middleware/validate');
+const { sanitizeString, validations } = require('../middleware/validate');
 const { generateInvoicePDF } = require('../services/pdfService');
-const { sendInvoiceEmail } = require('../services/emailService');
+const { createShareLink, revokeShareLinks } = require('../services/shareLinkService');
+const { createInvoice, updateInvoice, calculateInvoiceTotals, buildInvoiceItems } = require('../services/invoiceService');
+const { applyCatalogItems } = require('../services/catalogService');
+const { recordInvoicePayment, markInvoicePaid, refundPayment } = require('../services/paymentService');
+const { assertManualTransition, assertEditable, getDueDateStatus, changeInvoiceStatus } = require('../services/invoiceStatusService');
+const { getInvoiceRevisions, getInvoiceRevision, getRevisionBranding } = require('../services/revisionService');
+const { isValidCurrency, sumByCurrency } = require('../services/currencyService');
+const { parsePaymentTerms, formatPaymentTerms, getInvoicePaymentTerms, getEarlyPaymentDiscount } = require('../services/paymentTermsService');
+const {
+    loadOwnedInvoice,
+    sendInvoice,
+    remindInvoice,
+    markPaid,
+    voidInvoice,
+    deleteInvoice,
+    renderInvoicePDF,
+    renderInvoicePreview
+} = require('../services/invoiceActionService');
+const {
+    INLINE_LIMIT,
+    assertBulkAction,
+    resolveInvoiceIds,
+    runBulkAction,
+    createBulkJob,
+    getBulkJob,
+    getBulkJobFile,
+    listBulkJobs
+} = require('../services/bulkService');
+const { getExportInvoices, streamInvoiceExport } = require('../services/exportService');
+const {
+    normalizeInvoiceFilters,
+    searchInvoices,
+    listFilterPresets,
+    getFilterPreset,
+    saveFilterPreset
+} = require('../services/invoiceSearchService');
 
 const router = express.Router();
 
@@ -19,38 +53,21 @@ router.use(authenticate);
 
 /**
  * GET /api/invoices
- * Get all invoices for user
+ * Get invoices for user, filtered, searched and sorted
+ * (?preset= applies a saved filter preset; other parameters override its values)
  */
-router.get('/', asyncHandler(async (req, res) => {
-    const { status, client_id, page = 1, limit = 20, sort = 'created_at', order = 'desc' } = req.query;
-    
-    let query = supabase
-        .from('invoices')
-        .select(`
-            *,
-            client:clients(id, name, email, company)
-        `, { count: 'exact' })
-        .eq('user_id', req.userId)
-        .order(sort, { ascending: order === 'asc' })
-        .range((page - 1) * limit, page * limit - 1);
+router.get('/', validations.pagination, asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, preset } = req.query;
 
-    if (status) {
-        query = query.eq('status', status);
-    }
+    const presetFilters = preset ? (await getFilterPreset(req.userId, preset)).filters : {};
+    const filters = normalizeInvoiceFilters({ ...presetFilters, ...req.query });
 
-    if (client_id) {
-        query = query.eq('client_id', client_id);
-    }
-
-    const { data: invoices, error, count } = await query;
-
-    if (error) {
-        throw new APIError('Failed to fetch invoices', 500);
-    }
+    const { invoices, count } = await searchInvoices(req.userId, filters, { page, limit });
 
     res.json({
         success: true,
         invoices,
+        filters,
         pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -60,6 +77,56 @@ router.get('/', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * GET /api/invoices/filter-presets
+ * List saved filter presets
+ */
+router.get('/filter-presets', asyncHandler(async (req, res) => {
+    const presets = await listFilterPresets(req.userId);
+
+    res.json({ success: true, presets });
+}));
+
+/**
+ * POST /api/invoices/filter-presets
+ * Save a filter preset ({ name, filters })
+ */
+router.post('/filter-presets', asyncHandler(async (req, res) => {
+    const preset = await saveFilterPreset(req.userId, req.body);
+
+    res.status(201).json({ success: true, message: 'Filter preset saved', preset });
+}));
+
+/**
+ * PUT /api/invoices/filter-presets/:id
+ * Rename a filter preset or replace its filters
+ */
+router.put('/filter-presets/:id', validations.filterPresetId, asyncHandler(async (req, res) => {
+    const existing = await getFilterPreset(req.userId, req.params.id);
+    const preset = await saveFilterPreset(req.userId, req.body, existing.id);
+
+    res.json({ success: true, message: 'Filter preset updated', preset });
+}));
+
+/**
+ * DELETE /api/invoices/filter-presets/:id
+ * Delete a filter preset
+ */
+router.delete('/filter-presets/:id', validations.filterPresetId, asyncHandler(async (req, res) => {
+    const preset = await getFilterPreset(req.userId, req.params.id);
+
+    const { error } = await supabase
+        .from('invoice_filter_presets')
+        .delete()
+        .eq('id', preset.id);
+
+    if (error) {
+        throw new APIError('Failed to delete filter preset', 500);
+    }
+
+    res.json({ success: true, message: 'Filter preset deleted' });
+}));
+
 /**
  * GET /api/invoices/stats
  * Get invoice statistics
@@ -67,30 +134,116 @@ router.get('/', asyncHandler(async (req, res) => {
 router.get('/stats', asyncHandler(async (req, res) => {
     const { data: invoices, error } = await supabase
         .from('invoices')
-        .select('status, total')
+        .select('status, currency, total, paid_amount, balance_due')
         .eq('user_id', req.userId);
 
     if (error) {
         throw new APIError('Failed to fetch statistics', 500);
     }
 
+    // Void invoices are counted by status but left out of every amount
+    const counted = invoices.filter(i => i.status !== 'void');
+
     const stats = {
         total_invoices: invoices.length,
-        total_revenue: invoices.filter(i => i.status === 'paid').reduce((sum, i) => sum + parseFloat(i.total), 0),
-        pending_amount: invoices.filter(i => i.status === 'pending').reduce((sum, i) => sum + parseFloat(i.total), 0),
-        overdue_amount: invoices.filter(i => i.status === 'overdue').reduce((sum, i) => sum + parseFloat(i.total), 0),
+        // Amounts are keyed by currency code, e.g. { USD: 1200, EUR: 300 }
+        total_revenue: sumByCurrency(counted, 'paid_amount'),
+        pending_amount: sumByCurrency(invoices.filter(i => ['pending', 'partially_paid'].includes(i.status)), 'balance_due'),
+        overdue_amount: sumByCurrency(invoices.filter(i => i.status === 'overdue'), 'balance_due'),
         by_status: {
             draft: invoices.filter(i => i.status === 'draft').length,
             pending: invoices.filter(i => i.status === 'pending').length,
+            partially_paid: invoices.filter(i => i.status === 'partially_paid').length,
             paid: invoices.filter(i => i.status === 'paid').length,
             overdue: invoices.filter(i => i.status === 'overdue').length,
-            cancelled: invoices.filter(i => i.status === 'cancelled').length
+            cancelled: invoices.filter(i => i.status === 'cancelled').length,
+            void: invoices.filter(i => i.status === 'void').length
         }
     };
 
     res.json({ success: true, stats });
 }));
 
+/**
+ * GET /api/invoices/export
+ * Download invoices as a ZIP of PDFs with a manifest.csv
+ * (?issue_date_from=&issue_date_to=&status=&client_id=)
+ */
+router.get('/export', validations.exportInvoices, asyncHandler(async (req, res) => {
+    const { issue_date_from, issue_date_to, status, client_id } = req.query;
+    const invoices = await getExportInvoices(req.userId, { issue_date_from, issue_date_to, status, client_id });
+
+    const range = [issue_date_from, issue_date_to].filter(Boolean).join('_to_') || new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="invoices-${range}.zip"`);
+
+    await streamInvoiceExport(req.user, invoices, res);
+}));
+
+/**
+ * POST /api/invoices/bulk
+ * Run send, remind, mark_paid, cancel, delete or pdf on a list of invoices or a filter
+ * Small batches return their results; larger ones (or async: true) return a job to poll
+ */
+router.post('/bulk', validations.bulkInvoices, asyncHandler(async (req, res) => {
+    const { action, invoice_ids, filter, options = {} } = req.body;
+    const invoiceIds = await resolveInvoiceIds(req.userId, { invoice_ids, filter });
+
+    assertBulkAction(req.user, action, invoiceIds.length);
+
+    if (!invoiceIds.length) {
+        return res.json({ success: true, action, total: 0, succeeded: 0, failed: 0, results: [] });
+    }
+
+    if (req.body.async === true || invoiceIds.length > INLINE_LIMIT) {
+        const job = await createBulkJob(req.user, action, invoiceIds, options, { ip: req.ip });
+
+        return res.status(202).json({
+            success: true,
+            message: `Processing ${job.total} invoices`,
+            job,
+            status_url: `/api/invoices/bulk/jobs/${job.id}`
+        });
+    }
+
+    const { results, succeeded, failed } = await runBulkAction(req.user, action, invoiceIds, options, { ip: req.ip });
+
+    res.json({ success: true, action, total: results.length, succeeded, failed, results });
+}));
+
+/**
+ * GET /api/invoices/bulk/jobs
+ * List recent bulk jobs
+ */
+router.get('/bulk/jobs', asyncHandler(async (req, res) => {
+    const jobs = await listBulkJobs(req.userId);
+
+    res.json({ success: true, jobs });
+}));
+
+/**
+ * GET /api/invoices/bulk/jobs/:id
+ * Get a bulk job's progress and per-invoice results
+ */
+router.get('/bulk/jobs/:id', validations.bulkJobId, asyncHandler(async (req, res) => {
+    const job = await getBulkJob(req.userId, req.params.id);
+
+    res.json({ success: true, job });
+}));
+
+/**
+ * GET /api/invoices/bulk/jobs/:id/files/:invoiceId
+ * Download a PDF made by a background pdf job
+ */
+router.get('/bulk/jobs/:id/files/:invoiceId', validations.bulkJobFile, asyncHandler(async (req, res) => {
+    const { filename, content } = await getBulkJobFile(req.userId, req.params.id, req.params.invoiceId);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+}));
+
 /**
  * GET /api/invoices/:id
  * Get single invoice with items
@@ -100,8 +253,10 @@ router.get('/:id', asyncHandler(async (req, res) => {
         .from('invoices')
         .select(`
             *,
-            client:clients(id, name, email, company, address, phone),
-            items:invoice_items(id, description, quantity, unit_price, amount, sort_order)
+            client:clients(id, name, email, company, address, phone, locale),
+            items:invoice_items(id, description, quantity, unit, unit_price, amount, net_amount, tax_amount, taxes, catalog_item_id, sku, sort_order),
+            late_fees:invoice_late_fees(description, fee_type, rate, period, amount, applied_at),
+            credit_notes(id, credit_note_number, total, reason, created_at)
         `)
         .eq('id', req.params.id)
         .eq('user_id', req.userId)
@@ -111,115 +266,36 @@ router.get('/:id', asyncHandler(async (req, res) => {
         throw new APIError('Invoice not found', 404);
     }
 
-    res.json({ success: true, invoice });
+    res.json({
+        success: true,
+        invoice: {
+            ...invoice,
+            payment_terms: formatPaymentTerms(getInvoicePaymentTerms(invoice)),
+            early_payment_discount: getEarlyPaymentDiscount(invoice)
+        }
+    });
 }));
 
 /**
  * POST /api/invoices
  * Create new invoice
  */
-router.post('/', asyncHandler(async (req, res) => {
-    const { client_id, items, due_date, notes, terms, tax_rate = 0, discount_amount = 0 } = req.body;
-
-    // Check plan limits
-    if (req.user.plan === 'free') {
-        const { count } = await supabase
-            .from('invoices')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', req.userId)
-            .gte('created_at', new Date(new Date().setDate(1)).toISOString());
-
-        if (count >= 5) {
-            throw new APIError('Free plan limited to 5 invoices per month. Please upgrade.', 403, 'PLAN_LIMIT');
-        }
-    }
-
-    // Verify client belongs to user
-    const { data: client, error: clientError } = await supabase
-        .from('clients')
-        .select('id, name')
-        .eq('id', client_id)
-        .eq('user_id', req.userId)
-        .single();
-
-    if (clientError || !client) {
-        throw new APIError('Client not found', 404);
-    }
-
-    // Generate invoice number
-    const { count } = await supabase
-        .from('invoices')
-        .select('*', { count: 'exact', head: true })
-        .eq('user_id', req.userId);
-
-    const invoiceNumber = `INV-${new Date().getFullYear()}-${String(count + 1).padStart(4, '0')}`;
-
-    // Calculate totals
-    const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.price), 0);
-    const taxAmount = subtotal * (tax_rate / 100);
-    const total = subtotal + taxAmount - discount_amount;
-
-    // Create invoice
-    const invoiceId = uuidv4();
-    const { data: invoice, error: invoiceError } = await supabase
-        .from('invoices')
-        .insert({
-            id: invoiceId,
-            user_id: req.userId,
-            client_id,
-            invoice_number: invoiceNumber,
-            status: 'pending',
-            due_date,
-            subtotal,
-            tax_rate,
-            tax_amount: taxAmount,
-            discount_amount,
-            total,
-            notes: sanitizeString(notes),
-            terms: sanitizeString(terms)
-        })
-        .select()
-        .single();
-
-    if (invoiceError) {
-        throw new APIError('Failed to create invoice', 500);
-    }
-
-    // Create invoice items
-    const invoiceItems = items.map((item, index) => ({
-        id: uuidv4(),
-        invoice_id: invoiceId,
-        description: sanitizeString(item.description),
-        quantity: item.quantity,
-        unit_price: item.price,
-        amount: item.quantity * item.price,
-        sort_order: index
-    }));
-
-    const { error: itemsError } = await supabase
-        .from('invoice_items')
-        .insert(invoiceItems);
-
-    if (itemsError) {
-        // Rollback invoice
-        await supabase.from('invoices').delete().eq('id', invoiceId);
-        throw new APIError('Failed to create invoice items', 500);
-    }
-
-    // Log audit
-    await supabase.from('audit_logs').insert({
-        user_id: req.userId,
-        action: 'INVOICE_CREATED',
-        entity_type: 'invoice',
-        entity_id: invoiceId,
-        new_values: { invoice_number: invoiceNumber, total },
-        ip_address: req.ip
-    });
+router.post('/', validations.createInvoice, asyncHandler(async (req, res) => {
+    const {
+        client_id, items, due_date, currency, notes, terms, payment_terms, status,
+        tax_rate = 0, discount_amount = 0, prices_include_tax = false
+    } = req.body;
+
+    const invoice = await createInvoice(
+        req.user,
+        { client_id, items, due_date, currency, notes, terms, payment_terms, status, tax_rate, discount_amount, prices_include_tax },
+        { ip: req.ip }
+    );
 
     res.status(201).json({
         success: true,
         message: 'Invoice created successfully',
-        invoice: { ...invoice, items: invoiceItems }
+        invoice
     });
 }));
 
@@ -227,8 +303,8 @@ router.post('/', asyncHandler(async (req, res) => {
  * PUT /api/invoices/:id
  * Update invoice
  */
-router.put('/:id', asyncHandler(async (req, res) => {
-    const { items, due_date, notes, terms, status, tax_rate, discount_amount } = req.body;
+router.put('/:id', validations.updateInvoice, asyncHandler(async (req, res) => {
+    const { items, due_date, currency, notes, terms, payment_terms, status, tax_rate, discount_amount, prices_include_tax } = req.body;
 
     // Get existing invoice
     const { data: existing, error: fetchError } = await supabase
@@ -242,47 +318,101 @@ router.put('/:id', asyncHandler(async (req, res) => {
         throw new APIError('Invoice not found', 404);
     }
 
-    // Can't edit paid invoices
-    if (existing.status === 'paid' && status !== 'paid') {
-        throw new APIError('Cannot modify a paid invoice', 400);
+    const contentChanged = [items, due_date, currency, notes, terms, payment_terms, tax_rate, discount_amount, prices_include_tax]
+        .some(value => value !== undefined);
+    const statusChanged = status !== undefined && status !== existing.status;
+
+    // Paid, cancelled and void invoices are kept as they were
+    if (contentChanged) {
+        assertEditable(existing);
+    }
+
+    if (statusChanged) {
+        assertManualTransition(existing, status);
+    }
+
+    // Nothing to change (e.g. status: 'paid' on a paid invoice)
+    if (!contentChanged && !statusChanged && existing.status === 'paid') {
+        return res.json({ success: true, message: 'Invoice updated', invoice: existing });
     }
 
-    // Calculate new totals if items provided
-    let updateData = { due_date, notes, terms, status, tax_rate, discount_amount };
-    
+    if (currency !== undefined && currency !== existing.currency) {
+        if (!isValidCurrency(currency)) {
+            throw new APIError('Invalid currency code', 400);
+        }
+
+        // Recorded payments and credits are in the original currency
+        if (parseFloat(existing.paid_amount) > 0 || parseFloat(existing.credited_amount) > 0) {
+            throw new APIError('Cannot change the currency of an invoice with payments or credits', 400);
+        }
+    }
+
+    let updateData = {
+        due_date,
+        currency: currency ? currency.toUpperCase() : undefined,
+        notes: sanitizeString(notes),
+        terms: sanitizeString(terms),
+        tax_rate,
+        discount_amount
+    };
+    let invoiceItems = null;
+
+    // Only the early-payment discount is stored; the net days come from the due date.
+    // null removes the discount
+    if (payment_terms !== undefined) {
+        const { discount_rate, discount_days } = payment_terms
+            ? parsePaymentTerms(payment_terms)
+            : { discount_rate: 0, discount_days: 0 };
+        updateData = { ...updateData, early_discount_rate: discount_rate, early_discount_days: discount_days };
+    }
+
+    // Per-line taxes are worked out here; the totals are recomputed from the saved items
     if (items) {
-        const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.price), 0);
-        const taxAmount = subtotal * ((tax_rate || existing.tax_rate) / 100);
-        const total = subtotal + taxAmount - (discount_amount || existing.discount_amount);
-        
-        updateData = { ...updateData, subtotal, tax_amount: taxAmount, total };
-
-        // Delete old items and insert new
-        await supabase.from('invoice_items').delete().eq('invoice_id', req.params.id);
-        
-        const newItems = items.map((item, index) => ({
-            id: uuidv4(),
-            invoice_id: req.params.id,
-            description: sanitizeString(item.description),
-            quantity: item.quantity,
-            unit_price: item.price,
-            amount: item.quantity * item.price,
-            sort_order: index
-        }));
-
-        await supabase.from('invoice_items').insert(newItems);
+        const lineItems = await applyCatalogItems(req.userId, items);
+        const pricesIncludeTax = prices_include_tax !== undefined ? Boolean(prices_include_tax) : existing.prices_include_tax;
+        const { lines, taxBreakdown } = await calculateInvoiceTotals(req.userId, lineItems, {
+            taxRate: tax_rate !== undefined ? tax_rate : existing.tax_rate,
+            discountAmount: discount_amount !== undefined ? discount_amount : existing.discount_amount,
+            pricesIncludeTax
+        });
+
+        updateData = {
+            ...updateData,
+            tax_breakdown: taxBreakdown,
+            prices_include_tax: pricesIncludeTax,
+            // Line taxes replace the flat rate
+            ...(taxBreakdown.length && { tax_rate: 0 })
+        };
+
+        invoiceItems = buildInvoiceItems(req.params.id, lineItems, lines);
     }
 
-    // Update invoice
-    const { data: invoice, error } = await supabase
-        .from('invoices')
-        .update(updateData)
-        .eq('id', req.params.id)
-        .select()
-        .single();
+    let invoice = await updateInvoice(req.userId, req.params.id, updateData, invoiceItems);
 
-    if (error) {
-        throw new APIError('Failed to update invoice', 500);
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'INVOICE_UPDATED',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        old_values: { total: existing.total, due_date: existing.due_date },
+        new_values: { total: invoice.total, due_date: invoice.due_date, items_replaced: Boolean(invoiceItems) },
+        ip_address: req.ip
+    });
+
+    // A new due date decides whether an unpaid invoice is overdue
+    if (due_date !== undefined && due_date !== existing.due_date) {
+        const dueDateStatus = getDueDateStatus(invoice);
+
+        if (dueDateStatus !== invoice.status) {
+            invoice = await changeInvoiceStatus(invoice, dueDateStatus, { details: { due_date: invoice.due_date }, ip: req.ip });
+        }
+    }
+
+    // The edit may already have settled the invoice (e.g. a total lowered to what was paid)
+    if (statusChanged && invoice.status !== status) {
+        invoice = status === 'paid'
+            ? (await markInvoicePaid(invoice, {}, { ip: req.ip })).invoice
+            : await changeInvoiceStatus(invoice, status, { ip: req.ip });
     }
 
     res.json({ success: true, message: 'Invoice updated', invoice });
@@ -293,165 +423,274 @@ router.put('/:id', asyncHandler(async (req, res) => {
  * Send invoice to client via email
  */
 router.post('/:id/send', requirePlan('pro', 'business'), asyncHandler(async (req, res) => {
-    const { data: invoice, error } = await supabase
-        .from('invoices')
+    await sendInvoice(req.user, req.params.id, { ip: req.ip });
+
+    res.json({ success: true, message: 'Invoice sent successfully' });
+}));
+
+/**
+ * POST /api/invoices/:id/remind
+ * Send payment reminder
+ */
+router.post('/:id/remind', requirePlan('pro', 'business'), asyncHandler(async (req, res) => {
+    await remindInvoice(req.user, req.params.id, { ip: req.ip });
+
+    res.json({ success: true, message: 'Reminder sent successfully' });
+}));
+
+/**
+ * GET /api/invoices/:id/payments
+ * List payments recorded against an invoice
+ */
+router.get('/:id/payments', asyncHandler(async (req, res) => {
+    const invoice = await loadOwnedInvoice(req.params.id, req.userId);
+
+    const { data: payments, error } = await supabase
+        .from('payments')
         .select(`
-            *,
-            client:clients(name, email),
-            items:invoice_items(*)
+            id, amount, refunded_amount, payment_method, stripe_payment_id, status, notes, paid_at, created_at,
+            refunds(id, amount, method, reason, created_at)
         `)
-        .eq('id', req.params.id)
-        .eq('user_id', req.userId)
-        .single();
+        .eq('invoice_id', invoice.id)
+        .order('paid_at', { ascending: true });
 
-    if (error || !invoice) {
-        throw new APIError('Invoice not found', 404);
+    if (error) {
+        throw new APIError('Failed to fetch payments', 500);
     }
 
-    // Generate PDF
-    const pdfBuffer = await generateInvoicePDF(invoice, req.user);
+    res.json({
+        success: true,
+        payments,
+        total: invoice.total,
+        paid_amount: invoice.paid_amount || 0,
+        credited_amount: invoice.credited_amount || 0,
+        balance_due: invoice.balance_due
+    });
+}));
 
-    // Send email
-    await sendInvoiceEmail(invoice.client.email, invoice, pdfBuffer);
+/**
+ * POST /api/invoices/:id/payments
+ * Record a (partial) payment
+ */
+router.post('/:id/payments', validations.recordPayment, asyncHandler(async (req, res) => {
+    const { amount, payment_method = 'manual', paid_at, notes } = req.body;
+    const invoice = await loadOwnedInvoice(req.params.id, req.userId);
 
-    // Update status to pending if draft
-    if (invoice.status === 'draft') {
-        await supabase
-            .from('invoices')
-            .update({ status: 'pending' })
-            .eq('id', req.params.id);
-    }
+    const result = await recordInvoicePayment(
+        invoice,
+        { amount, payment_method, paid_at, notes: sanitizeString(notes) },
+        { ip: req.ip }
+    );
 
-    res.json({ success: true, message: 'Invoice sent successfully' });
+    res.status(201).json({
+        success: true,
+        message: result.invoice.status === 'paid' ? 'Invoice paid in full' : 'Payment recorded',
+        ...result
+    });
 }));
 
 /**
- * POST /api/invoices/:id/remind
- * Send payment reminder
+ * POST /api/invoices/:id/payments/:paymentId/refund
+ * Refund all or part of a payment (through Stripe for online payments)
  */
-router.post('/:id/remind', requirePlan('pro', 'business'), asyncHandler(async (req, res) => {
-    const { data: invoice, error } = await supabase
-        .from('invoices')
-        .select(`*, client:clients(name, email)`)
-        .eq('id', req.params.id)
-        .eq('user_id', req.userId)
-        .single();
+router.post('/:id/payments/:paymentId/refund', validations.refundPayment, asyncHandler(async (req, res) => {
+    const { amount, method, reason } = req.body;
+    const invoice = await loadOwnedInvoice(req.params.id, req.userId);
 
-    if (error || !invoice) {
-        throw new APIError('Invoice not found', 404);
-    }
+    const { data: payment, error } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('id', req.params.paymentId)
+        .eq('invoice_id', invoice.id)
+        .single();
 
-    if (invoice.status === 'paid') {
-        throw new APIError('Invoice is already paid', 400);
+    if (error || !payment) {
+        throw new APIError('Payment not found', 404);
     }
 
-    // Send reminder email
-    // await sendReminderEmail(invoice.client.email, invoice);
-
-    // Update reminder count
-    await supabase
-        .from('invoices')
-        .update({ 
-            reminder_sent_at: new Date().toISOString(),
-            reminder_count: invoice.reminder_count + 1
-        })
-        .eq('id', req.params.id);
+    const result = await refundPayment(invoice, payment, { amount, method, reason }, { ip: req.ip });
 
-    res.json({ success: true, message: 'Reminder sent successfully' });
+    res.status(201).json({ success: true, message: 'Refund recorded', ...result });
 }));
 
 /**
  * POST /api/invoices/:id/mark-paid
- * Mark invoice as paid
+ * Mark invoice as paid (records the remaining balance as one payment)
  */
 router.post('/:id/mark-paid', asyncHandler(async (req, res) => {
     const { payment_method = 'manual', notes } = req.body;
 
-    const { data: invoice, error: fetchError } = await supabase
+    await markPaid(req.user, req.params.id, { payment_method, notes: sanitizeString(notes) }, { ip: req.ip });
+
+    res.json({ success: true, message: 'Invoice marked as paid' });
+}));
+
+/**
+ * POST /api/invoices/:id/void
+ * Void invoice - it keeps its number and history but no longer counts as owed
+ */
+router.post('/:id/void', validations.voidInvoice, asyncHandler(async (req, res) => {
+    const invoice = await voidInvoice(req.user, req.params.id, req.body.reason, { ip: req.ip });
+
+    res.json({
+        success: true,
+        message: 'Invoice voided',
+        invoice
+    });
+}));
+
+/**
+ * DELETE /api/invoices/:id
+ * Delete a draft invoice that was never sent (issued invoices are voided instead)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    await deleteInvoice(req.user, req.params.id);
+
+    res.json({ success: true, message: 'Invoice deleted' });
+}));
+
+/**
+ * GET /api/invoices/:id/pdf
+ * Download invoice as PDF (?format=facturx for a Factur-X PDF/A-3)
+ */
+router.get('/:id/pdf', validations.invoicePdf, asyncHandler(async (req, res) => {
+    const { pdf, filename } = await renderInvoicePDF(req.user, req.params.id, { facturX: req.query.format === 'facturx' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+}));
+
+/**
+ * GET /api/invoices/:id/preview
+ * HTML preview of the invoice in the account's template
+ */
+router.get('/:id/preview', asyncHandler(async (req, res) => {
+    const { html } = await renderInvoicePreview(req.user, req.params.id);
+
+    res.type('html').send(html);
+}));
+
+/**
+ * GET /api/invoices/:id/revisions
+ * List revisions with field- and line-level changes from the previous revision
+ */
+router.get('/:id/revisions', asyncHandler(async (req, res) => {
+    const invoice = await loadOwnedInvoice(req.params.id, req.userId);
+    const revisions = await getInvoiceRevisions(invoice.id);
+
+    res.json({ success: true, revisions });
+}));
+
+/**
+ * GET /api/invoices/:id/revisions/:revisionNumber
+ * Get the full snapshot of one revision
+ */
+router.get('/:id/revisions/:revisionNumber', asyncHandler(async (req, res) => {
+    const invoice = await loadOwnedInvoice(req.params.id, req.userId);
+    const revision = await getInvoiceRevision(invoice.id, parseInt(req.params.revisionNumber) || 0);
+
+    res.json({ success: true, revision });
+}));
+
+/**
+ * GET /api/invoices/:id/revisions/:revisionNumber/pdf
+ * Regenerate the PDF as the invoice looked at that revision
+ */
+router.get('/:id/revisions/:revisionNumber/pdf', asyncHandler(async (req, res) => {
+    const invoice = await loadOwnedInvoice(req.params.id, req.userId);
+    const revision = await getInvoiceRevision(invoice.id, parseInt(req.params.revisionNumber) || 0);
+    const { sender, branding, ...snapshot } = revision.snapshot;
+
+    // Revisions from before branding was recorded use the current branding
+    const pdfBuffer = await generateInvoicePDF(snapshot, sender, {
+        branding: await getRevisionBranding(branding, req.userId),
+        locale: snapshot.client?.locale
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${snapshot.invoice_number}-rev${revision.revision_number}.pdf"`);
+    res.send(pdfBuffer);
+}));
+
+/**
+ * GET /api/invoices/:id/share-links
+ * List client share links for an invoice
+ */
+router.get('/:id/share-links', asyncHandler(async (req, res) => {
+    const { data: invoice, error } = await supabase
         .from('invoices')
-        .select('*')
+        .select('id')
         .eq('id', req.params.id)
         .eq('user_id', req.userId)
         .single();
 
-    if (fetchError || !invoice) {
+    if (error || !invoice) {
         throw new APIError('Invoice not found', 404);
     }
 
-    // Update invoice
-    const { error } = await supabase
-        .from('invoices')
-        .update({
-            status: 'paid',
-            paid_at: new Date().toISOString(),
-            paid_amount: invoice.total,
-            payment_method
-        })
-        .eq('id', req.params.id);
+    const { data: links, error: linksError } = await supabase
+        .from('invoice_share_links')
+        .select('id, expires_at, is_revoked, view_count, last_viewed_at, created_at')
+        .eq('invoice_id', req.params.id)
+        .order('created_at', { ascending: false });
 
-    if (error) {
-        throw new APIError('Failed to update invoice', 500);
+    if (linksError) {
+        throw new APIError('Failed to fetch share links', 500);
     }
 
-    // Record payment
-    await supabase.from('payments').insert({
-        id: uuidv4(),
-        invoice_id: req.params.id,
-        user_id: req.userId,
-        amount: invoice.total,
-        payment_method,
-        status: 'completed',
-        notes
-    });
-
-    res.json({ success: true, message: 'Invoice marked as paid' });
+    res.json({ success: true, links });
 }));
 
 /**
- * DELETE /api/invoices/:id
- * Delete invoice
+ * POST /api/invoices/:id/share-links
+ * Create a client share link (the token is only returned once)
  */
-router.delete('/:id', asyncHandler(async (req, res) => {
-    const { data: invoice, error: fetchError } = await supabase
+router.post('/:id/share-links', asyncHandler(async (req, res) => {
+    const { expires_in_days } = req.body;
+
+    const { data: invoice, error } = await supabase
         .from('invoices')
         .select('id, status')
         .eq('id', req.params.id)
         .eq('user_id', req.userId)
         .single();
 
-    if (fetchError || !invoice) {
+    if (error || !invoice) {
         throw new APIError('Invoice not found', 404);
     }
 
-    if (invoice.status === 'paid') {
-        throw new APIError('Cannot delete a paid invoice', 400);
+    if (invoice.status === 'draft' || invoice.status === 'void') {
+        throw new APIError(`${invoice.status === 'draft' ? 'Draft' : 'Void'} invoices cannot be shared`, 400);
     }
 
-    // Delete invoice (cascade will delete items)
-    const { error } = await supabase
-        .from('invoices')
-        .delete()
-        .eq('id', req.params.id);
-
-    if (error) {
-        throw new APIError('Failed to delete invoice', 500);
+    const days = expires_in_days !== undefined ? parseInt(expires_in_days) : undefined;
+    if (days !== undefined && (isNaN(days) || days < 1 || days > 365)) {
+        throw new APIError('Expiry must be between 1 and 365 days', 400);
     }
 
-    res.json({ success: true, message: 'Invoice deleted' });
+    const link = await createShareLink(invoice.id, req.userId, { expiresInDays: days });
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'INVOICE_LINK_CREATED',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        new_values: { link_id: link.id, expires_at: link.expires_at },
+        ip_address: req.ip
+    });
+
+    res.status(201).json({ success: true, link });
 }));
 
 /**
- * GET /api/invoices/:id/pdf
- * Download invoice as PDF
+ * DELETE /api/invoices/:id/share-links/:linkId?
+ * Revoke one share link, or all of them when no link ID is given
  */
-router.get('/:id/pdf', asyncHandler(async (req, res) => {
+router.delete('/:id/share-links/:linkId?', asyncHandler(async (req, res) => {
     const { data: invoice, error } = await supabase
         .from('invoices')
-        .select(`
-            *,
-            client:clients(*),
-            items:invoice_items(*)
-        `)
+        .select('id')
         .eq('id', req.params.id)
         .eq('user_id', req.userId)
         .single();
@@ -460,11 +699,18 @@ router.get('/:id/pdf', asyncHandler(async (req, res) => {
         throw new APIError('Invoice not found', 404);
     }
 
-    const pdfBuffer = await generateInvoicePDF(invoice, req.user);
+    await revokeShareLinks(invoice.id, req.params.linkId);
 
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
-    res.send(pdfBuffer);
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'INVOICE_LINK_REVOKED',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        new_values: { link_id: req.params.linkId || 'all' },
+        ip_address: req.ip
+    });
+
+    res.json({ success: true, message: 'Share link revoked' });
 }));
 
 module.exports = router;
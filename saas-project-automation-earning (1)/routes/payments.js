@@ -8,6 +8,8 @@ const Stripe = require('stripe');
 const { supabase } = require('../config/database');
 const { authenticate } = require('../middleware/auth');
 const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { createInvoicePaymentIntent } = require('../services/paymentService');
+const { fromMinorUnits } = require('../services/currencyService');
 
 const router = express.Router();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -107,33 +109,13 @@ router.post('/create-invoice-payment/:invoiceId', asyncHandler(async (req, res)
         throw new APIError('Invoice not found', 404);
     }
 
-    if (invoice.status === 'paid') {
-        throw new APIError('Invoice is already paid', 400);
-    }
-
-    // Create payment intent
-    const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(invoice.total * 100), // Convert to cents
-        currency: 'usd',
-        metadata: {
-            invoice_id: invoice.id,
-            user_id: req.userId,
-            invoice_number: invoice.invoice_number
-        },
-        description: `Invoice ${invoice.invoice_number}`,
-        receipt_email: invoice.client.email
-    });
-
-    // Save payment intent ID
-    await supabase
-        .from('invoices')
-        .update({ stripe_payment_intent_id: paymentIntent.id })
-        .eq('id', invoice.id);
+    const paymentIntent = await createInvoicePaymentIntent(invoice);
 
     res.json({
         success: true,
         clientSecret: paymentIntent.client_secret,
-        amount: invoice.total
+        amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+        currency: invoice.currency
     });
 }));
 
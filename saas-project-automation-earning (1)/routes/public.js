@@ -0,0 +1,369 @@
+/**
+ * Public Routes
+ * Unauthenticated client-facing invoice and estimate pages
+ * Access is granted by a signed share link token instead of a JWT
+ */
+
+const express = require('express');
+const { supabase } = require('../config/database');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { resolveShareLink, recordShareLinkView } = require('../services/shareLinkService');
+const { createInvoicePaymentIntent, getSettlementAmount } = require('../services/paymentService');
+const { getEarlyPaymentDiscount, isWithinDiscountWindow } = require('../services/paymentTermsService');
+const { fromMinorUnits } = require('../services/currencyService');
+const { generateInvoicePDF } = require('../services/pdfService');
+const { OPEN_ESTIMATE_STATUSES, generateEstimatePDF } = require('../services/estimateService');
+const { sanitizeString } = require('../middleware/validate');
+
+const router = express.Router();
+
+const PAYABLE_STATUSES = ['pending', 'partially_paid', 'overdue'];
+
+/**
+ * Load the active owner of a shared document
+ */
+async function getActiveOwner(userId) {
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, email, name, business_name, address, phone, logo_url, is_active')
+        .eq('id', userId)
+        .single();
+
+    if (!user || !user.is_active) {
+        throw new APIError('This link is invalid or has expired', 404, 'LINK_INVALID');
+    }
+
+    return user;
+}
+
+/**
+ * Public view of the business behind a shared document
+ */
+function toBusinessInfo(owner) {
+    return {
+        name: owner.business_name || owner.name,
+        email: owner.email,
+        address: owner.address,
+        phone: owner.phone,
+        logo_url: owner.logo_url
+    };
+}
+
+/**
+ * Resolve the share token and attach the invoice and its owner to the request
+ */
+const loadSharedInvoice = asyncHandler(async (req, res, next) => {
+    const link = await resolveShareLink(req.params.token);
+
+    if (!link || !link.invoice_id) {
+        throw new APIError('This link is invalid or has expired', 404, 'LINK_INVALID');
+    }
+
+    const { data: invoice, error } = await supabase
+        .from('invoices')
+        .select(`
+            *,
+            client:clients(id, name, email, company, address, phone, locale),
+            items:invoice_items(id, description, quantity, unit_price, amount, net_amount, tax_amount, taxes, sort_order),
+            late_fees:invoice_late_fees(description, fee_type, rate, period, amount, applied_at)
+        `)
+        .eq('id', link.invoice_id)
+        .eq('user_id', link.user_id)
+        .single();
+
+    if (error || !invoice || invoice.status === 'draft') {
+        throw new APIError('This link is invalid or has expired', 404, 'LINK_INVALID');
+    }
+
+    const user = await getActiveOwner(link.user_id);
+
+    invoice.items = (invoice.items || []).sort((a, b) => a.sort_order - b.sort_order);
+
+    req.shareLink = link;
+    req.invoice = invoice;
+    req.owner = user;
+
+    next();
+});
+
+router.use('/invoices/:token', loadSharedInvoice);
+
+/**
+ * GET /api/public/invoices/:token
+ * View a shared invoice
+ */
+router.get('/invoices/:token', asyncHandler(async (req, res) => {
+    const { invoice, owner } = req;
+
+    await recordShareLinkView(req.shareLink);
+
+    res.json({
+        success: true,
+        invoice: {
+            invoice_number: invoice.invoice_number,
+            status: invoice.status,
+            currency: invoice.currency,
+            issue_date: invoice.issue_date,
+            due_date: invoice.due_date,
+            subtotal: invoice.subtotal,
+            tax_rate: invoice.tax_rate,
+            tax_amount: invoice.tax_amount,
+            tax_breakdown: invoice.tax_breakdown,
+            prices_include_tax: invoice.prices_include_tax,
+            discount_amount: invoice.discount_amount,
+            late_fee_amount: invoice.late_fee_amount || 0,
+            late_fees: invoice.late_fees || [],
+            total: invoice.total,
+            paid_amount: invoice.paid_amount || 0,
+            credited_amount: invoice.credited_amount || 0,
+            balance_due: invoice.balance_due,
+            early_discount_amount: invoice.early_discount_amount || 0,
+            // Open early-payment offer; amount_to_pay already includes it
+            early_payment_discount: isWithinDiscountWindow(invoice) ? getEarlyPaymentDiscount(invoice) : null,
+            amount_to_pay: getSettlementAmount(invoice),
+            notes: invoice.notes,
+            terms: invoice.terms,
+            paid_at: invoice.paid_at,
+            client: invoice.client,
+            items: invoice.items
+        },
+        business: toBusinessInfo(owner),
+        can_pay: PAYABLE_STATUSES.includes(invoice.status),
+        stripe_publishable_key: process.env.STRIPE_PUBLISHABLE_KEY
+    });
+}));
+
+/**
+ * GET /api/public/invoices/:token/pdf
+ * Download a shared invoice as PDF
+ */
+router.get('/invoices/:token/pdf', asyncHandler(async (req, res) => {
+    const { invoice, owner } = req;
+
+    const pdfBuffer = await generateInvoicePDF(invoice, owner);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${invoice.invoice_number}.pdf"`);
+    res.send(pdfBuffer);
+}));
+
+/**
+ * POST /api/public/invoices/:token/pay
+ * Start a Stripe payment for a shared invoice
+ */
+router.post('/invoices/:token/pay', asyncHandler(async (req, res) => {
+    const { invoice } = req;
+
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+        throw new APIError(`Invoice cannot be paid while ${invoice.status}`, 400, 'NOT_PAYABLE');
+    }
+
+    const paymentIntent = await createInvoicePaymentIntent(invoice);
+
+    res.json({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+        amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+        currency: invoice.currency
+    });
+}));
+
+/**
+ * POST /api/public/invoices/:token/reminders/opt-out
+ * Let the client stop automated payment reminders
+ */
+router.post('/invoices/:token/reminders/opt-out', asyncHandler(async (req, res) => {
+    const { invoice } = req;
+
+    const { error } = await supabase
+        .from('clients')
+        .update({ reminders_enabled: false })
+        .eq('id', invoice.client.id)
+        .eq('user_id', invoice.user_id);
+
+    if (error) {
+        throw new APIError('Failed to update reminder preferences', 500);
+    }
+
+    await supabase.from('audit_logs').insert({
+        user_id: invoice.user_id,
+        action: 'CLIENT_REMINDERS_OPTED_OUT',
+        entity_type: 'client',
+        entity_id: invoice.client.id,
+        new_values: { reminders_enabled: false, via_invoice: invoice.invoice_number },
+        ip_address: req.ip
+    });
+
+    res.json({ success: true, message: 'You will no longer receive automated reminders' });
+}));
+
+/**
+ * Resolve the share token and attach the estimate and its owner to the request
+ */
+const loadSharedEstimate = asyncHandler(async (req, res, next) => {
+    const link = await resolveShareLink(req.params.token);
+
+    if (!link || !link.estimate_id) {
+        throw new APIError('This link is invalid or has expired', 404, 'LINK_INVALID');
+    }
+
+    const { data: estimate, error } = await supabase
+        .from('estimates')
+        .select(`
+            *,
+            client:clients(id, name, email, company, address, phone, locale),
+            items:estimate_items(id, description, quantity, unit_price, amount, sort_order)
+        `)
+        .eq('id', link.estimate_id)
+        .eq('user_id', link.user_id)
+        .single();
+
+    if (error || !estimate || estimate.status === 'draft') {
+        throw new APIError('This link is invalid or has expired', 404, 'LINK_INVALID');
+    }
+
+    estimate.items = (estimate.items || []).sort((a, b) => a.sort_order - b.sort_order);
+
+    req.shareLink = link;
+    req.estimate = estimate;
+    req.owner = await getActiveOwner(link.user_id);
+
+    next();
+});
+
+/**
+ * Reject responses to estimates that are no longer open
+ */
+function assertEstimateOpen(estimate) {
+    if (!OPEN_ESTIMATE_STATUSES.includes(estimate.status)) {
+        throw new APIError(`This estimate has already been ${estimate.status}`, 400, 'ESTIMATE_CLOSED');
+    }
+
+    if (new Date(`${estimate.expiry_date}T23:59:59Z`) < new Date()) {
+        throw new APIError('This estimate has expired', 400, 'ESTIMATE_EXPIRED');
+    }
+}
+
+/**
+ * Close an open estimate, only if it is still open so concurrent responses can't both apply
+ */
+async function closeEstimate(estimate, changes) {
+    const { data: updated, error } = await supabase
+        .from('estimates')
+        .update(changes)
+        .eq('id', estimate.id)
+        .in('status', OPEN_ESTIMATE_STATUSES)
+        .select('id');
+
+    if (error) {
+        throw new APIError('Failed to update estimate', 500);
+    }
+
+    if (!updated || updated.length === 0) {
+        throw new APIError('This estimate has already been responded to', 409, 'ESTIMATE_CLOSED');
+    }
+}
+
+router.use('/estimates/:token', loadSharedEstimate);
+
+/**
+ * GET /api/public/estimates/:token
+ * View a shared estimate
+ */
+router.get('/estimates/:token', asyncHandler(async (req, res) => {
+    const { estimate, owner } = req;
+
+    await recordShareLinkView(req.shareLink);
+
+    res.json({
+        success: true,
+        estimate: {
+            estimate_number: estimate.estimate_number,
+            status: estimate.status,
+            currency: estimate.currency,
+            issue_date: estimate.issue_date,
+            expiry_date: estimate.expiry_date,
+            subtotal: estimate.subtotal,
+            tax_rate: estimate.tax_rate,
+            tax_amount: estimate.tax_amount,
+            discount_amount: estimate.discount_amount,
+            total: estimate.total,
+            notes: estimate.notes,
+            terms: estimate.terms,
+            accepted_at: estimate.accepted_at,
+            declined_at: estimate.declined_at,
+            client: estimate.client,
+            items: estimate.items
+        },
+        business: toBusinessInfo(owner)
+    });
+}));
+
+/**
+ * GET /api/public/estimates/:token/pdf
+ * Download a shared estimate as PDF
+ */
+router.get('/estimates/:token/pdf', asyncHandler(async (req, res) => {
+    const { estimate, owner } = req;
+
+    const pdfBuffer = await generateEstimatePDF(estimate, owner);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${estimate.estimate_number}.pdf"`);
+    res.send(pdfBuffer);
+}));
+
+/**
+ * POST /api/public/estimates/:token/accept
+ * Client accepts the estimate
+ */
+router.post('/estimates/:token/accept', asyncHandler(async (req, res) => {
+    const { estimate } = req;
+
+    assertEstimateOpen(estimate);
+
+    await closeEstimate(estimate, { status: 'accepted', accepted_at: new Date().toISOString() });
+
+    await supabase.from('audit_logs').insert({
+        user_id: estimate.user_id,
+        action: 'ESTIMATE_ACCEPTED',
+        entity_type: 'estimate',
+        entity_id: estimate.id,
+        new_values: { by: 'client' },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+    });
+
+    res.json({ success: true, message: 'Thank you! The estimate has been accepted.' });
+}));
+
+/**
+ * POST /api/public/estimates/:token/decline
+ * Client declines the estimate
+ */
+router.post('/estimates/:token/decline', asyncHandler(async (req, res) => {
+    const { estimate } = req;
+    const reason = sanitizeString(req.body.reason);
+
+    assertEstimateOpen(estimate);
+
+    await closeEstimate(estimate, {
+        status: 'declined',
+        declined_at: new Date().toISOString(),
+        decline_reason: reason
+    });
+
+    await supabase.from('audit_logs').insert({
+        user_id: estimate.user_id,
+        action: 'ESTIMATE_DECLINED',
+        entity_type: 'estimate',
+        entity_id: estimate.id,
+        new_values: { by: 'client', reason },
+        ip_address: req.ip,
+        user_agent: req.get('user-agent')
+    });
+
+    res.json({ success: true, message: 'The estimate has been declined.' });
+}));
+
+module.exports = router;
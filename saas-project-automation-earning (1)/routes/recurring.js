@@ -0,0 +1,327 @@
+/**
+ * Recurring Profile Routes
+ * Templates that generate invoices on a schedule
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { sanitizeString, validations } = require('../middleware/validate');
+const { generateFromProfile } = require('../services/recurringService');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Build profile item rows
+ */
+function buildProfileItems(profileId, items) {
+    return items.map((item, index) => ({
+        id: uuidv4(),
+        profile_id: profileId,
+        description: sanitizeString(item.description),
+        quantity: item.quantity,
+        unit_price: item.price,
+        sort_order: index
+    }));
+}
+
+/**
+ * Load a profile owned by the current user
+ */
+async function getOwnedProfile(profileId, userId) {
+    const { data: profile, error } = await supabase
+        .from('recurring_profiles')
+        .select(`
+            *,
+            client:clients(id, name, email, company),
+            items:recurring_profile_items(id, description, quantity, unit_price, sort_order)
+        `)
+        .eq('id', profileId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !profile) {
+        throw new APIError('Recurring profile not found', 404);
+    }
+
+    return profile;
+}
+
+/**
+ * Verify client belongs to user
+ */
+async function assertClientOwned(clientId, userId) {
+    const { data: client, error } = await supabase
+        .from('clients')
+        .select('id')
+        .eq('id', clientId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !client) {
+        throw new APIError('Client not found', 404);
+    }
+}
+
+/**
+ * GET /api/recurring-profiles
+ * Get all recurring profiles for user
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const { is_active, client_id } = req.query;
+
+    let query = supabase
+        .from('recurring_profiles')
+        .select(`
+            *,
+            client:clients(id, name, email, company)
+        `)
+        .eq('user_id', req.userId)
+        .order('next_run_date', { ascending: true });
+
+    if (is_active !== undefined) {
+        query = query.eq('is_active', is_active === 'true');
+    }
+
+    if (client_id) {
+        query = query.eq('client_id', client_id);
+    }
+
+    const { data: profiles, error } = await query;
+
+    if (error) {
+        throw new APIError('Failed to fetch recurring profiles', 500);
+    }
+
+    res.json({ success: true, profiles });
+}));
+
+/**
+ * GET /api/recurring-profiles/:id
+ * Get single profile with items and generated invoices
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+    const profile = await getOwnedProfile(req.params.id, req.userId);
+
+    const { data: invoices } = await supabase
+        .from('invoices')
+        .select('id, invoice_number, status, total, issue_date, due_date')
+        .eq('recurring_profile_id', profile.id)
+        .order('issue_date', { ascending: false });
+
+    res.json({ success: true, profile, invoices: invoices || [] });
+}));
+
+/**
+ * POST /api/recurring-profiles
+ * Create recurring profile
+ */
+router.post('/', validations.createRecurringProfile, asyncHandler(async (req, res) => {
+    const {
+        client_id, name, items, frequency, interval_days, start_date, end_date,
+        due_in_days = 30, currency, tax_rate = 0, discount_amount = 0,
+        notes, terms, auto_send = false
+    } = req.body;
+
+    await assertClientOwned(client_id, req.userId);
+
+    if (end_date && end_date < start_date) {
+        throw new APIError('End date must be after start date', 400);
+    }
+
+    const profileId = uuidv4();
+    const { data: profile, error } = await supabase
+        .from('recurring_profiles')
+        .insert({
+            id: profileId,
+            user_id: req.userId,
+            client_id,
+            name: sanitizeString(name),
+            frequency,
+            interval_days: frequency === 'custom' ? parseInt(interval_days) : null,
+            start_date,
+            end_date: end_date || null,
+            next_run_date: start_date,
+            due_in_days: parseInt(due_in_days),
+            currency: currency || null,
+            tax_rate,
+            discount_amount,
+            notes: sanitizeString(notes),
+            terms: sanitizeString(terms),
+            auto_send: Boolean(auto_send)
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to create recurring profile', 500);
+    }
+
+    const profileItems = buildProfileItems(profileId, items);
+
+    const { error: itemsError } = await supabase
+        .from('recurring_profile_items')
+        .insert(profileItems);
+
+    if (itemsError) {
+        // Rollback profile
+        await supabase.from('recurring_profiles').delete().eq('id', profileId);
+        throw new APIError('Failed to create recurring profile items', 500);
+    }
+
+    // Log audit
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'RECURRING_PROFILE_CREATED',
+        entity_type: 'recurring_profile',
+        entity_id: profileId,
+        new_values: { client_id, frequency, start_date },
+        ip_address: req.ip
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Recurring profile created successfully',
+        profile: { ...profile, items: profileItems }
+    });
+}));
+
+/**
+ * PUT /api/recurring-profiles/:id
+ * Update recurring profile
+ * Changing the schedule restarts it from the (new) start date
+ */
+router.put('/:id', validations.updateRecurringProfile, asyncHandler(async (req, res) => {
+    const existing = await getOwnedProfile(req.params.id, req.userId);
+    const {
+        client_id, name, items, frequency, interval_days, start_date, end_date,
+        due_in_days, currency, tax_rate, discount_amount, notes, terms, auto_send, is_active
+    } = req.body;
+
+    const updateData = {};
+
+    if (client_id && client_id !== existing.client_id) {
+        await assertClientOwned(client_id, req.userId);
+        updateData.client_id = client_id;
+    }
+
+    if (name !== undefined) updateData.name = sanitizeString(name);
+    if (due_in_days !== undefined) updateData.due_in_days = parseInt(due_in_days);
+    if (currency !== undefined) updateData.currency = currency || null;
+    if (tax_rate !== undefined) updateData.tax_rate = tax_rate;
+    if (discount_amount !== undefined) updateData.discount_amount = discount_amount;
+    if (notes !== undefined) updateData.notes = sanitizeString(notes);
+    if (terms !== undefined) updateData.terms = sanitizeString(terms);
+    if (auto_send !== undefined) updateData.auto_send = Boolean(auto_send);
+    if (is_active !== undefined) updateData.is_active = Boolean(is_active);
+    if (end_date !== undefined) updateData.end_date = end_date || null;
+
+    const scheduleChanged = [frequency, interval_days, start_date].some(value => value !== undefined);
+
+    if (scheduleChanged) {
+        const newFrequency = frequency || existing.frequency;
+        const newStart = start_date || existing.start_date;
+
+        updateData.frequency = newFrequency;
+        updateData.interval_days = newFrequency === 'custom' ? parseInt(interval_days || existing.interval_days) : null;
+        updateData.start_date = newStart;
+        updateData.next_run_date = newStart;
+        updateData.occurrences = 0;
+
+        if (newFrequency === 'custom' && !(updateData.interval_days > 0)) {
+            throw new APIError('Custom schedules need interval_days', 400);
+        }
+    }
+
+    const endDate = updateData.end_date !== undefined ? updateData.end_date : existing.end_date;
+    if (endDate && endDate < (updateData.start_date || existing.start_date)) {
+        throw new APIError('End date must be after start date', 400);
+    }
+
+    if (items) {
+        // Delete old items and insert new
+        await supabase.from('recurring_profile_items').delete().eq('profile_id', existing.id);
+
+        const { error: itemsError } = await supabase
+            .from('recurring_profile_items')
+            .insert(buildProfileItems(existing.id, items));
+
+        if (itemsError) {
+            throw new APIError('Failed to update recurring profile items', 500);
+        }
+    }
+
+    const { error } = await supabase
+        .from('recurring_profiles')
+        .update(updateData)
+        .eq('id', existing.id);
+
+    if (error) {
+        throw new APIError('Failed to update recurring profile', 500);
+    }
+
+    const profile = await getOwnedProfile(existing.id, req.userId);
+
+    res.json({ success: true, message: 'Recurring profile updated', profile });
+}));
+
+/**
+ * POST /api/recurring-profiles/:id/generate
+ * Generate the next scheduled invoice now
+ */
+router.post('/:id/generate', asyncHandler(async (req, res) => {
+    const profile = await getOwnedProfile(req.params.id, req.userId);
+
+    if (!profile.is_active) {
+        throw new APIError('Recurring profile is not active', 400);
+    }
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, email, name, business_name, address, phone, plan, default_currency')
+        .eq('id', req.userId)
+        .single();
+
+    const { invoice, sent, profile: updatedProfile, skipped } = await generateFromProfile(profile, user, { ip: req.ip });
+
+    if (skipped === 'claimed') {
+        throw new APIError('This run is already being generated, please refresh', 409, 'CONFLICT');
+    }
+
+    if (!invoice) {
+        throw new APIError('Recurring profile has passed its end date and is now completed', 400);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: sent ? 'Invoice generated and sent' : 'Invoice generated',
+        invoice,
+        profile: updatedProfile
+    });
+}));
+
+/**
+ * DELETE /api/recurring-profiles/:id
+ * Delete recurring profile (generated invoices are kept)
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const profile = await getOwnedProfile(req.params.id, req.userId);
+
+    const { error } = await supabase
+        .from('recurring_profiles')
+        .delete()
+        .eq('id', profile.id);
+
+    if (error) {
+        throw new APIError('Failed to delete recurring profile', 500);
+    }
+
+    res.json({ success: true, message: 'Recurring profile deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,161 @@
+/**
+ * Tax Rate Routes
+ * Named taxes (e.g. "VAT 20%", "GST", "PST") applied to individual invoice lines
+ */
+
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { authenticate } = require('../middleware/auth');
+const { asyncHandler, APIError } = require('../middleware/errorHandler');
+const { sanitizeString, validations } = require('../middleware/validate');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Load a tax rate owned by the current user
+ */
+async function getOwnedTaxRate(taxRateId, userId) {
+    const { data: taxRate, error } = await supabase
+        .from('tax_rates')
+        .select('*')
+        .eq('id', taxRateId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !taxRate) {
+        throw new APIError('Tax rate not found', 404);
+    }
+
+    return taxRate;
+}
+
+/**
+ * GET /api/tax-rates
+ * Get all tax rates for user (archived rates with ?include_inactive=true)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    let query = supabase
+        .from('tax_rates')
+        .select('*')
+        .eq('user_id', req.userId)
+        .order('name', { ascending: true });
+
+    if (req.query.include_inactive !== 'true') {
+        query = query.eq('is_active', true);
+    }
+
+    const { data: taxRates, error } = await query;
+
+    if (error) {
+        throw new APIError('Failed to fetch tax rates', 500);
+    }
+
+    res.json({ success: true, tax_rates: taxRates });
+}));
+
+/**
+ * POST /api/tax-rates
+ * Create tax rate
+ */
+router.post('/', validations.createTaxRate, asyncHandler(async (req, res) => {
+    const { name, rate, is_compound = false } = req.body;
+
+    const { data: taxRate, error } = await supabase
+        .from('tax_rates')
+        .insert({
+            id: uuidv4(),
+            user_id: req.userId,
+            name: sanitizeString(name),
+            rate,
+            is_compound: Boolean(is_compound)
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to create tax rate', 500);
+    }
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'TAX_RATE_CREATED',
+        entity_type: 'tax_rate',
+        entity_id: taxRate.id,
+        new_values: { name: taxRate.name, rate: taxRate.rate, is_compound: taxRate.is_compound },
+        ip_address: req.ip
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Tax rate created successfully',
+        tax_rate: taxRate
+    });
+}));
+
+/**
+ * PUT /api/tax-rates/:id
+ * Update tax rate
+ * Issued invoices keep the name and rate they were created with
+ */
+router.put('/:id', validations.updateTaxRate, asyncHandler(async (req, res) => {
+    const existing = await getOwnedTaxRate(req.params.id, req.userId);
+    const { name, rate, is_compound, is_active } = req.body;
+
+    const updateData = {};
+    if (name !== undefined) updateData.name = sanitizeString(name);
+    if (rate !== undefined) updateData.rate = rate;
+    if (is_compound !== undefined) updateData.is_compound = Boolean(is_compound);
+    if (is_active !== undefined) updateData.is_active = Boolean(is_active);
+
+    const { data: taxRate, error } = await supabase
+        .from('tax_rates')
+        .update(updateData)
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to update tax rate', 500);
+    }
+
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'TAX_RATE_UPDATED',
+        entity_type: 'tax_rate',
+        entity_id: taxRate.id,
+        old_values: { name: existing.name, rate: existing.rate, is_compound: existing.is_compound },
+        new_values: updateData,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Tax rate updated successfully',
+        tax_rate: taxRate
+    });
+}));
+
+/**
+ * DELETE /api/tax-rates/:id
+ * Archive tax rate - it stays on existing invoices but can't be used on new lines
+ */
+router.delete('/:id', asyncHandler(async (req, res) => {
+    const taxRate = await getOwnedTaxRate(req.params.id, req.userId);
+
+    const { error } = await supabase
+        .from('tax_rates')
+        .update({ is_active: false })
+        .eq('id', taxRate.id);
+
+    if (error) {
+        throw new APIError('Failed to archive tax rate', 500);
+    }
+
+    res.json({ success: true, message: 'Tax rate archived' });
+}));
+
+module.exports = router;
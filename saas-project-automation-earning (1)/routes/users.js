@@ -6,15 +6,44 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { supabase } = require('../config/database');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requirePlan } = require('../middleware/auth');
 const { asyncHandler, APIError } = require('../middleware/errorHandler');
 const { sanitizeString } = require('../middleware/validate');
+const { getReminderSettings } = require('../services/reminderService');
+const { getLateFeePolicy, saveLateFeePolicy } = require('../services/lateFeeService');
+const { parsePaymentTerms, formatPaymentTerms } = require('../services/paymentTermsService');
+const { isValidCurrency, sumByCurrency } = require('../services/currencyService');
+const { DOCUMENT_TYPES, getNumberSequences, saveNumberSequence } = require('../services/numberingService');
+const {
+    TEMPLATES,
+    FONTS,
+    OPTIONAL_FIELDS,
+    getBranding,
+    validateBranding,
+    validateLogo,
+    saveBranding
+} = require('../services/templateService');
+const { getSampleInvoice, renderInvoiceHTML } = require('../services/previewService');
+const { generateInvoicePDF } = require('../services/pdfService');
+const { isValidCountry, normalizeVatId, isValidVatId } = require('../services/facturXService');
+const { renderInvoicePDF, renderInvoicePreview } = require('../services/invoiceActionService');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+/**
+ * Account default terms as text, e.g. "2/10 net 30"
+ */
+function toPaymentTermsLabel(user) {
+    return formatPaymentTerms({
+        discount_rate: user.early_discount_rate,
+        discount_days: user.early_discount_days,
+        net_days: user.payment_terms
+    });
+}
+
 /**
  * GET /api/users/profile
  * Get user profile
@@ -22,7 +51,7 @@ router.use(authenticate);
 router.get('/profile', asyncHandler(async (req, res) => {
     const { data: user, error } = await supabase
         .from('users')
-        .select('id, email, name, business_name, address, phone, logo_url, plan, plan_expires_at, payment_terms, created_at')
+        .select('id, email, name, business_name, address, phone, vat_id, country, vat_exemption_reason, logo_url, plan, plan_expires_at, payment_terms, early_discount_rate, early_discount_days, default_currency, created_at')
         .eq('id', req.userId)
         .single();
 
@@ -32,7 +61,7 @@ router.get('/profile', asyncHandler(async (req, res) => {
 
     res.json({
         success: true,
-        user
+        user: { ...user, payment_terms_label: toPaymentTermsLabel(user) }
     });
 }));
 
@@ -41,20 +70,43 @@ router.get('/profile', asyncHandler(async (req, res) => {
  * Update user profile
  */
 router.put('/profile', asyncHandler(async (req, res) => {
-    const { name, business_name, address, phone, payment_terms } = req.body;
+    const { name, business_name, address, phone, payment_terms, default_currency, vat_id, country, vat_exemption_reason } = req.body;
+
+    if (default_currency !== undefined && !isValidCurrency(default_currency)) {
+        throw new APIError('Invalid currency code', 400);
+    }
+
+    if (vat_id && !isValidVatId(normalizeVatId(vat_id))) {
+        throw new APIError('Invalid VAT ID', 400);
+    }
+
+    if (country && !isValidCountry(country.toUpperCase())) {
+        throw new APIError('Invalid country code', 400);
+    }
 
     const updateData = {};
     if (name) updateData.name = sanitizeString(name);
     if (business_name !== undefined) updateData.business_name = sanitizeString(business_name);
     if (address !== undefined) updateData.address = sanitizeString(address);
     if (phone !== undefined) updateData.phone = sanitizeString(phone);
-    if (payment_terms) updateData.payment_terms = parseInt(payment_terms);
+    if (vat_id !== undefined) updateData.vat_id = vat_id ? normalizeVatId(vat_id) : null;
+    if (country !== undefined) updateData.country = country ? country.toUpperCase() : null;
+    if (vat_exemption_reason !== undefined) updateData.vat_exemption_reason = vat_exemption_reason ? sanitizeString(vat_exemption_reason) : null;
+
+    // A day count or structured terms such as "2/10 net 30"
+    if (payment_terms) {
+        const { discount_rate, discount_days, net_days } = parsePaymentTerms(payment_terms);
+        if (net_days !== null) updateData.payment_terms = net_days;
+        updateData.early_discount_rate = discount_rate;
+        updateData.early_discount_days = discount_days;
+    }
+    if (default_currency) updateData.default_currency = default_currency.toUpperCase();
 
     const { data: user, error } = await supabase
         .from('users')
         .update(updateData)
         .eq('id', req.userId)
-        .select('id, email, name, business_name, address, phone, plan, payment_terms')
+        .select('id, email, name, business_name, address, phone, vat_id, country, vat_exemption_reason, plan, payment_terms, early_discount_rate, early_discount_days, default_currency')
         .single();
 
     if (error) {
@@ -74,7 +126,251 @@ router.put('/profile', asyncHandler(async (req, res) => {
     res.json({
         success: true,
         message: 'Profile updated successfully',
-        user
+        user: { ...user, payment_terms_label: toPaymentTermsLabel(user) }
+    });
+}));
+
+/**
+ * GET /api/users/reminder-settings
+ * Get automated payment reminder cadence
+ */
+router.get('/reminder-settings', asyncHandler(async (req, res) => {
+    const settings = await getReminderSettings(req.userId);
+
+    res.json({
+        success: true,
+        settings: {
+            is_enabled: settings.is_enabled,
+            days_before_due: settings.days_before_due,
+            on_due_date: settings.on_due_date,
+            repeat_every_days: settings.repeat_every_days,
+            max_reminders: settings.max_reminders
+        }
+    });
+}));
+
+/**
+ * PUT /api/users/reminder-settings
+ * Update automated payment reminder cadence
+ */
+router.put('/reminder-settings', requirePlan('pro', 'business'), asyncHandler(async (req, res) => {
+    const { is_enabled, days_before_due, on_due_date, repeat_every_days, max_reminders } = req.body;
+
+    const updateData = {};
+    if (is_enabled !== undefined) updateData.is_enabled = Boolean(is_enabled);
+    if (on_due_date !== undefined) updateData.on_due_date = Boolean(on_due_date);
+
+    if (days_before_due !== undefined) {
+        const days = Array.isArray(days_before_due) ? days_before_due.map(d => parseInt(d)) : [];
+        if (!Array.isArray(days_before_due) || days.some(d => isNaN(d) || d < 1 || d > 90)) {
+            throw new APIError('days_before_due must be a list of days between 1 and 90', 400);
+        }
+        updateData.days_before_due = [...new Set(days)].sort((a, b) => b - a);
+    }
+
+    if (repeat_every_days !== undefined) {
+        const days = parseInt(repeat_every_days);
+        if (isNaN(days) || days < 0 || days > 90) {
+            throw new APIError('repeat_every_days must be between 0 and 90', 400);
+        }
+        updateData.repeat_every_days = days;
+    }
+
+    if (max_reminders !== undefined) {
+        const max = parseInt(max_reminders);
+        if (isNaN(max) || max < 1 || max > 20) {
+            throw new APIError('max_reminders must be between 1 and 20', 400);
+        }
+        updateData.max_reminders = max;
+    }
+
+    const { data: settings, error } = await supabase
+        .from('reminder_settings')
+        .upsert({ user_id: req.userId, ...updateData }, { onConflict: 'user_id' })
+        .select('is_enabled, days_before_due, on_due_date, repeat_every_days, max_reminders')
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to update reminder settings', 500);
+    }
+
+    // Log audit
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'REMINDER_SETTINGS_UPDATED',
+        entity_type: 'user',
+        entity_id: req.userId,
+        new_values: updateData,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Reminder settings updated',
+        settings
+    });
+}));
+
+/**
+ * GET /api/users/late-fee-policy
+ * Get the account's late fee policy (clients without their own policy use it)
+ */
+router.get('/late-fee-policy', asyncHandler(async (req, res) => {
+    const policy = await getLateFeePolicy(req.userId);
+
+    res.json({ success: true, policy });
+}));
+
+/**
+ * PUT /api/users/late-fee-policy
+ * Update the account's late fee policy
+ */
+router.put('/late-fee-policy', asyncHandler(async (req, res) => {
+    const { policy, changes } = await saveLateFeePolicy(req.userId, null, req.body);
+
+    // Log audit
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'LATE_FEE_POLICY_UPDATED',
+        entity_type: 'user',
+        entity_id: req.userId,
+        new_values: changes,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Late fee policy updated',
+        policy
+    });
+}));
+
+/**
+ * GET /api/users/branding
+ * Get the invoice template, logo and branding, with the choices available
+ */
+router.get('/branding', asyncHandler(async (req, res) => {
+    const branding = await getBranding(req.userId);
+
+    res.json({
+        success: true,
+        branding,
+        templates: Object.entries(TEMPLATES).map(([id, template]) => ({ id, label: template.label })),
+        fonts: Object.entries(FONTS).map(([id, font]) => ({ id, label: font.label })),
+        optional_fields: OPTIONAL_FIELDS
+    });
+}));
+
+/**
+ * PUT /api/users/branding
+ * Update the invoice template, logo and branding
+ */
+router.put('/branding', asyncHandler(async (req, res) => {
+    const { branding, changes } = await saveBranding(req.userId, req.body);
+
+    // Log audit
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'BRANDING_UPDATED',
+        entity_type: 'user',
+        entity_id: req.userId,
+        new_values: changes,
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Branding updated',
+        branding
+    });
+}));
+
+/**
+ * POST /api/users/branding/preview
+ * Preview branding settings before saving them, as HTML or a PDF (format: 'pdf'),
+ * on one of the account's invoices (invoice_id) or an example invoice
+ */
+router.post('/branding/preview', asyncHandler(async (req, res) => {
+    const { invoice_id, format = 'html', logo } = req.body;
+
+    if (!['html', 'pdf'].includes(format)) {
+        throw new APIError('format must be html or pdf', 400);
+    }
+
+    const current = await getBranding(req.userId);
+    const branding = {
+        ...current,
+        ...validateBranding(req.body),
+        logo_url: logo === undefined ? current.logo_url : (logo && validateLogo(logo))
+    };
+
+    const sample = getSampleInvoice(req.user.default_currency || undefined);
+
+    if (format === 'pdf') {
+        const pdf = invoice_id
+            ? (await renderInvoicePDF(req.user, invoice_id, { branding })).pdf
+            : await generateInvoicePDF(sample, req.user, { branding });
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', 'inline; filename="preview.pdf"');
+        return res.send(pdf);
+    }
+
+    const html = invoice_id
+        ? (await renderInvoicePreview(req.user, invoice_id, { branding })).html
+        : await renderInvoiceHTML(sample, req.user, { branding });
+
+    res.type('html').send(html);
+}));
+
+/**
+ * GET /api/users/number-sequences
+ * Get invoice, estimate and credit note numbering settings
+ */
+router.get('/number-sequences', asyncHandler(async (req, res) => {
+    const sequences = await getNumberSequences(req.userId);
+
+    res.json({ success: true, sequences });
+}));
+
+/**
+ * PUT /api/users/number-sequences/:documentType
+ * Update numbering settings for one document type (invoice, estimate, credit_note)
+ */
+router.put('/number-sequences/:documentType', asyncHandler(async (req, res) => {
+    const { documentType } = req.params;
+
+    if (!DOCUMENT_TYPES[documentType]) {
+        throw new APIError('Document type must be invoice, estimate or credit_note', 400);
+    }
+
+    const current = (await getNumberSequences(req.userId)).find(sequence => sequence.document_type === documentType);
+    const { pattern, prefix, padding, start_number, reset_yearly } = req.body;
+
+    const settings = {
+        pattern: pattern !== undefined ? pattern : current.pattern,
+        prefix: prefix !== undefined ? prefix : current.prefix,
+        padding: padding !== undefined ? parseInt(padding) : current.padding,
+        start_number: start_number !== undefined ? parseInt(start_number) : current.start_number,
+        reset_yearly: reset_yearly !== undefined ? Boolean(reset_yearly) : current.reset_yearly
+    };
+
+    const sequence = await saveNumberSequence(req.userId, documentType, settings);
+
+    // Log audit
+    await supabase.from('audit_logs').insert({
+        user_id: req.userId,
+        action: 'NUMBER_SEQUENCE_UPDATED',
+        entity_type: 'user',
+        entity_id: req.userId,
+        new_values: { document_type: documentType, ...settings },
+        ip_address: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Numbering settings updated',
+        sequence
     });
 }));
 
@@ -210,11 +506,12 @@ router.delete('/account', asyncHandler(async (req, res) => {
  * Get dashboard statistics
  */
 router.get('/dashboard-stats', asyncHandler(async (req, res) => {
-    // Get invoice stats
+    // Get invoice stats (void invoices count towards nothing)
     const { data: invoices } = await supabase
         .from('invoices')
-        .select('status, total, created_at')
-        .eq('user_id', req.userId);
+        .select('status, currency, total, paid_amount, balance_due, created_at')
+        .eq('user_id', req.userId)
+        .neq('status', 'void');
 
     // Get client count
     const { count: clientCount } = await supabase
@@ -237,24 +534,31 @@ router.get('/dashboard-stats', asyncHandler(async (req, res) => {
                date.getFullYear() === lastMonthDate.getFullYear();
     }) || [];
 
-    const thisMonthRevenue = thisMonth.filter(i => i.status === 'paid').reduce((sum, i) => sum + parseFloat(i.total), 0);
-    const lastMonthRevenue = lastMonth.filter(i => i.status === 'paid').reduce((sum, i) => sum + parseFloat(i.total), 0);
+    // Amounts are reported per currency - mixed currencies can't be added up
+    const thisMonthRevenue = sumByCurrency(thisMonth, 'paid_amount');
+    const lastMonthRevenue = sumByCurrency(lastMonth, 'paid_amount');
 
-    const revenueGrowth = lastMonthRevenue > 0 
-        ? ((thisMonthRevenue - lastMonthRevenue) / lastMonthRevenue * 100).toFixed(1)
-        : thisMonthRevenue > 0 ? 100 : 0;
+    const revenueGrowth = {};
+    for (const currency of new Set([...Object.keys(thisMonthRevenue), ...Object.keys(lastMonthRevenue)])) {
+        const current = thisMonthRevenue[currency] || 0;
+        const previous = lastMonthRevenue[currency] || 0;
+
+        revenueGrowth[currency] = previous > 0
+            ? parseFloat(((current - previous) / previous * 100).toFixed(1))
+            : current > 0 ? 100 : 0;
+    }
 
     res.json({
         success: true,
         stats: {
-            total_revenue: invoices?.filter(i => i.status === 'paid').reduce((sum, i) => sum + parseFloat(i.total), 0) || 0,
-            pending_amount: invoices?.filter(i => i.status === 'pending').reduce((sum, i) => sum + parseFloat(i.total), 0) || 0,
-            overdue_amount: invoices?.filter(i => i.status === 'overdue').reduce((sum, i) => sum + parseFloat(i.total), 0) || 0,
+            total_revenue: sumByCurrency(invoices || [], 'paid_amount'),
+            pending_amount: sumByCurrency(invoices?.filter(i => ['pending', 'partially_paid'].includes(i.status)) || [], 'balance_due'),
+            overdue_amount: sumByCurrency(invoices?.filter(i => i.status === 'overdue') || [], 'balance_due'),
             total_invoices: invoices?.length || 0,
             total_clients: clientCount || 0,
             this_month_revenue: thisMonthRevenue,
-            revenue_growth: parseFloat(revenueGrowth),
-            pending_count: invoices?.filter(i => i.status === 'pending').length || 0,
+            revenue_growth: revenueGrowth,
+            pending_count: invoices?.filter(i => ['pending', 'partially_paid'].includes(i.status)).length || 0,
             overdue_count: invoices?.filter(i => i.status === 'overdue').length || 0
         }
     });
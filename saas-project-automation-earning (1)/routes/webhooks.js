@@ -8,6 +8,8 @@ const Stripe = require('stripe');
 const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config/database');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { recordInvoicePayment, syncInvoiceBalance } = require('../services/paymentService');
+const { fromMinorUnits } = require('../services/currencyService');
 
 const router = express.Router();
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -225,29 +227,43 @@ async function handlePaymentIntentSucceeded(paymentIntent) {
         return;
     }
 
-    // Mark invoice as paid
-    await supabase
+    const { data: invoice } = await supabase
         .from('invoices')
-        .update({
-            status: 'paid',
-            paid_at: new Date().toISOString(),
-            paid_amount: paymentIntent.amount / 100,
-            payment_method: 'stripe'
-        })
-        .eq('id', invoiceId);
-
-    // Record payment
-    await supabase.from('payments').insert({
-        id: uuidv4(),
-        invoice_id: invoiceId,
-        user_id: userId,
-        amount: paymentIntent.amount / 100,
+        .select('id, user_id, status, total, currency, paid_amount, credited_amount, paid_at')
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+    if (!invoice) {
+        console.error('Could not find invoice for payment intent:', paymentIntent.id);
+        return;
+    }
+
+    // Record the amount actually charged - the invoice is only paid once its balance reaches zero.
+    // A client charged the early-payment price keeps the discount even if the charge
+    // completes after the window, so the payment is dated when it was started.
+    const result = await recordInvoicePayment(invoice, {
+        amount: fromMinorUnits(paymentIntent.amount_received, paymentIntent.currency),
         payment_method: 'stripe',
         stripe_payment_id: paymentIntent.id,
-        status: 'completed'
+        ...(paymentIntent.metadata.early_payment_discount && {
+            paid_at: new Date(paymentIntent.created * 1000).toISOString()
+        })
     });
 
-    console.log(`Invoice ${invoiceId} paid via Stripe`);
+    if (!result) {
+        // Retried event - make sure the balance and status reflect the payment recorded the first time
+        await syncInvoiceBalance(invoice);
+        console.log(`Payment intent ${paymentIntent.id} already recorded`);
+        return;
+    }
+
+    if (result.refunded) {
+        console.log(`Payment intent ${paymentIntent.id} refunded: invoice ${invoiceId} is ${invoice.status}`);
+        return;
+    }
+
+    console.log(`Invoice ${invoiceId} received ${result.payment.amount} via Stripe (${result.invoice.status})`);
 }
 
 module.exports = router;
@@ -20,11 +20,20 @@ const clientRoutes = require('./routes/clients');
 const invoiceRoutes = require('./routes/invoices');
 const paymentRoutes = require('./routes/payments');
 const webhookRoutes = require('./routes/webhooks');
+const publicRoutes = require('./routes/public');
+const recurringRoutes = require('./routes/recurring');
+const estimateRoutes = require('./routes/estimates');
+const creditNoteRoutes = require('./routes/creditNotes');
+const taxRateRoutes = require('./routes/taxRates');
+const catalogRoutes = require('./routes/catalog');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { requestLogger } = require('./middleware/logger');
 
+// Import background jobs
+const { startJobs, stopJobs } = require('./jobs');
+
 const app = express();
 
 // =====================================================
@@ -117,8 +126,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/recurring-profiles', recurringRoutes);
+app.use('/api/estimates', estimateRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/catalog', catalogRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/webhooks', webhookRoutes);
+app.use('/api/public', publicRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -135,6 +150,16 @@ app.get('/api/health', (req, res) => {
 // SERVE FRONTEND
 // =====================================================
 
+// Client-facing invoice pay page (share link token in the URL)
+app.get('/pay/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'pay.html'));
+});
+
+// Client-facing estimate review page
+app.get('/estimate/:token', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'estimate.html'));
+});
+
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
@@ -164,11 +189,14 @@ const server = app.listen(PORT, () => {
 ║                                                       ║
 ╚═══════════════════════════════════════════════════════╝
     `);
+
+    startJobs();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    stopJobs();
     server.close(() => {
         console.log('Process terminated.');
         process.exit(0);
@@ -0,0 +1,363 @@
+/**
+ * Bulk Service
+ * Runs one invoice action over many invoices, inline or as a background job
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const {
+    sendInvoice,
+    remindInvoice,
+    markPaid,
+    cancelInvoice,
+    voidInvoice,
+    deleteInvoice,
+    renderInvoicePDF
+} = require('./invoiceActionService');
+const { applyInvoiceFilters } = require('./invoiceService');
+
+const MAX_BULK_INVOICES = 500;
+
+// Batches up to this size run inline and return their results directly
+const INLINE_LIMIT = 10;
+
+// A queued or running job that hasn't progressed for this long was interrupted (e.g. by a restart)
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+/**
+ * Bulk actions, each running the same checks as its single-invoice route
+ *
+ * run(user, invoiceId, options, context) returns extra result fields.
+ * `plans` mirrors requirePlan on the single route; `maxInvoices` caps
+ * actions whose results are large.
+ */
+const BULK_ACTIONS = {
+    send: {
+        plans: ['pro', 'business'],
+        run: async (user, invoiceId, options, { ip }) => {
+            const invoice = await sendInvoice(user, invoiceId, { ip });
+            return { invoice_number: invoice.invoice_number };
+        }
+    },
+    remind: {
+        plans: ['pro', 'business'],
+        run: async (user, invoiceId, options, { ip }) => {
+            const invoice = await remindInvoice(user, invoiceId, { ip });
+            return { invoice_number: invoice.invoice_number };
+        }
+    },
+    mark_paid: {
+        run: async (user, invoiceId, { payment_method = 'manual', notes }, { ip }) => {
+            const invoice = await markPaid(user, invoiceId, { payment_method, notes }, { ip });
+            return { invoice_number: invoice.invoice_number };
+        }
+    },
+    cancel: {
+        run: async (user, invoiceId, options, { ip }) => {
+            const invoice = await cancelInvoice(user, invoiceId, { ip });
+            return { invoice_number: invoice.invoice_number };
+        }
+    },
+    void: {
+        run: async (user, invoiceId, { reason }, { ip }) => {
+            const invoice = await voidInvoice(user, invoiceId, reason, { ip });
+            return { invoice_number: invoice.invoice_number };
+        }
+    },
+    delete: {
+        run: async (user, invoiceId) => {
+            const invoice = await deleteInvoice(user, invoiceId);
+            return { invoice_number: invoice.invoice_number };
+        }
+    },
+    pdf: {
+        maxInvoices: 50,
+        run: async (user, invoiceId) => {
+            const { invoice, pdf, filename } = await renderInvoicePDF(user, invoiceId);
+            return { invoice_number: invoice.invoice_number, filename, content: pdf.toString('base64') };
+        }
+    }
+};
+
+/**
+ * Check that an account may run an action on this many invoices
+ * @throws {APIError} 400 for unknown actions or too many invoices, 403 PLAN_REQUIRED
+ */
+function assertBulkAction(user, action, count) {
+    const definition = BULK_ACTIONS[action];
+
+    if (!definition) {
+        throw new APIError(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`, 400);
+    }
+
+    if (definition.plans && !definition.plans.includes(user.plan)) {
+        throw new APIError(`This feature requires ${definition.plans.join(' or ')} plan.`, 403, 'PLAN_REQUIRED');
+    }
+
+    const max = definition.maxInvoices || MAX_BULK_INVOICES;
+
+    if (count > max) {
+        throw new APIError(`The ${action} action can run on at most ${max} invoices at a time`, 400);
+    }
+}
+
+/**
+ * Work out which invoices a bulk request covers
+ *
+ * Explicit IDs are passed through as given, so IDs that don't exist or belong
+ * to another account get their own "not found" result. A filter only matches
+ * the account's own invoices.
+ * @param {string} userId - Owner
+ * @param {Object} target - { invoice_ids } or { filter: { status, client_id, issue_date_from, issue_date_to, due_date_from, due_date_to } }
+ * @returns {Promise<Array<string>>} Invoice IDs
+ */
+async function resolveInvoiceIds(userId, { invoice_ids, filter }) {
+    if (invoice_ids) {
+        return [...new Set(invoice_ids)];
+    }
+
+    const query = supabase
+        .from('invoices')
+        .select('id')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+        .limit(MAX_BULK_INVOICES + 1);
+
+    const { data: invoices, error } = await applyInvoiceFilters(query, filter);
+
+    if (error) {
+        throw new APIError('Failed to fetch invoices', 500);
+    }
+
+    return invoices.map(invoice => invoice.id);
+}
+
+/**
+ * Run an action on each invoice in turn; one invoice failing doesn't stop the rest
+ * @param {Object} user - Account running the action (req.user)
+ * @param {string} action - Key of BULK_ACTIONS
+ * @param {Array<string>} invoiceIds - Invoices to act on
+ * @param {Object} options - Action options (e.g. payment_method for mark_paid)
+ * @param {Object} context - { ip, onProgress(result) }
+ * @returns {Promise<Object>} { results, succeeded, failed }
+ */
+async function runBulkAction(user, action, invoiceIds, options = {}, { ip, onProgress } = {}) {
+    const { run } = BULK_ACTIONS[action];
+    const results = [];
+
+    for (const invoiceId of invoiceIds) {
+        let result;
+
+        try {
+            result = { invoice_id: invoiceId, success: true, ...await run(user, invoiceId, options, { ip }) };
+        } catch (error) {
+            result = {
+                invoice_id: invoiceId,
+                success: false,
+                // Same status and message the single-invoice route would have returned
+                status: error.statusCode || 500,
+                error: error.isOperational ? error.message : 'Unexpected error',
+                code: error.code || 'INTERNAL_ERROR'
+            };
+        }
+
+        results.push(result);
+
+        if (onProgress) {
+            await onProgress(result);
+        }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    await supabase.from('audit_logs').insert({
+        user_id: user.id,
+        action: 'INVOICES_BULK_ACTION',
+        entity_type: 'invoice',
+        new_values: { action, total: results.length, succeeded, failed: results.length - succeeded },
+        ip_address: ip
+    });
+
+    return { results, succeeded, failed: results.length - succeeded };
+}
+
+/**
+ * Queue a bulk action and start it in the background
+ * @returns {Promise<Object>} Job row (without results)
+ */
+async function createBulkJob(user, action, invoiceIds, options = {}, { ip } = {}) {
+    const { data: job, error } = await supabase
+        .from('bulk_jobs')
+        .insert({
+            user_id: user.id,
+            action,
+            invoice_ids: invoiceIds,
+            options,
+            total: invoiceIds.length
+        })
+        .select('id, action, status, total, processed, succeeded, failed, created_at')
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to create bulk job', 500);
+    }
+
+    setImmediate(() => {
+        processBulkJob(job.id, user, action, invoiceIds, options, { ip }).catch(jobError => {
+            console.error(`Bulk job ${job.id} failed:`, jobError);
+        });
+    });
+
+    return job;
+}
+
+/**
+ * Save one invoice's result to a job
+ * A generated file is stored on its own and the result links to it instead.
+ */
+async function saveJobResult(jobId, result) {
+    const { content, ...saved } = result;
+
+    if (content !== undefined) {
+        const { error } = await supabase
+            .from('bulk_job_files')
+            .insert({ job_id: jobId, invoice_id: result.invoice_id, filename: result.filename, content });
+
+        if (error) {
+            throw new Error(`Failed to save ${result.filename}: ${error.message}`);
+        }
+
+        saved.file_url = `/api/invoices/bulk/jobs/${jobId}/files/${result.invoice_id}`;
+    }
+
+    const { error } = await supabase.rpc('append_bulk_job_result', { p_job_id: jobId, p_result: saved });
+
+    if (error) {
+        throw new Error(`Failed to save progress: ${error.message}`);
+    }
+}
+
+/**
+ * Run a queued job, saving progress after every invoice so it can be polled
+ */
+async function processBulkJob(jobId, user, action, invoiceIds, options, { ip }) {
+    await supabase
+        .from('bulk_jobs')
+        .update({ status: 'running', started_at: new Date().toISOString() })
+        .eq('id', jobId);
+
+    try {
+        const { succeeded, failed } = await runBulkAction(user, action, invoiceIds, options, {
+            ip,
+            onProgress: result => saveJobResult(jobId, result)
+        });
+
+        await supabase
+            .from('bulk_jobs')
+            .update({ status: 'completed', succeeded, failed, completed_at: new Date().toISOString() })
+            .eq('id', jobId);
+    } catch (error) {
+        await supabase
+            .from('bulk_jobs')
+            .update({ status: 'failed', error: error.message, completed_at: new Date().toISOString() })
+            .eq('id', jobId);
+
+        throw error;
+    }
+}
+
+/**
+ * Get a bulk job owned by a user, marking it failed if it was interrupted
+ * @throws {APIError} 404 if the job doesn't exist
+ */
+async function getBulkJob(userId, jobId) {
+    const { data: job, error } = await supabase
+        .from('bulk_jobs')
+        .select('id, action, status, total, processed, succeeded, failed, results, error, created_at, started_at, completed_at, updated_at')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !job) {
+        throw new APIError('Bulk job not found', 404);
+    }
+
+    const isStale = ['queued', 'running'].includes(job.status)
+        && Date.now() - new Date(job.updated_at).getTime() > STALE_AFTER_MS;
+
+    if (isStale) {
+        const interrupted = {
+            status: 'failed',
+            error: `Job was interrupted after ${job.processed} of ${job.total} invoices`,
+            completed_at: new Date().toISOString()
+        };
+
+        await supabase.from('bulk_jobs').update(interrupted).eq('id', job.id);
+
+        return { ...job, ...interrupted };
+    }
+
+    return job;
+}
+
+/**
+ * A file generated by one of a user's bulk jobs
+ * @returns {Promise<Object>} { filename, content: Buffer }
+ * @throws {APIError} 404 if the job or file doesn't exist
+ */
+async function getBulkJobFile(userId, jobId, invoiceId) {
+    const { data: job } = await supabase
+        .from('bulk_jobs')
+        .select('id')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .single();
+
+    if (!job) {
+        throw new APIError('Bulk job not found', 404);
+    }
+
+    const { data: file, error } = await supabase
+        .from('bulk_job_files')
+        .select('filename, content')
+        .eq('job_id', job.id)
+        .eq('invoice_id', invoiceId)
+        .single();
+
+    if (error || !file) {
+        throw new APIError('File not found', 404);
+    }
+
+    return { filename: file.filename, content: Buffer.from(file.content, 'base64') };
+}
+
+/**
+ * Recent bulk jobs for an account, newest first (results left out)
+ */
+async function listBulkJobs(userId, limit = 20) {
+    const { data: jobs, error } = await supabase
+        .from('bulk_jobs')
+        .select('id, action, status, total, processed, succeeded, failed, error, created_at, completed_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        throw new APIError('Failed to fetch bulk jobs', 500);
+    }
+
+    return jobs;
+}
+
+module.exports = {
+    BULK_ACTIONS,
+    MAX_BULK_INVOICES,
+    INLINE_LIMIT,
+    assertBulkAction,
+    resolveInvoiceIds,
+    runBulkAction,
+    createBulkJob,
+    getBulkJob,
+    getBulkJobFile,
+    listBulkJobs
+};
@@ -0,0 +1,326 @@
+/**
+ * Catalog Service
+ * Products and services that invoice lines can be filled from
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { sanitizeString } = require('../middleware/validate');
+const { loadTaxRates } = require('./taxService');
+
+const CATALOG_UNITS = ['hour', 'day', 'piece'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+// SKUs looked up per request during an import, to keep the query string short
+const SKU_LOOKUP_BATCH = 100;
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, "" escapes, CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows, with blank lines dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Check and normalise catalog item fields
+ * @param {Object} data - { name, description, unit, default_price, sku, tax_rate_ids }
+ * @param {boolean} partial - Only check the fields that are present (updates)
+ * @returns {Object} Fields to save
+ * @throws {APIError} 400 on invalid input
+ */
+function normalizeCatalogItem(data, partial = false) {
+    const item = {};
+
+    if (!partial || data.name !== undefined) {
+        const name = sanitizeString(data.name || '');
+        if (!name || name.length > 200) {
+            throw new APIError('Name is required and must be at most 200 characters', 400);
+        }
+        item.name = name;
+    }
+
+    if (data.description !== undefined) {
+        item.description = sanitizeString(data.description) || null;
+    }
+
+    if (!partial || data.unit !== undefined) {
+        const unit = (data.unit || 'piece').toLowerCase();
+        if (!CATALOG_UNITS.includes(unit)) {
+            throw new APIError(`Unit must be one of: ${CATALOG_UNITS.join(', ')}`, 400);
+        }
+        item.unit = unit;
+    }
+
+    if (!partial || data.default_price !== undefined) {
+        const price = parseFloat(data.default_price);
+        if (isNaN(price) || price < 0 || price > 999999.99) {
+            throw new APIError('Default price must be between 0 and 999999.99', 400);
+        }
+        item.default_price = price;
+    }
+
+    if (data.sku !== undefined) {
+        const sku = sanitizeString(data.sku || '');
+        if (sku.length > 64) {
+            throw new APIError('SKU must be at most 64 characters', 400);
+        }
+        item.sku = sku || null;
+    }
+
+    if (data.tax_rate_ids !== undefined) {
+        if (!Array.isArray(data.tax_rate_ids)) {
+            throw new APIError('tax_rate_ids must be a list', 400);
+        }
+        item.tax_rate_ids = [...new Set(data.tax_rate_ids)];
+    }
+
+    return item;
+}
+
+/**
+ * Fill invoice lines that reference catalog items
+ *
+ * Values given on the line win; anything missing comes from the catalog entry.
+ * The line keeps its own copy (description, price, unit, SKU, taxes), so later
+ * catalog edits don't change issued invoices.
+ * @param {string} userId - Owner of the catalog
+ * @param {Array} items - Lines, optionally with catalog_item_id
+ * @returns {Promise<Array>} Lines with catalog values applied
+ */
+async function applyCatalogItems(userId, items) {
+    const ids = [...new Set(items.map(item => item.catalog_item_id).filter(Boolean))];
+
+    if (!ids.length) {
+        return items;
+    }
+
+    const { data: catalogItems, error } = await supabase
+        .from('catalog_items')
+        .select('id, name, unit, default_price, sku, tax_rate_ids')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .in('id', ids);
+
+    if (error || catalogItems.length !== ids.length) {
+        throw new APIError('Catalog item not found', 404);
+    }
+
+    const byId = new Map(catalogItems.map(catalogItem => [catalogItem.id, catalogItem]));
+
+    return items.map(item => {
+        const catalogItem = byId.get(item.catalog_item_id);
+
+        if (!catalogItem) {
+            return item;
+        }
+
+        return {
+            ...item,
+            description: item.description || catalogItem.name,
+            price: item.price !== undefined ? item.price : parseFloat(catalogItem.default_price),
+            unit: item.unit || catalogItem.unit,
+            sku: catalogItem.sku,
+            tax_rate_ids: item.tax_rate_ids !== undefined ? item.tax_rate_ids : catalogItem.tax_rate_ids || []
+        };
+    });
+}
+
+/**
+ * Ids of the account's catalog items with the given SKUs
+ * Only the SKUs asked for are loaded, so the API's row limit can't drop any.
+ * @returns {Promise<Map>} SKU -> catalog item id
+ */
+async function getIdsBySku(userId, skus) {
+    const idsBySku = new Map();
+
+    for (let start = 0; start < skus.length; start += SKU_LOOKUP_BATCH) {
+        const { data: items, error } = await supabase
+            .from('catalog_items')
+            .select('id, sku')
+            .eq('user_id', userId)
+            .in('sku', skus.slice(start, start + SKU_LOOKUP_BATCH));
+
+        if (error) {
+            throw new APIError('Failed to load catalog items', 500);
+        }
+
+        items.forEach(item => idsBySku.set(item.sku, item.id));
+    }
+
+    return idsBySku;
+}
+
+/**
+ * Import catalog items from CSV
+ *
+ * Columns (header row required, any order): name, description, unit, price,
+ * sku, taxes. `taxes` lists tax rate names separated by ";". Rows with a SKU
+ * that already exists update that item; other rows are added.
+ * @param {string} userId - Owner of the catalog
+ * @param {string} csv - CSV content
+ * @returns {Promise<Object>} { created, updated, errors: [{ row, error }] }
+ */
+async function importCatalogCsv(userId, csv) {
+    const [header, ...rows] = parseCsv(csv || '');
+
+    if (!header) {
+        throw new APIError('CSV is empty', 400);
+    }
+
+    const columns = header.map(column => column.trim().toLowerCase());
+
+    if (!columns.includes('name') || !columns.includes('price')) {
+        throw new APIError('CSV needs at least "name" and "price" columns', 400);
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new APIError(`CSV can have at most ${MAX_IMPORT_ROWS} rows`, 400);
+    }
+
+    const skus = columns.includes('sku')
+        ? [...new Set(rows.map(fields => (fields[columns.indexOf('sku')] ?? '').trim()).filter(Boolean))]
+        : [];
+
+    const [{ data: taxRates }, idsBySku] = await Promise.all([
+        supabase.from('tax_rates').select('id, name').eq('user_id', userId).eq('is_active', true),
+        getIdsBySku(userId, skus)
+    ]);
+
+    const taxRatesByName = new Map((taxRates || []).map(taxRate => [taxRate.name.toLowerCase(), taxRate.id]));
+    const result = { created: 0, updated: 0, errors: [] };
+
+    for (const [index, fields] of rows.entries()) {
+        // Header is row 1
+        const line = index + 2;
+        // Columns missing from the file leave an updated item's values as they are
+        const value = column => (columns.includes(column) ? (fields[columns.indexOf(column)] ?? '').trim() : undefined);
+
+        try {
+            const taxRateIds = value('taxes')?.split(';').map(name => name.trim()).filter(Boolean).map(name => {
+                const id = taxRatesByName.get(name.toLowerCase());
+                if (!id) throw new APIError(`Unknown tax rate "${name}"`, 400);
+                return id;
+            });
+
+            const sku = value('sku');
+            const existingId = sku && idsBySku.get(sku);
+
+            const item = normalizeCatalogItem({
+                name: value('name'),
+                description: value('description'),
+                unit: value('unit') || (existingId ? undefined : 'piece'),
+                default_price: value('price'),
+                sku,
+                tax_rate_ids: taxRateIds
+            }, Boolean(existingId));
+
+            const { data: saved, error } = existingId
+                ? await supabase.from('catalog_items').update({ ...item, is_active: true }).eq('id', existingId).select('id').single()
+                : await supabase.from('catalog_items').insert({ user_id: userId, ...item }).select('id').single();
+
+            if (error) {
+                throw new APIError('Failed to save row', 500);
+            }
+
+            if (existingId) {
+                result.updated++;
+            } else {
+                result.created++;
+                if (item.sku) idsBySku.set(item.sku, saved.id);
+            }
+        } catch (rowError) {
+            result.errors.push({ row: line, error: rowError.message });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * How often catalog items have been invoiced (cancelled invoices excluded)
+ *
+ * Summed by the catalog_usage database function, so busy accounts aren't cut
+ * short by the API's row limit.
+ * @param {string} userId - Owner of the catalog
+ * @param {string} [catalogItemId] - Limit to one item
+ * @returns {Promise<Map>} Catalog item id -> { times_used, quantity, revenue: { USD: 120 }, last_used_at }
+ */
+async function getCatalogUsage(userId, catalogItemId) {
+    const { data: usage, error } = await supabase.rpc('catalog_usage', {
+        p_user_id: userId,
+        p_catalog_item_id: catalogItemId || null
+    });
+
+    if (error) {
+        throw new APIError('Failed to fetch catalog usage', 500);
+    }
+
+    return new Map((usage || []).map(item => [item.catalog_item_id, {
+        times_used: item.times_used,
+        quantity: Math.round(parseFloat(item.quantity) * 100) / 100,
+        // Revenue excludes tax
+        revenue: Object.fromEntries(Object.entries(item.revenue).map(([currency, revenue]) => [
+            currency,
+            Math.round(parseFloat(revenue) * 100) / 100
+        ])),
+        last_used_at: item.last_used_at
+    }]));
+}
+
+/**
+ * Check that tax rates given for a catalog item belong to the account
+ */
+async function assertTaxRatesOwned(userId, taxRateIds) {
+    await loadTaxRates(userId, [{ tax_rate_ids: taxRateIds }]);
+}
+
+module.exports = {
+    CATALOG_UNITS,
+    parseCsv,
+    normalizeCatalogItem,
+    applyCatalogItems,
+    importCatalogCsv,
+    getCatalogUsage,
+    assertTaxRatesOwned
+};
@@ -0,0 +1,181 @@
+/**
+ * Credit Note Service
+ * Credit notes correct an issued invoice by reducing what the client owes
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { sanitizeString } = require('../middleware/validate');
+const { calculateTotals } = require('./invoiceService');
+const { roundMoney, syncInvoiceBalance } = require('./paymentService');
+const { nextDocumentNumber } = require('./numberingService');
+const { generateInvoicePDF } = require('./pdfService');
+
+// Invoices that were never issued can simply be edited or deleted instead
+const NON_CREDITABLE_STATUSES = ['draft', 'cancelled', 'void'];
+
+/**
+ * Work out a credit note's totals with the invoice's taxes
+ *
+ * An invoice taxed per line is credited per line: each item lists which of the
+ * invoice's taxes it reverses in tax_rate_ids (an empty list for untaxed lines),
+ * at the rates the invoice was issued with. Other invoices use a flat tax_rate.
+ * @param {Object} invoice - Invoice row (tax_rate, tax_breakdown, prices_include_tax)
+ * @param {Array} items - Credit items (description, quantity, price, tax_rate_ids)
+ * @param {number} [taxRate] - Flat rate, defaults to the invoice's
+ * @returns {Object} Totals from calculateTotals, plus the flat taxRate applied
+ */
+function calculateCreditTotals(invoice, items, taxRate) {
+    const pricesIncludeTax = Boolean(invoice.prices_include_tax);
+    const invoiceTaxes = invoice.tax_breakdown || [];
+
+    if (!invoiceTaxes.length) {
+        const flatRate = parseFloat(taxRate !== undefined ? taxRate : invoice.tax_rate) || 0;
+
+        return { ...calculateTotals(items, flatRate, 0, { pricesIncludeTax }), taxRate: flatRate };
+    }
+
+    if (taxRate !== undefined) {
+        throw new APIError('This invoice is taxed per line; list each item\'s taxes in tax_rate_ids instead of tax_rate', 400);
+    }
+
+    const taxRates = new Map(invoiceTaxes.map(tax => [tax.tax_rate_id, { ...tax, id: tax.tax_rate_id }]));
+
+    for (const item of items) {
+        if (!Array.isArray(item.tax_rate_ids)) {
+            throw new APIError('This invoice is taxed per line; each item needs tax_rate_ids (empty for untaxed lines)', 400);
+        }
+
+        if (item.tax_rate_ids.some(id => !taxRates.has(id))) {
+            throw new APIError('Credit note items can only use taxes charged on the invoice', 400);
+        }
+    }
+
+    return { ...calculateTotals(items, 0, 0, { taxRates, pricesIncludeTax }), taxRate: 0 };
+}
+
+/**
+ * Issue a credit note against an invoice
+ * @param {Object} invoice - Invoice row (id, user_id, client_id, status, total, credited_amount,
+ *                           tax_rate, tax_breakdown, prices_include_tax)
+ * @param {Object} data - { items, reason, tax_rate (defaults to the invoice's; not allowed for line-taxed invoices) }
+ * @param {Object} options - { ip: request IP for the audit log }
+ * @returns {Promise<Object>} { creditNote, invoice }
+ */
+async function createCreditNote(invoice, data, { ip } = {}) {
+    const { items, reason, tax_rate } = data;
+
+    if (NON_CREDITABLE_STATUSES.includes(invoice.status)) {
+        throw new APIError(`Cannot credit a ${invoice.status} invoice`, 400);
+    }
+
+    const { subtotal, taxAmount, total, lines, taxBreakdown, taxRate } = calculateCreditTotals(invoice, items, tax_rate);
+    const creditable = roundMoney(parseFloat(invoice.total) - (parseFloat(invoice.credited_amount) || 0));
+
+    if (!(total > 0)) {
+        throw new APIError('Credit note total must be greater than zero', 400);
+    }
+
+    if (roundMoney(total) > creditable) {
+        throw new APIError(`Credit note exceeds the creditable amount of ${creditable.toFixed(2)}`, 400, 'OVER_CREDIT');
+    }
+
+    const creditNoteNumber = await nextDocumentNumber(invoice.user_id, 'credit_note');
+
+    const creditNoteId = uuidv4();
+    const { data: creditNote, error } = await supabase
+        .from('credit_notes')
+        .insert({
+            id: creditNoteId,
+            user_id: invoice.user_id,
+            invoice_id: invoice.id,
+            client_id: invoice.client_id,
+            credit_note_number: creditNoteNumber,
+            status: 'issued',
+            currency: invoice.currency,
+            reason: sanitizeString(reason),
+            subtotal,
+            tax_rate: taxRate,
+            tax_amount: taxAmount,
+            tax_breakdown: taxBreakdown,
+            prices_include_tax: Boolean(invoice.prices_include_tax),
+            total
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new APIError(`Credit note number ${creditNoteNumber} is already in use; check your numbering settings`, 409, 'DUPLICATE_NUMBER');
+        }
+        throw new APIError('Failed to create credit note', 500);
+    }
+
+    const creditNoteItems = items.map((item, index) => ({
+        id: uuidv4(),
+        credit_note_id: creditNoteId,
+        description: sanitizeString(item.description),
+        quantity: item.quantity,
+        unit_price: item.price,
+        amount: item.quantity * item.price,
+        net_amount: lines ? lines[index].net : item.quantity * item.price,
+        tax_amount: lines ? lines[index].taxAmount : 0,
+        taxes: lines ? lines[index].taxes : [],
+        sort_order: index
+    }));
+
+    const { error: itemsError } = await supabase
+        .from('credit_note_items')
+        .insert(creditNoteItems);
+
+    if (itemsError) {
+        // Rollback credit note
+        await supabase.from('credit_notes').delete().eq('id', creditNoteId);
+        throw new APIError('Failed to create credit note items', 500);
+    }
+
+    const updated = await syncInvoiceBalance(invoice);
+
+    await supabase.from('audit_logs').insert({
+        user_id: invoice.user_id,
+        action: 'CREDIT_NOTE_ISSUED',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        old_values: { status: invoice.status, credited_amount: parseFloat(invoice.credited_amount) || 0 },
+        new_values: {
+            credit_note_id: creditNoteId,
+            credit_note_number: creditNoteNumber,
+            total,
+            status: updated.status,
+            balance_due: updated.balance_due
+        },
+        ip_address: ip
+    });
+
+    return { creditNote: { ...creditNote, items: creditNoteItems }, invoice: updated };
+}
+
+/**
+ * Generate Credit Note PDF - the invoice layout titled "CREDIT NOTE"
+ * @param {Object} creditNote - Credit note with items, client and invoice (invoice_number, issue_date)
+ * @param {Object} user - User/business data
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+function generateCreditNotePDF(creditNote, user) {
+    return generateInvoicePDF({
+        ...creditNote,
+        invoice_number: creditNote.credit_note_number,
+        due_date: creditNote.invoice.issue_date,
+        discount_amount: 0,
+        notes: creditNote.reason
+    }, user, {
+        documentType: 'credit_note',
+        referenceNumber: creditNote.invoice.invoice_number
+    });
+}
+
+module.exports = {
+    createCreditNote,
+    generateCreditNotePDF
+};
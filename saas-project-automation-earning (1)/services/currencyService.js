@@ -0,0 +1,94 @@
+/**
+ * Currency Service
+ * Currency codes, formatting and Stripe minor-unit conversion
+ */
+
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+// Currencies Stripe charges without a minor unit (amount 500 = ¥500)
+const ZERO_DECIMAL_CURRENCIES = [
+    'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+    'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+// Currencies Stripe charges in thousandths
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+const SUPPORTED_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Check a value is a known ISO 4217 currency code (e.g. "EUR")
+ */
+function isValidCurrency(code) {
+    return typeof code === 'string' && SUPPORTED_CURRENCIES.has(code.toUpperCase());
+}
+
+/**
+ * Currency for a new document: explicit choice, then the client's, then the account's
+ */
+function resolveCurrency(...candidates) {
+    const code = candidates.find(isValidCurrency);
+    return code ? code.toUpperCase() : DEFAULT_CURRENCY;
+}
+
+/**
+ * Number of minor-unit digits Stripe uses for a currency
+ */
+function getMinorUnitDigits(currency) {
+    const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+
+    if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+    if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+    return 2;
+}
+
+/**
+ * Convert an amount to Stripe's integer minor units (12.34 EUR -> 1234, 500 JPY -> 500)
+ */
+function toMinorUnits(amount, currency) {
+    const digits = getMinorUnitDigits(currency);
+    const minor = Math.round(amount * 10 ** digits);
+
+    // Stripe only accepts three-decimal amounts rounded to the nearest ten
+    return digits === 3 ? Math.round(minor / 10) * 10 : minor;
+}
+
+/**
+ * Convert a Stripe integer amount back to a decimal amount
+ */
+function fromMinorUnits(amount, currency) {
+    return amount / 10 ** getMinorUnitDigits(currency);
+}
+
+/**
+ * Format an amount in its currency (e.g. €1,234.50, ¥500)
+ */
+function formatCurrency(amount, currency = DEFAULT_CURRENCY, locale = 'en-US') {
+    return new Intl.NumberFormat(locale, {
+        style: 'currency',
+        currency: (currency || DEFAULT_CURRENCY).toUpperCase()
+    }).format(amount);
+}
+
+/**
+ * Sum a numeric field per currency, e.g. { USD: 1200, EUR: 300 }
+ * Amounts in different currencies are never added together
+ */
+function sumByCurrency(rows, field) {
+    return rows.reduce((totals, row) => {
+        const currency = row.currency || DEFAULT_CURRENCY;
+        totals[currency] = Math.round(((totals[currency] || 0) + (parseFloat(row[field]) || 0)) * 100) / 100;
+        return totals;
+    }, {});
+}
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    isValidCurrency,
+    resolveCurrency,
+    getMinorUnitDigits,
+    toMinorUnits,
+    fromMinorUnits,
+    formatCurrency,
+    sumByCurrency
+};
@@ -1,9 +1,13 @@
 /**
  * Email Service
  * Handles sending emails via Resend or SMTP
+ * Client emails are written in the client's locale; account emails stay in English
  */
 
 const nodemailer = require('nodemailer');
+const { getEarlyPaymentDiscount, isWithinDiscountWindow } = require('./paymentTermsService');
+const { getLocalizer } = require('./localeService');
+const { getLateFeeLabel } = require('./templateService');
 
 // Create transporter based on provider
 let transporter;
@@ -34,16 +38,19 @@ if (process.env.EMAIL_PROVIDER === 'resend') {
 
 /**
  * Send invoice email with PDF attachment
+ * @param {string} paymentUrl - Client share link to the pay page
  */
-async function sendInvoiceEmail(toEmail, invoice, pdfBuffer) {
+async function sendInvoiceEmail(toEmail, invoice, pdfBuffer, paymentUrl) {
     const fromName = process.env.EMAIL_FROM_NAME || 'InvoiceFlow';
     const fromEmail = process.env.EMAIL_FROM || 'invoices@invoiceflow.com';
 
+    const { t } = getLocalizer(invoice.client?.locale);
+
     const mailOptions = {
         from: `${fromName} <${fromEmail}>`,
         to: toEmail,
-        subject: `Invoice ${invoice.invoice_number} from ${invoice.user_name || 'InvoiceFlow'}`,
-        html: getInvoiceEmailTemplate(invoice),
+        subject: t('email.invoice.subject', { number: invoice.invoice_number, business: invoice.user_name || 'InvoiceFlow' }),
+        html: getInvoiceEmailTemplate(invoice, paymentUrl),
         attachments: [
             {
                 filename: `${invoice.invoice_number}.pdf`,
@@ -65,18 +72,20 @@ async function sendInvoiceEmail(toEmail, invoice, pdfBuffer) {
 
 /**
  * Send payment reminder email
+ * @param {string} paymentUrl - Client share link to the pay page
  */
-async function sendReminderEmail(toEmail, invoice) {
+async function sendReminderEmail(toEmail, invoice, paymentUrl) {
     const fromName = process.env.EMAIL_FROM_NAME || 'InvoiceFlow';
     const fromEmail = process.env.EMAIL_FROM || 'invoices@invoiceflow.com';
 
     const daysOverdue = Math.floor((Date.now() - new Date(invoice.due_date)) / (1000 * 60 * 60 * 24));
+    const { t } = getLocalizer(invoice.client?.locale);
 
     const mailOptions = {
         from: `${fromName} <${fromEmail}>`,
         to: toEmail,
-        subject: `Payment Reminder: Invoice ${invoice.invoice_number}`,
-        html: getReminderEmailTemplate(invoice, daysOverdue)
+        subject: t('email.reminder.subject', { number: invoice.invoice_number }),
+        html: getReminderEmailTemplate(invoice, daysOverdue, paymentUrl)
     };
 
     try {
@@ -89,6 +98,40 @@ async function sendReminderEmail(toEmail, invoice) {
     }
 }
 
+/**
+ * Send estimate email with PDF attachment
+ * @param {string} reviewUrl - Client share link to the estimate review page
+ */
+async function sendEstimateEmail(toEmail, estimate, pdfBuffer, reviewUrl) {
+    const fromName = process.env.EMAIL_FROM_NAME || 'InvoiceFlow';
+    const fromEmail = process.env.EMAIL_FROM || 'invoices@invoiceflow.com';
+
+    const { t } = getLocalizer(estimate.client?.locale);
+
+    const mailOptions = {
+        from: `${fromName} <${fromEmail}>`,
+        to: toEmail,
+        subject: t('email.estimate.subject', { number: estimate.estimate_number, business: estimate.user_name || 'InvoiceFlow' }),
+        html: getEstimateEmailTemplate(estimate, reviewUrl),
+        attachments: [
+            {
+                filename: `${estimate.estimate_number}.pdf`,
+                content: pdfBuffer,
+                contentType: 'application/pdf'
+            }
+        ]
+    };
+
+    try {
+        const info = await transporter.sendMail(mailOptions);
+        console.log('Estimate email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('Failed to send estimate email:', error);
+        throw error;
+    }
+}
+
 /**
  * Send welcome email
  */
@@ -116,17 +159,17 @@ async function sendWelcomeEmail(toEmail, userName) {
 /**
  * Invoice email template
  */
-function getInvoiceEmailTemplate(invoice) {
-    const paymentUrl = `${process.env.FRONTEND_URL}/pay/${invoice.id}`;
-    const dueDate = new Date(invoice.due_date).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
+function getInvoiceEmailTemplate(invoice, paymentUrl) {
+    const l10n = getLocalizer(invoice.client?.locale);
+    const { t } = l10n;
+    const formatCurrency = amount => l10n.formatCurrency(amount, invoice.currency);
+    // Credit notes count towards what the client has already settled
+    const paidAmount = (parseFloat(invoice.paid_amount) || 0) + (parseFloat(invoice.credited_amount) || 0);
+    const dueDate = l10n.formatDate(invoice.due_date, 'long');
 
     return `
 <!DOCTYPE html>
-<html>
+<html lang="${l10n.locale}">
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -134,42 +177,53 @@ function getInvoiceEmailTemplate(invoice) {
 <body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5;">
     <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
         <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 40px; text-align: center;">
-            <h1 style="color: white; margin: 0; font-size: 28px;">Invoice ${invoice.invoice_number}</h1>
+            <h1 style="color: white; margin: 0; font-size: 28px;">${t('email.invoice.heading', { number: invoice.invoice_number })}</h1>
         </div>
         
         <div style="background: white; padding: 40px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
             <p style="color: #333; font-size: 16px; line-height: 1.6;">
-                Hello ${invoice.client?.name || 'there'},
+                ${getGreeting(invoice.client, t)}
             </p>
             
             <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                Please find attached invoice <strong>${invoice.invoice_number}</strong> for your recent services.
+                ${t('email.invoice.intro', { number: invoice.invoice_number })}
             </p>
             
             <div style="background: #f8f9fa; border-radius: 12px; padding: 24px; margin: 24px 0;">
+                ${paidAmount > 0 ? `
+                <div style="display: flex; justify-content: space-between; margin-bottom: 12px;">
+                    <span style="color: #666;">${t('email.invoice.invoice_total')}</span>
+                    <span style="color: #333;">${formatCurrency(invoice.total)}</span>
+                </div>
                 <div style="display: flex; justify-content: space-between; margin-bottom: 12px;">
-                    <span style="color: #666;">Amount Due:</span>
-                    <strong style="color: #333; font-size: 24px;">$${invoice.total.toFixed(2)}</strong>
+                    <span style="color: #666;">${t('email.invoice.paid_and_credited')}</span>
+                    <span style="color: #10b981;">-${formatCurrency(paidAmount)}</span>
+                </div>
+                ` : ''}
+                <div style="display: flex; justify-content: space-between; margin-bottom: 12px;">
+                    <span style="color: #666;">${t(paidAmount > 0 ? 'email.invoice.balance_due' : 'email.invoice.amount_due')}</span>
+                    <strong style="color: #333; font-size: 24px;">${formatCurrency(invoice.total - paidAmount)}</strong>
                 </div>
                 <div style="display: flex; justify-content: space-between;">
-                    <span style="color: #666;">Due Date:</span>
+                    <span style="color: #666;">${t('email.invoice.due_date')}</span>
                     <strong style="color: #333;">${dueDate}</strong>
                 </div>
             </div>
+            ${getEarlyDiscountBlock(invoice, paidAmount, l10n)}
             
             <div style="text-align: center; margin: 32px 0;">
                 <a href="${paymentUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 16px 40px; border-radius: 50px; font-weight: 600; font-size: 16px;">
-                    Pay Now
+                    ${t('email.pay_now')}
                 </a>
             </div>
             
             <p style="color: #999; font-size: 14px; text-align: center;">
-                A PDF copy of this invoice is attached for your records.
+                ${t('email.invoice.attached')}
             </p>
         </div>
         
         <p style="color: #999; font-size: 12px; text-align: center; margin-top: 24px;">
-            Sent via <a href="https://invoiceflow.com" style="color: #667eea;">InvoiceFlow</a>
+            ${t('email.sent_via', { link: '<a href="https://invoiceflow.com" style="color: #667eea;">InvoiceFlow</a>' })}
         </p>
     </div>
 </body>
@@ -177,16 +231,56 @@ function getInvoiceEmailTemplate(invoice) {
     `;
 }
 
+/**
+ * Greeting line, by name when the client has one
+ */
+function getGreeting(client, t) {
+    return client?.name ? t('email.hello', { name: client.name }) : t('email.hello_anonymous');
+}
+
+/**
+ * Early-payment discount offer, shown while the discount can still be taken
+ * @param {Object} invoice - Invoice with total, issue_date and discount terms
+ * @param {number} paidAmount - Already paid and credited
+ * @param {Object} l10n - Output of getLocalizer
+ */
+function getEarlyDiscountBlock(invoice, paidAmount, l10n) {
+    if (!isWithinDiscountWindow(invoice)) {
+        return '';
+    }
+
+    const discount = getEarlyPaymentDiscount(invoice);
+
+    return `
+            <div style="background: #ecfdf5; border-radius: 12px; padding: 16px 24px; margin: 24px 0; border: 1px solid #a7f3d0; color: #065f46; font-size: 15px; line-height: 1.6;">
+                ${l10n.t('email.early_discount_offer', {
+                    amount: l10n.formatCurrency(discount.discounted_total - paidAmount, invoice.currency),
+                    date: l10n.formatDate(discount.deadline, 'long'),
+                    rate: l10n.formatNumber(discount.rate),
+                    savings: l10n.formatCurrency(discount.amount, invoice.currency)
+                })}
+            </div>
+    `;
+}
+
 /**
  * Reminder email template
  */
-function getReminderEmailTemplate(invoice, daysOverdue) {
-    const paymentUrl = `${process.env.FRONTEND_URL}/pay/${invoice.id}`;
+function getReminderEmailTemplate(invoice, daysOverdue, paymentUrl) {
+    const l10n = getLocalizer(invoice.client?.locale);
+    const { t } = l10n;
+    const formatCurrency = amount => l10n.formatCurrency(amount, invoice.currency);
     const isOverdue = daysOverdue > 0;
+    // Credit notes count towards what the client has already settled
+    const paidAmount = (parseFloat(invoice.paid_amount) || 0) + (parseFloat(invoice.credited_amount) || 0);
+    const lateFeeAmount = parseFloat(invoice.late_fee_amount) || 0;
+    const lateFees = invoice.late_fees?.length
+        ? invoice.late_fees
+        : [{ description: t('document.late_fees'), amount: lateFeeAmount }];
 
     return `
 <!DOCTYPE html>
-<html>
+<html lang="${l10n.locale}">
 <head>
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -195,41 +289,130 @@ function getReminderEmailTemplate(invoice, daysOverdue) {
     <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
         <div style="background: ${isOverdue ? '#ef4444' : '#f59e0b'}; border-radius: 16px 16px 0 0; padding: 40px; text-align: center;">
             <h1 style="color: white; margin: 0; font-size: 28px;">
-                ${isOverdue ? '⚠️ Payment Overdue' : '⏰ Payment Reminder'}
+                ${t(isOverdue ? 'email.reminder.overdue_heading' : 'email.reminder.due_heading')}
             </h1>
         </div>
         
         <div style="background: white; padding: 40px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
             <p style="color: #333; font-size: 16px; line-height: 1.6;">
-                Hello ${invoice.client?.name || 'there'},
+                ${getGreeting(invoice.client, t)}
             </p>
             
             <p style="color: #666; font-size: 16px; line-height: 1.6;">
-                ${isOverdue 
-                    ? `This is a friendly reminder that invoice <strong>${invoice.invoice_number}</strong> is now <strong>${daysOverdue} days overdue</strong>.`
-                    : `This is a friendly reminder that invoice <strong>${invoice.invoice_number}</strong> is due soon.`
+                ${isOverdue
+                    ? t('email.reminder.overdue_intro', { number: invoice.invoice_number, count: daysOverdue })
+                    : t('email.reminder.due_intro', { number: invoice.invoice_number })
                 }
             </p>
             
             <div style="background: ${isOverdue ? '#fef2f2' : '#fffbeb'}; border-radius: 12px; padding: 24px; margin: 24px 0; border: 1px solid ${isOverdue ? '#fecaca' : '#fde68a'};">
                 <div style="text-align: center;">
-                    <span style="color: #666;">Amount Due:</span>
+                    <span style="color: #666;">${t(paidAmount > 0 ? 'email.invoice.balance_due' : 'email.invoice.amount_due')}</span>
                     <div style="color: #333; font-size: 32px; font-weight: bold; margin: 8px 0;">
-                        $${invoice.total.toFixed(2)}
+                        ${formatCurrency(invoice.total - paidAmount)}
                     </div>
+                    ${paidAmount > 0 ? `
+                    <span style="color: #666; font-size: 14px;">
+                        ${t('email.reminder.settled', { paid: formatCurrency(paidAmount), total: formatCurrency(invoice.total) })}
+                    </span>
+                    ` : ''}
                 </div>
+                ${lateFeeAmount > 0 ? `
+                <table style="width: 100%; margin-top: 20px; border-top: 1px solid ${isOverdue ? '#fecaca' : '#fde68a'}; padding-top: 12px; color: #666; font-size: 14px;">
+                    <tr>
+                        <td>${t('email.reminder.original_amount')}</td>
+                        <td style="text-align: right;">${formatCurrency(invoice.total - lateFeeAmount)}</td>
+                    </tr>
+                    ${lateFees.map(fee => `
+                    <tr>
+                        <td>${getLateFeeLabel(fee, l10n)}</td>
+                        <td style="text-align: right; color: #ef4444;">+${formatCurrency(fee.amount)}</td>
+                    </tr>
+                    `).join('')}
+                    <tr>
+                        <td style="color: #333; font-weight: bold;">${t('email.reminder.new_balance')}</td>
+                        <td style="text-align: right; color: #333; font-weight: bold;">${formatCurrency(invoice.total - paidAmount)}</td>
+                    </tr>
+                </table>
+                ` : ''}
             </div>
+            ${getEarlyDiscountBlock(invoice, paidAmount, l10n)}
             
             <div style="text-align: center; margin: 32px 0;">
                 <a href="${paymentUrl}" style="display: inline-block; background: ${isOverdue ? '#ef4444' : '#f59e0b'}; color: white; text-decoration: none; padding: 16px 40px; border-radius: 50px; font-weight: 600; font-size: 16px;">
-                    Pay Now
+                    ${t('email.pay_now')}
                 </a>
             </div>
             
             <p style="color: #999; font-size: 14px; text-align: center;">
-                If you've already sent payment, please disregard this email.
+                ${t('email.reminder.disregard')}
+            </p>
+
+            <p style="color: #bbb; font-size: 12px; text-align: center;">
+                <a href="${paymentUrl}?reminders=off" style="color: #bbb;">${t('email.reminder.stop_reminders')}</a>
+            </p>
+        </div>
+    </div>
+</body>
+</html>
+    `;
+}
+
+/**
+ * Estimate email template
+ */
+function getEstimateEmailTemplate(estimate, reviewUrl) {
+    const l10n = getLocalizer(estimate.client?.locale);
+    const { t } = l10n;
+    const expiryDate = l10n.formatDate(estimate.expiry_date, 'long');
+
+    return `
+<!DOCTYPE html>
+<html lang="${l10n.locale}">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 40px 20px;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border-radius: 16px 16px 0 0; padding: 40px; text-align: center;">
+            <h1 style="color: white; margin: 0; font-size: 28px;">${t('email.estimate.heading', { number: estimate.estimate_number })}</h1>
+        </div>
+        
+        <div style="background: white; padding: 40px; border-radius: 0 0 16px 16px; box-shadow: 0 4px 20px rgba(0,0,0,0.1);">
+            <p style="color: #333; font-size: 16px; line-height: 1.6;">
+                ${getGreeting(estimate.client, t)}
+            </p>
+            
+            <p style="color: #666; font-size: 16px; line-height: 1.6;">
+                ${t('email.estimate.intro', { number: estimate.estimate_number })}
+            </p>
+            
+            <div style="background: #f8f9fa; border-radius: 12px; padding: 24px; margin: 24px 0;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 12px;">
+                    <span style="color: #666;">${t('email.estimate.estimated_total')}</span>
+                    <strong style="color: #333; font-size: 24px;">${l10n.formatCurrency(estimate.total, estimate.currency)}</strong>
+                </div>
+                <div style="display: flex; justify-content: space-between;">
+                    <span style="color: #666;">${t('email.estimate.valid_until')}</span>
+                    <strong style="color: #333;">${expiryDate}</strong>
+                </div>
+            </div>
+            
+            <div style="text-align: center; margin: 32px 0;">
+                <a href="${reviewUrl}" style="display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; padding: 16px 40px; border-radius: 50px; font-weight: 600; font-size: 16px;">
+                    ${t('email.estimate.review')}
+                </a>
+            </div>
+            
+            <p style="color: #999; font-size: 14px; text-align: center;">
+                ${t('email.estimate.attached')}
             </p>
         </div>
+        
+        <p style="color: #999; font-size: 12px; text-align: center; margin-top: 24px;">
+            ${t('email.sent_via', { link: '<a href="https://invoiceflow.com" style="color: #667eea;">InvoiceFlow</a>' })}
+        </p>
     </div>
 </body>
 </html>
@@ -290,5 +473,6 @@ function getWelcomeEmailTemplate(userName) {
 module.exports = {
     sendInvoiceEmail,
     sendReminderEmail,
+    sendEstimateEmail,
     sendWelcomeEmail
 };
@@ -0,0 +1,38 @@
+/**
+ * Estimate Service
+ * Helpers shared by the estimate routes and the public estimate page
+ */
+
+const { generateInvoicePDF } = require('./pdfService');
+
+/**
+ * Estimates that can still be changed, sent, accepted or declined
+ */
+const OPEN_ESTIMATE_STATUSES = ['draft', 'sent'];
+
+/**
+ * Map an estimate onto the invoice shape the PDF renderer expects
+ */
+function toEstimateDocument(estimate) {
+    return {
+        ...estimate,
+        invoice_number: estimate.estimate_number,
+        due_date: estimate.expiry_date
+    };
+}
+
+/**
+ * Generate Estimate PDF - the invoice layout titled "ESTIMATE"
+ * @param {Object} estimate - Estimate data with items and client
+ * @param {Object} user - User/business data
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+function generateEstimatePDF(estimate, user) {
+    return generateInvoicePDF(toEstimateDocument(estimate), user, { documentType: 'estimate' });
+}
+
+module.exports = {
+    OPEN_ESTIMATE_STATUSES,
+    toEstimateDocument,
+    generateEstimatePDF
+};
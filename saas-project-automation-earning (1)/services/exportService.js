@@ -0,0 +1,146 @@
+/**
+ * Export Service
+ * ZIP archives of invoice PDFs with a CSV manifest
+ */
+
+const { once } = require('events');
+const archiver = require('archiver');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { applyInvoiceFilters } = require('./invoiceService');
+const { renderInvoicePDF } = require('./invoiceActionService');
+const { getBranding } = require('./templateService');
+
+const MAX_EXPORT_INVOICES = 1000;
+
+const MANIFEST_COLUMNS = ['invoice_number', 'client', 'issue_date', 'currency', 'total', 'status', 'paid_date', 'file'];
+
+/**
+ * Quote a value for CSV
+ * Text starting with =, +, - or @ is prefixed with ' so spreadsheets don't run it as a formula
+ */
+function toCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(value);
+
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from rows of values (header first)
+ */
+function toCsv(rows) {
+    return rows.map(row => row.map(toCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Invoices matching an export filter, oldest first
+ * @param {string} userId - Owner
+ * @param {Object} filter - { status, client_id, issue_date_from, issue_date_to }
+ * @throws {APIError} 400 when more than MAX_EXPORT_INVOICES match
+ */
+async function getExportInvoices(userId, filter) {
+    const query = supabase
+        .from('invoices')
+        .select('id, invoice_number, status, currency, total, issue_date, paid_at, client:clients(name)')
+        .eq('user_id', userId)
+        .order('issue_date', { ascending: true })
+        .order('invoice_number', { ascending: true })
+        .limit(MAX_EXPORT_INVOICES + 1);
+
+    const { data: invoices, error } = await applyInvoiceFilters(query, filter);
+
+    if (error) {
+        throw new APIError('Failed to fetch invoices', 500);
+    }
+
+    if (invoices.length > MAX_EXPORT_INVOICES) {
+        throw new APIError(`Exports are limited to ${MAX_EXPORT_INVOICES} invoices; narrow the date range`, 400);
+    }
+
+    return invoices;
+}
+
+/**
+ * File name for an invoice inside the archive (numbers may contain "/")
+ */
+function toFileName(invoiceNumber, usedNames) {
+    const base = invoiceNumber.replace(/[/\\]/g, '-');
+    let name = `${base}.pdf`;
+
+    for (let copy = 2; usedNames.has(name); copy++) {
+        name = `${base}-${copy}.pdf`;
+    }
+
+    usedNames.add(name);
+    return name;
+}
+
+/**
+ * Render each invoice and stream a ZIP of the PDFs plus manifest.csv
+ *
+ * PDFs are rendered one at a time and added as they are ready, so memory use
+ * doesn't grow with the size of the export. Once streaming has started an
+ * error can't become a JSON response, so the stream is cut off instead.
+ * @param {Object} user - Account exporting (sender details on the PDFs)
+ * @param {Array} invoices - Rows from getExportInvoices
+ * @param {Object} output - Writable stream (the response)
+ */
+async function streamInvoiceExport(user, invoices, output) {
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const usedNames = new Set();
+    const manifest = [MANIFEST_COLUMNS];
+    const branding = await getBranding(user.id);
+
+    archive.on('warning', warning => console.warn('Invoice export warning:', warning.message));
+    archive.pipe(output);
+
+    try {
+        for (const invoice of invoices) {
+            // Stop rendering if the download was cancelled
+            if (output.destroyed) {
+                archive.abort();
+                return;
+            }
+
+            const { pdf } = await renderInvoicePDF(user, invoice.id, { branding });
+            const file = toFileName(invoice.invoice_number, usedNames);
+
+            archive.append(pdf, { name: file, date: new Date(invoice.issue_date) });
+            // Wait for the entry to be written before rendering the next one
+            await once(archive, 'entry');
+
+            manifest.push([
+                invoice.invoice_number,
+                invoice.client?.name,
+                invoice.issue_date,
+                invoice.currency,
+                invoice.total,
+                invoice.status,
+                invoice.paid_at ? invoice.paid_at.slice(0, 10) : null,
+                file
+            ]);
+        }
+
+        archive.append(toCsv(manifest), { name: 'manifest.csv' });
+        await archive.finalize();
+    } catch (error) {
+        console.error('Invoice export failed:', error);
+        archive.abort();
+        output.destroy();
+    }
+}
+
+module.exports = {
+    MAX_EXPORT_INVOICES,
+    toCsv,
+    getExportInvoices,
+    streamInvoiceExport
+};
@@ -0,0 +1,482 @@
+/**
+ * Factur-X Service
+ * EN 16931 invoice XML (Factur-X / ZUGFeRD, CII syntax) built from an invoice,
+ * checked against the bundled schema and embedded in PDF/A-3 invoices
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { roundMoney } = require('./paymentService');
+const { isValidCurrency } = require('./currencyService');
+
+// Name the XML must have inside the PDF
+const FACTURX_FILENAME = 'factur-x.xml';
+
+// Factur-X 1.07.3, EN 16931 profile, as published. The first file is the schema; it imports the others.
+// The schema only checks structure: code lists (currency, country, VAT category, document type) are
+// plain tokens there, left to the EN 16931 business rules, so the codes are checked before rendering.
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas', 'factur-x');
+const SCHEMA_FILES = [
+    'Factur-X_1.07.3_EN16931.xsd',
+    'Factur-X_1.07.3_EN16931_urn_un_unece_uncefact_data_standard_ReusableAggregateBusinessInformationEntity_100.xsd',
+    'Factur-X_1.07.3_EN16931_urn_un_unece_uncefact_data_standard_QualifiedDataType_100.xsd',
+    'Factur-X_1.07.3_EN16931_urn_un_unece_uncefact_data_standard_UnqualifiedDataType_100.xsd'
+];
+
+const NAMESPACES = {
+    'xmlns:rsm': 'urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100',
+    'xmlns:ram': 'urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100',
+    'xmlns:qdt': 'urn:un:unece:uncefact:data:standard:QualifiedDataType:100',
+    'xmlns:udt': 'urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100'
+};
+
+// UN/ECE Recommendation 20 unit codes; items without a unit are counted in "one" (C62)
+const UNIT_CODES = { hour: 'HUR', day: 'DAY', piece: 'H87' };
+
+// XMP properties that identify the PDF as Factur-X, with the extension schema PDF/A requires to declare them
+const FACTURX_NAMESPACE = 'urn:factur-x:pdfa:CrossIndustryDocument:invoice:1p0#';
+const FACTURX_PROPERTIES = [
+    ['DocumentType', 'INVOICE', 'Type of the hybrid document'],
+    ['DocumentFileName', FACTURX_FILENAME, 'Name of the embedded XML invoice file'],
+    ['Version', '1.0', 'Version of the Factur-X XMP schema'],
+    ['ConformanceLevel', 'EN 16931', 'Conformance level of the embedded XML invoice']
+];
+
+// Characters XML 1.0 can't contain: control characters other than tab and line breaks, U+FFFE and U+FFFF
+const char = code => String.fromCharCode(code);
+const INVALID_XML_CHARS = new RegExp(`[${char(0)}-${char(8)}${char(11)}${char(12)}${char(14)}-${char(31)}${char(0xFFFE)}${char(0xFFFF)}]`, 'g');
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+let schemaFiles = null;
+
+/**
+ * Check a value is an ISO 3166-1 alpha-2 country code (e.g. "FR")
+ */
+function isValidCountry(code) {
+    return typeof code === 'string' && /^[A-Z]{2}$/.test(code) && regionNames.of(code) !== code;
+}
+
+/**
+ * Compact form of a VAT ID as entered ("fr 12 345 678 901" -> "FR12345678901")
+ */
+function normalizeVatId(vatId) {
+    return String(vatId).replace(/[\s.-]/g, '').toUpperCase();
+}
+
+/**
+ * Check a normalized VAT ID: a country prefix followed by 2 to 13 characters
+ */
+function isValidVatId(vatId) {
+    return /^[A-Z]{2}[0-9A-Z+*]{2,13}$/.test(vatId);
+}
+
+/**
+ * Escape text for XML, dropping characters XML can't contain
+ * Line breaks are kept as character references so indenting can't change them.
+ */
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(INVALID_XML_CHARS, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r/g, '&#13;')
+        .replace(/\n/g, '&#10;');
+}
+
+/**
+ * An XML element with text, or with child elements (falsy children are left out)
+ */
+function element(name, content, attributes = {}) {
+    const attributeText = Object.entries(attributes)
+        .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+        .join('');
+
+    if (!Array.isArray(content)) {
+        return `<${name}${attributeText}>${escapeXml(content)}</${name}>`;
+    }
+
+    const children = content.filter(Boolean);
+
+    if (!children.length) {
+        return `<${name}${attributeText}/>`;
+    }
+
+    return `<${name}${attributeText}>\n${children.map(child => child.replace(/^/gm, '    ')).join('\n')}\n</${name}>`;
+}
+
+const amount = value => roundMoney(value).toFixed(2);
+const decimal = value => String(Math.round(value * 10000) / 10000);
+const date = value => element('udt:DateTimeString', new Date(value).toISOString().slice(0, 10).replace(/-/g, ''), { format: '102' });
+
+/**
+ * Seller details from the account's profile
+ * (the authenticated user object only carries the basics)
+ */
+async function getSeller(user, invoice) {
+    const { data: profile } = await supabase
+        .from('users')
+        .select('name, business_name, email, address, vat_id, country, vat_exemption_reason')
+        .eq('id', user.id || invoice.user_id)
+        .single();
+
+    return { ...user, ...profile };
+}
+
+/**
+ * Required seller and buyer details that are missing
+ * @returns {Array<Object>} [{ field, message }]
+ */
+function checkParties(seller, client) {
+    return [
+        !seller.address && { field: 'seller.address', message: 'Add your business address to your profile' },
+        !isValidCountry(seller.country) && { field: 'seller.country', message: 'Add your business country to your profile' },
+        !seller.vat_id && { field: 'seller.vat_id', message: 'Add your VAT ID to your profile' },
+        !client.address && { field: 'client.address', message: 'Add the client\'s address' },
+        !isValidCountry(client.country) && { field: 'client.country', message: 'Add the client\'s country' }
+    ].filter(Boolean);
+}
+
+/**
+ * Lines with their net amount, VAT category and rate
+ *
+ * A line has at most one named tax. Without named taxes on any line the
+ * invoice-wide rate applies to every line. Untaxed lines are exempt (E).
+ * @returns {Object} { lines, errors, hasLineTaxes }
+ */
+function getLines(invoice) {
+    const items = invoice.items || [];
+    const hasLineTaxes = items.some(item => item.taxes?.length);
+    const invoiceRate = parseFloat(invoice.tax_rate) || 0;
+    const errors = [];
+
+    const lines = items.map((item, index) => {
+        const taxes = hasLineTaxes ? item.taxes || [] : [];
+        const rate = hasLineTaxes ? parseFloat(taxes[0]?.rate) || 0 : invoiceRate;
+        const quantity = parseFloat(item.quantity);
+        let netAmount = parseFloat(item.net_amount ?? item.amount);
+
+        if (taxes.length > 1) {
+            errors.push({
+                field: `items[${index}].taxes`,
+                message: `EN 16931 allows one VAT rate per line, but "${item.description}" has ${taxes.map(tax => tax.name).join(', ')}`
+            });
+        }
+
+        // A flat rate on tax-inclusive prices is only backed out of the subtotal
+        if (!hasLineTaxes && invoice.prices_include_tax) {
+            netAmount = roundMoney(netAmount / (1 + invoiceRate / 100));
+        }
+
+        return {
+            item,
+            quantity,
+            netAmount,
+            category: rate > 0 ? 'S' : 'E',
+            rate: rate > 0 ? rate : 0,
+            taxAmount: hasLineTaxes ? taxes.reduce((sum, tax) => sum + parseFloat(tax.amount), 0) : null
+        };
+    });
+
+    // Put the rounding of the backed-out amounts on the last line so the lines add up to the subtotal
+    if (!hasLineTaxes && invoice.prices_include_tax && lines.length) {
+        const difference = parseFloat(invoice.subtotal) - lines.reduce((sum, line) => sum + line.netAmount, 0);
+        lines[lines.length - 1].netAmount = roundMoney(lines[lines.length - 1].netAmount + difference);
+    }
+
+    return { lines, errors, hasLineTaxes };
+}
+
+/**
+ * Everything the XML states about amounts, or the reasons it can't be built
+ *
+ * Late fees are added as document-level charges without VAT. Amounts
+ * without VAT are exempt (E), which EN 16931 only accepts with the
+ * seller's exemption reason. EN 16931 applies discounts before VAT, so a
+ * discount taken off a taxed total can't be expressed and is reported
+ * instead. The amount due is the invoice's balance, so payments, credit
+ * notes and an early-payment discount already taken count as prepaid.
+ * @returns {Object} { lines, charges, allowances, taxes, totals, errors }
+ */
+function getAmounts(invoice, seller) {
+    const { lines, errors, hasLineTaxes } = getLines(invoice);
+    const taxAmount = parseFloat(invoice.tax_amount) || 0;
+    const discount = parseFloat(invoice.discount_amount) || 0;
+    const lateFees = invoice.late_fees?.length
+        ? invoice.late_fees
+        : (invoice.late_fee_amount > 0 ? [{ description: 'Late fees', amount: invoice.late_fee_amount }] : []);
+
+    const charges = lateFees.map(fee => ({ reason: fee.description, amount: parseFloat(fee.amount), category: 'E', rate: 0 }));
+    const allowances = discount > 0 ? [{ reason: 'Discount', amount: discount, category: 'E', rate: 0 }] : [];
+
+    if (discount > 0 && taxAmount > 0) {
+        errors.push({
+            field: 'discount_amount',
+            message: 'EN 16931 applies discounts before tax; lower the item prices instead of discounting the taxed total'
+        });
+    }
+
+    // One breakdown entry per VAT category and rate
+    const taxes = new Map();
+    const addToBreakdown = (category, rate, basis, tax) => {
+        const key = `${category}:${rate}`;
+        const entry = taxes.get(key) || { category, rate, basis: 0, tax: 0, exemptionReason: category === 'E' ? seller.vat_exemption_reason : null };
+
+        entry.basis += basis;
+        entry.tax += tax;
+        taxes.set(key, entry);
+    };
+
+    lines.forEach(line => addToBreakdown(line.category, line.rate, line.netAmount, line.taxAmount || 0));
+    charges.forEach(charge => addToBreakdown(charge.category, charge.rate, charge.amount, 0));
+    allowances.forEach(allowance => addToBreakdown(allowance.category, allowance.rate, -allowance.amount, 0));
+
+    // The invoice-wide rate was charged on the subtotal as a whole
+    if (!hasLineTaxes && taxAmount > 0 && lines.length) {
+        taxes.get(`S:${lines[0].rate}`).tax = taxAmount;
+    }
+
+    const lineTotal = lines.reduce((sum, line) => sum + line.netAmount, 0);
+    const chargeTotal = charges.reduce((sum, charge) => sum + charge.amount, 0);
+    const allowanceTotal = allowances.reduce((sum, allowance) => sum + allowance.amount, 0);
+    const taxTotal = [...taxes.values()].reduce((sum, entry) => sum + entry.tax, 0);
+    const grandTotal = roundMoney(lineTotal + chargeTotal - allowanceTotal + taxTotal);
+    const due = roundMoney(parseFloat(invoice.balance_due ?? invoice.total) || 0);
+
+    if (taxes.has('E:0') && !seller.vat_exemption_reason) {
+        errors.push({ field: 'seller.vat_exemption_reason', message: 'Add the reason your untaxed items and fees are exempt from VAT to your profile' });
+    }
+
+    if (Math.abs(grandTotal - parseFloat(invoice.total)) >= 0.01) {
+        errors.push({ field: 'total', message: `The lines, taxes and fees add up to ${amount(grandTotal)}, not the invoice total of ${amount(invoice.total)}` });
+    }
+
+    return {
+        lines,
+        charges,
+        allowances,
+        taxes: [...taxes.values()],
+        totals: { lineTotal, chargeTotal, allowanceTotal, taxBasis: lineTotal + chargeTotal - allowanceTotal, taxTotal, grandTotal, prepaid: roundMoney(grandTotal - due), due },
+        errors
+    };
+}
+
+/**
+ * VAT category and rate of a line, charge or allowance
+ */
+function renderCategory(name, { category, rate }) {
+    return element(name, [
+        element('ram:TypeCode', 'VAT'),
+        element('ram:CategoryCode', category),
+        element('ram:RateApplicablePercent', decimal(rate))
+    ]);
+}
+
+/**
+ * Seller or buyer party
+ */
+function renderParty(name, party) {
+    const [lineOne, lineTwo, ...rest] = String(party.address).split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+
+    return element(name, [
+        element('ram:Name', party.name),
+        element('ram:PostalTradeAddress', [
+            lineOne && element('ram:LineOne', lineOne),
+            lineTwo && element('ram:LineTwo', lineTwo),
+            rest.length && element('ram:LineThree', rest.join(', ')),
+            element('ram:CountryID', party.country)
+        ]),
+        party.email && element('ram:URIUniversalCommunication', [element('ram:URIID', party.email, { schemeID: 'EM' })]),
+        party.vat_id && element('ram:SpecifiedTaxRegistration', [element('ram:ID', party.vat_id, { schemeID: 'VA' })])
+    ]);
+}
+
+/**
+ * The CrossIndustryInvoice document
+ */
+function renderInvoiceXML(invoice, seller, { lines, charges, allowances, taxes, totals }) {
+    const { currency, client } = invoice;
+
+    const document = element('rsm:CrossIndustryInvoice', [
+        element('rsm:ExchangedDocumentContext', [
+            element('ram:GuidelineSpecifiedDocumentContextParameter', [element('ram:ID', 'urn:cen.eu:en16931:2017')])
+        ]),
+        element('rsm:ExchangedDocument', [
+            element('ram:ID', invoice.invoice_number),
+            element('ram:TypeCode', '380'),
+            element('ram:IssueDateTime', [date(invoice.issue_date || invoice.created_at)]),
+            ...[invoice.notes, invoice.terms].filter(Boolean).map(text => element('ram:IncludedNote', [element('ram:Content', text)]))
+        ]),
+        element('rsm:SupplyChainTradeTransaction', [
+            ...lines.map((line, index) => element('ram:IncludedSupplyChainTradeLineItem', [
+                element('ram:AssociatedDocumentLineDocument', [element('ram:LineID', String(index + 1))]),
+                element('ram:SpecifiedTradeProduct', [
+                    line.item.sku && element('ram:SellerAssignedID', line.item.sku),
+                    element('ram:Name', line.item.description)
+                ]),
+                element('ram:SpecifiedLineTradeAgreement', [
+                    element('ram:NetPriceProductTradePrice', [element('ram:ChargeAmount', decimal(line.quantity ? line.netAmount / line.quantity : 0))])
+                ]),
+                element('ram:SpecifiedLineTradeDelivery', [
+                    element('ram:BilledQuantity', decimal(line.quantity), { unitCode: UNIT_CODES[line.item.unit] || 'C62' })
+                ]),
+                element('ram:SpecifiedLineTradeSettlement', [
+                    renderCategory('ram:ApplicableTradeTax', line),
+                    element('ram:SpecifiedTradeSettlementLineMonetarySummation', [element('ram:LineTotalAmount', amount(line.netAmount))])
+                ])
+            ])),
+            element('ram:ApplicableHeaderTradeAgreement', [
+                renderParty('ram:SellerTradeParty', { ...seller, name: seller.business_name || seller.name }),
+                renderParty('ram:BuyerTradeParty', client)
+            ]),
+            element('ram:ApplicableHeaderTradeDelivery', []),
+            element('ram:ApplicableHeaderTradeSettlement', [
+                element('ram:InvoiceCurrencyCode', currency),
+                ...taxes.map(tax => element('ram:ApplicableTradeTax', [
+                    element('ram:CalculatedAmount', amount(tax.tax)),
+                    element('ram:TypeCode', 'VAT'),
+                    tax.exemptionReason && element('ram:ExemptionReason', tax.exemptionReason),
+                    element('ram:BasisAmount', amount(tax.basis)),
+                    element('ram:CategoryCode', tax.category),
+                    element('ram:RateApplicablePercent', decimal(tax.rate))
+                ])),
+                ...[...allowances.map(entry => [entry, false]), ...charges.map(entry => [entry, true])]
+                    .map(([entry, isCharge]) => element('ram:SpecifiedTradeAllowanceCharge', [
+                        element('ram:ChargeIndicator', [element('udt:Indicator', String(isCharge))]),
+                        element('ram:ActualAmount', amount(entry.amount)),
+                        element('ram:Reason', entry.reason),
+                        renderCategory('ram:CategoryTradeTax', entry)
+                    ])),
+                element('ram:SpecifiedTradePaymentTerms', [element('ram:DueDateDateTime', [date(invoice.due_date)])]),
+                element('ram:SpecifiedTradeSettlementHeaderMonetarySummation', [
+                    element('ram:LineTotalAmount', amount(totals.lineTotal)),
+                    charges.length && element('ram:ChargeTotalAmount', amount(totals.chargeTotal)),
+                    allowances.length && element('ram:AllowanceTotalAmount', amount(totals.allowanceTotal)),
+                    element('ram:TaxBasisTotalAmount', amount(totals.taxBasis)),
+                    element('ram:TaxTotalAmount', amount(totals.taxTotal), { currencyID: currency }),
+                    element('ram:GrandTotalAmount', amount(totals.grandTotal)),
+                    totals.prepaid > 0 && element('ram:TotalPrepaidAmount', amount(totals.prepaid)),
+                    element('ram:DuePayableAmount', amount(totals.due))
+                ])
+            ])
+        ])
+    ], NAMESPACES);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${document}\n`;
+}
+
+/**
+ * Check XML against the bundled Factur-X schema
+ * @returns {Promise<Array<Object>>} Schema errors ([{ line, message }]), empty when valid
+ */
+async function validateFacturXML(xml) {
+    if (!schemaFiles) {
+        schemaFiles = SCHEMA_FILES.map(fileName => ({
+            fileName,
+            contents: fs.readFileSync(path.join(SCHEMA_DIR, fileName), 'utf8')
+        }));
+    }
+
+    const [schema, ...imports] = schemaFiles;
+    const result = await validateXML({
+        xml: [{ fileName: FACTURX_FILENAME, contents: xml }],
+        schema: [schema],
+        preload: imports
+    });
+
+    return result.errors.map(error => ({ line: error.loc?.lineNumber ?? null, message: error.message }));
+}
+
+/**
+ * Build the Factur-X XML for an invoice and check it against the schema
+ * @param {Object} invoice - Invoice with items, client (address, country, vat_id) and late fees
+ * @param {Object} user - Seller (the rest of the profile is loaded)
+ * @returns {Promise<string>} XML
+ * @throws {APIError} 400 FACTURX_INCOMPLETE with details ([{ field, message }]) when
+ *                    required data is missing or can't be expressed,
+ *                    500 FACTURX_SCHEMA_INVALID if the XML fails schema validation
+ */
+async function buildFacturX(invoice, user) {
+    const seller = await getSeller(user, invoice);
+    const client = invoice.client || {};
+    const amounts = getAmounts(invoice, seller);
+
+    const errors = [
+        invoice.status === 'void' && { field: 'status', message: 'A void invoice can\'t be issued as an e-invoice' },
+        !(isValidCurrency(invoice.currency) && /^[A-Z]{3}$/.test(invoice.currency)) && { field: 'currency', message: `"${invoice.currency}" is not an ISO 4217 currency code` },
+        !amounts.lines.length && { field: 'items', message: 'An e-invoice needs at least one item' },
+        ...checkParties(seller, client),
+        ...amounts.errors
+    ].filter(Boolean);
+
+    if (errors.length) {
+        throw new APIError('The invoice can\'t be issued as Factur-X', 400, 'FACTURX_INCOMPLETE', errors);
+    }
+
+    const xml = renderInvoiceXML(invoice, seller, amounts);
+    const schemaErrors = await validateFacturXML(xml);
+
+    if (schemaErrors.length) {
+        throw new APIError('The Factur-X XML does not match the EN 16931 schema', 500, 'FACTURX_SCHEMA_INVALID', schemaErrors);
+    }
+
+    return xml;
+}
+
+/**
+ * Embed Factur-X XML in a PDF/A-3 document, before doc.end()
+ */
+function embedFacturX(doc, xml) {
+    doc.file(Buffer.from(xml, 'utf8'), {
+        name: FACTURX_FILENAME,
+        type: 'text/xml',
+        description: 'Factur-X invoice',
+        relationship: 'Alternative',
+        modifiedDate: new Date()
+    });
+
+    doc.appendXML(`
+        <rdf:Description rdf:about="" xmlns:fx="${FACTURX_NAMESPACE}">
+            ${FACTURX_PROPERTIES.map(([name, value]) => `<fx:${name}>${value}</fx:${name}>`).join('\n            ')}
+        </rdf:Description>
+        <rdf:Description rdf:about=""
+            xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"
+            xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"
+            xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">
+            <pdfaExtension:schemas>
+                <rdf:Bag>
+                    <rdf:li rdf:parseType="Resource">
+                        <pdfaSchema:schema>Factur-X PDFA Extension Schema</pdfaSchema:schema>
+                        <pdfaSchema:namespaceURI>${FACTURX_NAMESPACE}</pdfaSchema:namespaceURI>
+                        <pdfaSchema:prefix>fx</pdfaSchema:prefix>
+                        <pdfaSchema:property>
+                            <rdf:Seq>
+                                ${FACTURX_PROPERTIES.map(([name, , description]) => `<rdf:li rdf:parseType="Resource">
+                                    <pdfaProperty:name>${name}</pdfaProperty:name>
+                                    <pdfaProperty:valueType>Text</pdfaProperty:valueType>
+                                    <pdfaProperty:category>external</pdfaProperty:category>
+                                    <pdfaProperty:description>${description}</pdfaProperty:description>
+                                </rdf:li>`).join('\n                                ')}
+                            </rdf:Seq>
+                        </pdfaSchema:property>
+                    </rdf:li>
+                </rdf:Bag>
+            </pdfaExtension:schemas>
+        </rdf:Description>
+        `);
+}
+
+module.exports = {
+    FACTURX_FILENAME,
+    isValidCountry,
+    normalizeVatId,
+    isValidVatId,
+    validateFacturXML,
+    buildFacturX,
+    embedFacturX
+};
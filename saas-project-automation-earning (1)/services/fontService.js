@@ -0,0 +1,361 @@
+/**
+ * Font Service
+ * Bundled TrueType fonts for PDFs. Text is set in the template's font, with
+ * each run of characters it has no glyphs for set in the first fallback font
+ * that has them, and right-to-left text put in display order.
+ */
+
+const fs = require('fs');
+const fontkit = require('fontkit');
+const bidi = require('bidi-js')();
+
+// Fonts by name, embedded (and subset) in a PDF the first time it uses them
+const FONT_FILES = {
+    'DejaVuSansCondensed': { weight: 'regular', file: 'dejavu-fonts-ttf/ttf/DejaVuSansCondensed.ttf' },
+    'DejaVuSansCondensed-Bold': { weight: 'bold', file: 'dejavu-fonts-ttf/ttf/DejaVuSansCondensed-Bold.ttf' },
+    'DejaVuSerifCondensed': { weight: 'regular', file: 'dejavu-fonts-ttf/ttf/DejaVuSerifCondensed.ttf' },
+    'DejaVuSerifCondensed-Bold': { weight: 'bold', file: 'dejavu-fonts-ttf/ttf/DejaVuSerifCondensed-Bold.ttf' },
+    'DejaVuSansMono': { weight: 'regular', file: 'dejavu-fonts-ttf/ttf/DejaVuSansMono.ttf' },
+    'DejaVuSansMono-Bold': { weight: 'bold', file: 'dejavu-fonts-ttf/ttf/DejaVuSansMono-Bold.ttf' },
+    'NotoSansSC': { weight: 'regular', file: '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf' },
+    'NotoSansSC-Bold': { weight: 'bold', file: '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf' },
+    'NotoSansKR': { weight: 'regular', file: '@expo-google-fonts/noto-sans-kr/400Regular/NotoSansKR_400Regular.ttf' },
+    'NotoSansKR-Bold': { weight: 'bold', file: '@expo-google-fonts/noto-sans-kr/700Bold/NotoSansKR_700Bold.ttf' }
+};
+
+// Tried in order after the template's font: DejaVu Sans covers Latin, Greek,
+// Cyrillic, Arabic and Hebrew, Noto Sans SC Chinese and Japanese, Noto Sans KR Hangul
+const FALLBACK_FONTS = {
+    regular: ['DejaVuSansCondensed', 'NotoSansSC', 'NotoSansKR'],
+    bold: ['DejaVuSansCondensed-Bold', 'NotoSansSC-Bold', 'NotoSansKR-Bold']
+};
+
+// Hebrew, Arabic, Syriac, Thaana, NKo and their presentation forms
+const RTL_CHARACTERS = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+// Characters that take the font of the character before them
+const ATTACHED_CHARACTERS = /[\s\p{M}\u200C\u200D\uFE00-\uFE0F]/u;
+
+// Where a line may wrap: at spaces, or between CJK characters
+const CJK = '\u2E80-\u2FFF\u3000-\u30FF\u3400-\u4DBF\u4E00-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF';
+const WRAP_TOKENS = new RegExp(`\\s+|[${CJK}]|[^\\s${CJK}]+`, 'g');
+
+const loadedFonts = new Map();
+const registeredFonts = new WeakMap();
+
+/**
+ * Read a bundled font once per process
+ * @returns {Object} { data: file contents for PDFKit, font: fontkit font for glyph lookups }
+ */
+function loadFont(name) {
+    if (!loadedFonts.has(name)) {
+        const data = fs.readFileSync(require.resolve(FONT_FILES[name].file));
+        loadedFonts.set(name, { data, font: fontkit.create(data) });
+    }
+
+    return loadedFonts.get(name);
+}
+
+/**
+ * Make a bundled font the document's current font
+ */
+function useFont(doc, name) {
+    if (!registeredFonts.has(doc)) {
+        registeredFonts.set(doc, new Set());
+    }
+
+    if (!registeredFonts.get(doc).has(name)) {
+        doc.registerFont(name, loadFont(name).data);
+        registeredFonts.get(doc).add(name);
+    }
+
+    return doc.font(name);
+}
+
+/**
+ * The font and its fallbacks of the same weight
+ */
+function getFontStack(name) {
+    return [name, ...FALLBACK_FONTS[FONT_FILES[name].weight].filter(fallback => fallback !== name)];
+}
+
+/**
+ * Font for every character of a text: the first in the stack with a glyph for it
+ * Characters no font has stay in the first font.
+ * @returns {Array<string>} Font name per UTF-16 index
+ */
+function assignFonts(text, stack) {
+    const fonts = new Array(text.length);
+    let previous = stack[0];
+    let index = 0;
+
+    for (const character of text) {
+        let font = previous;
+
+        if (!ATTACHED_CHARACTERS.test(character)) {
+            const codePoint = character.codePointAt(0);
+            font = stack.find(name => loadFont(name).font.hasGlyphForCodePoint(codePoint)) || stack[0];
+        }
+
+        fonts.fill(font, index, index + character.length);
+        previous = font;
+        index += character.length;
+    }
+
+    return fonts;
+}
+
+/**
+ * Whether a text can be left to PDFKit: one font and no right-to-left characters
+ */
+function isPlainText(text, stack) {
+    return !RTL_CHARACTERS.test(text) && assignFonts(text, stack).every(font => font === stack[0]);
+}
+
+/**
+ * Split a text into runs of one font, in reading order
+ * @returns {Array<Object>} { text, font }
+ */
+function splitRuns(text, stack) {
+    const fonts = assignFonts(text, stack);
+    const runs = [];
+
+    for (let index = 0; index < text.length; index++) {
+        const last = runs[runs.length - 1];
+
+        if (last && last.font === fonts[index]) {
+            last.text += text[index];
+        } else {
+            runs.push({ text: text[index], font: fonts[index] });
+        }
+    }
+
+    return runs;
+}
+
+/**
+ * Width of a text at the current font size
+ */
+function measureWidth(doc, text, stack) {
+    return splitRuns(text, stack)
+        .reduce((width, run) => width + useFont(doc, run.font).widthOfString(run.text), 0);
+}
+
+/**
+ * Runs of one line in display order
+ *
+ * Right-to-left runs are split into words: PDFKit shapes each word and
+ * reverses its glyphs, while the words themselves are put in order here.
+ * @param {string} direction - 'ltr' or 'rtl', the paragraph's base direction
+ * @returns {Array<Object>} { text, font }
+ */
+function getDisplayRuns(text, direction, stack) {
+    if (direction === 'ltr' && !RTL_CHARACTERS.test(text)) {
+        return splitRuns(text, stack);
+    }
+
+    const fonts = assignFonts(text, stack);
+    const embedding = bidi.getEmbeddingLevels(text, direction);
+    const { levels } = embedding;
+    const mirrored = bidi.getMirroredCharactersMap(text, levels);
+    const order = bidi.getReorderedIndices(text, embedding);
+    const runs = [];
+
+    order.forEach((index, position) => {
+        const character = mirrored.get(index) || text[index];
+        const isRtl = levels[index] % 2 === 1;
+        const last = runs[runs.length - 1];
+        const follows = last && last.isRtl === isRtl && last.font === fonts[index]
+            && order[position - 1] === index + (isRtl ? 1 : -1)
+            && !(isRtl && (/\s/.test(character) || /\s/.test(text[order[position - 1]])));
+
+        if (follows) {
+            last.indexes.push(index);
+        } else {
+            runs.push({ isRtl, font: fonts[index], indexes: [index] });
+        }
+    });
+
+    return runs.map(({ isRtl, font, indexes }) => {
+        // Back to reading order; right-to-left words are reversed when shaped,
+        // anything else in a right-to-left run is reversed here
+        const logical = isRtl ? [...indexes].reverse() : indexes;
+        const runText = logical.map(index => mirrored.get(index) || text[index]).join('');
+
+        return {
+            text: isRtl && !RTL_CHARACTERS.test(runText) ? Array.from(runText).reverse().join('') : runText,
+            font
+        };
+    });
+}
+
+/**
+ * Break a text into lines that fit the width
+ * Lines break between words; a word wider than the width on its own (a long
+ * SKU, URL or IBAN) is broken between characters, as PDFKit's LineWrapper does.
+ * @returns {Array<Object>} { text, direction }
+ */
+function layoutLines(doc, text, stack, { width, lineBreak = true }) {
+    const lines = [];
+
+    text.split(/\r?\n/).forEach(paragraph => {
+        const direction = RTL_CHARACTERS.test(paragraph)
+            && bidi.getEmbeddingLevels(paragraph).paragraphs[0].level % 2 === 1 ? 'rtl' : 'ltr';
+
+        if (!width || lineBreak === false) {
+            lines.push({ text: paragraph, direction });
+            return;
+        }
+
+        let line = '';
+        const breakLine = () => {
+            lines.push({ text: line.trimEnd(), direction });
+            line = '';
+        };
+
+        (paragraph.match(WRAP_TOKENS) || []).forEach(token => {
+            const isSpace = /^\s+$/.test(token);
+
+            if (!line && isSpace) {
+                return;
+            }
+
+            if (measureWidth(doc, (line + token).trimEnd(), stack) <= width) {
+                line += token;
+                return;
+            }
+
+            if (line) {
+                breakLine();
+            }
+
+            if (isSpace || measureWidth(doc, token, stack) <= width) {
+                line = isSpace ? '' : token;
+                return;
+            }
+
+            Array.from(token).forEach(character => {
+                if (line && measureWidth(doc, line + character, stack) > width) {
+                    breakLine();
+                }
+
+                line += character;
+            });
+        });
+
+        lines.push({ text: line.trimEnd(), direction });
+    });
+
+    return lines;
+}
+
+/**
+ * Shorten the last line to fit with an ellipsis
+ */
+function addEllipsis(doc, line, stack, width) {
+    let text = line.text;
+
+    while (text && measureWidth(doc, `${text}…`, stack) > width) {
+        text = Array.from(text).slice(0, -1).join('');
+    }
+
+    return { ...line, text: `${text.trimEnd()}…` };
+}
+
+/**
+ * Write text like doc.text, in the bundled fonts
+ *
+ * Text the template's font can set on its own goes straight to PDFKit.
+ * Anything else is broken into lines here, each line drawn run by run on a
+ * shared baseline, starting a new page when it reaches the bottom margin.
+ * @param {Object} options - doc.text options plus font (a FONT_FILES name) and size
+ */
+function writeText(doc, text, x, y, { font, size, ...options }) {
+    const value = String(text ?? '');
+    const stack = getFontStack(font);
+
+    useFont(doc.fontSize(size), font);
+
+    if (isPlainText(value, stack)) {
+        return doc.text(value, x, y, options);
+    }
+
+    const lineHeight = doc.currentLineHeight(true) + (options.lineGap || 0);
+    const ascent = (loadFont(font).font.ascent / loadFont(font).font.unitsPerEm) * size;
+    let lines = layoutLines(doc, value, stack, options);
+
+    if (options.height) {
+        const maxLines = Math.max(1, Math.floor(options.height / lineHeight));
+
+        if (lines.length > maxLines) {
+            lines = lines.slice(0, maxLines);
+
+            if (options.ellipsis) {
+                lines[maxLines - 1] = addEllipsis(doc, lines[maxLines - 1], stack, options.width);
+            }
+        }
+    }
+
+    let top = y;
+
+    lines.forEach(line => {
+        if (options.lineBreak !== false && !options.height && top + lineHeight > doc.page.maxY()) {
+            doc.addPage();
+            top = doc.page.margins.top;
+        }
+
+        const runs = getDisplayRuns(line.text, line.direction, stack)
+            .map(run => ({ ...run, width: useFont(doc, run.font).widthOfString(run.text) }));
+        const lineWidth = runs.reduce((total, run) => total + run.width, 0);
+        const space = options.width ? options.width - lineWidth : 0;
+        let left = x + (options.align === 'right' ? space : options.align === 'center' ? space / 2 : 0);
+
+        runs.forEach(run => {
+            useFont(doc, run.font).text(run.text, left, top + ascent, { lineBreak: false, baseline: 'alphabetic' });
+            left += run.width;
+        });
+
+        top += lineHeight;
+    });
+
+    useFont(doc, font);
+    doc.x = x;
+    doc.y = top;
+
+    return doc;
+}
+
+/**
+ * Width of a line of text written by writeText
+ */
+function widthOfText(doc, text, { font, size }) {
+    doc.fontSize(size);
+
+    return measureWidth(doc, String(text ?? ''), getFontStack(font));
+}
+
+/**
+ * Height of text written by writeText with the same options
+ */
+function measureText(doc, text, { font, size, ...options }) {
+    const value = String(text ?? '');
+    const stack = getFontStack(font);
+
+    useFont(doc.fontSize(size), font);
+
+    if (isPlainText(value, stack)) {
+        return doc.heightOfString(value, options);
+    }
+
+    const lineHeight = doc.currentLineHeight(true) + (options.lineGap || 0);
+
+    return layoutLines(doc, value, stack, options).length * lineHeight;
+}
+
+module.exports = {
+    FONT_FILES,
+    useFont,
+    writeText,
+    widthOfText,
+    measureText
+};
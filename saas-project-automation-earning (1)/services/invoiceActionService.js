@@ -0,0 +1,226 @@
+/**
+ * Invoice Action Service
+ * Single-invoice actions shared by the invoice routes and bulk operations
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { generateInvoicePDF } = require('./pdfService');
+const { renderInvoiceHTML } = require('./previewService');
+const { sendInvoiceEmail } = require('./emailService');
+const { createShareLink } = require('./shareLinkService');
+const { sendInvoiceReminder } = require('./reminderService');
+const { markInvoicePaid } = require('./paymentService');
+const { assertTransition, assertManualTransition, changeInvoiceStatus } = require('./invoiceStatusService');
+const { recordInvoiceRevision } = require('./revisionService');
+
+/**
+ * Load an invoice owned by a user
+ * @param {string} invoiceId - Invoice to load
+ * @param {string} userId - Owner
+ * @param {string} [columns] - Select clause
+ * @throws {APIError} 404 if the invoice doesn't exist or belongs to someone else
+ */
+async function loadOwnedInvoice(invoiceId, userId, columns = '*') {
+    const { data: invoice, error } = await supabase
+        .from('invoices')
+        .select(columns)
+        .eq('id', invoiceId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !invoice) {
+        throw new APIError('Invoice not found', 404);
+    }
+
+    return invoice;
+}
+
+/**
+ * Email an invoice to its client with a fresh pay link
+ * Sending a draft issues it, and a copy of what was sent is kept as a revision.
+ * Clients with Factur-X enabled get a PDF/A-3 with the invoice XML embedded.
+ * @param {Object} user - Sender (req.user)
+ * @param {string} invoiceId - Invoice to send
+ * @param {Object} options - { ip: request IP for the audit log }
+ */
+async function sendInvoice(user, invoiceId, { ip } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id, `
+        *,
+        client:clients(name, email, address, locale, vat_id, country, facturx_enabled),
+        items:invoice_items(*),
+        late_fees:invoice_late_fees(description, fee_type, rate, period, amount, applied_at)
+    `);
+
+    // Sending would hand the client a pay link for an invoice that is no longer owed
+    if (['cancelled', 'void'].includes(invoice.status)) {
+        throw new APIError(`Cannot send a ${invoice.status} invoice`, 400);
+    }
+
+    const pdfBuffer = await generateInvoicePDF(invoice, user, { facturX: invoice.client.facturx_enabled });
+
+    const shareLink = await createShareLink(invoice.id, user.id);
+    await sendInvoiceEmail(invoice.client.email, invoice, pdfBuffer, shareLink.url);
+
+    if (invoice.status === 'draft') {
+        await changeInvoiceStatus(invoice, 'pending', { details: { via: 'send' }, ip });
+    }
+
+    await recordInvoiceRevision(invoice.id, 'sent');
+
+    return invoice;
+}
+
+/**
+ * Send a payment reminder for an issued, unpaid invoice
+ */
+async function remindInvoice(user, invoiceId, { ip } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id, '*, client:clients(name, email, locale), late_fees:invoice_late_fees(description, fee_type, rate, period, amount)');
+
+    if (invoice.status === 'paid') {
+        throw new APIError('Invoice is already paid', 400);
+    }
+
+    if (['draft', 'cancelled', 'void'].includes(invoice.status)) {
+        throw new APIError(`Cannot send a reminder for a ${invoice.status} invoice`, 400);
+    }
+
+    await sendInvoiceReminder(invoice, { ip });
+
+    return invoice;
+}
+
+/**
+ * Record the remaining balance of an invoice as one payment
+ * @param {Object} payment - { payment_method, notes }
+ */
+async function markPaid(user, invoiceId, payment = {}, { ip } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id);
+
+    if (invoice.status === 'paid') {
+        throw new APIError('Invoice is already paid', 400);
+    }
+
+    await markInvoicePaid(invoice, payment, { ip });
+
+    return invoice;
+}
+
+/**
+ * Cancel an invoice that has no payments
+ */
+async function cancelInvoice(user, invoiceId, { ip } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id);
+
+    assertManualTransition(invoice, 'cancelled');
+
+    return changeInvoiceStatus(invoice, 'cancelled', { ip });
+}
+
+/**
+ * Void an invoice: it keeps its number and history, is stamped VOID and
+ * counts towards no revenue or outstanding totals
+ * Credit notes already issued against it stay as they are.
+ * @param {string} reason - Why the invoice was voided (required)
+ * @throws {APIError} 400 if the invoice has payments, or can't be voided from its status
+ */
+async function voidInvoice(user, invoiceId, reason, { ip } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id);
+
+    if (!reason) {
+        throw new APIError('A reason is required to void an invoice', 400);
+    }
+
+    if (parseFloat(invoice.paid_amount) > 0) {
+        throw new APIError('Refund the payments on this invoice before voiding it', 400, 'INVALID_STATUS_TRANSITION');
+    }
+
+    assertTransition(invoice.status, 'void');
+
+    return changeInvoiceStatus(invoice, 'void', {
+        updates: { voided_at: new Date().toISOString(), void_reason: reason },
+        action: 'INVOICE_VOIDED',
+        details: { reason, invoice_number: invoice.invoice_number, total: invoice.total },
+        ip
+    });
+}
+
+/**
+ * Delete a draft that was never sent (items are removed by cascade)
+ * Issued invoices are voided instead, so the number sequence has no gaps
+ */
+async function deleteInvoice(user, invoiceId) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id, 'id, invoice_number, status');
+
+    if (invoice.status !== 'draft') {
+        throw new APIError('Only draft invoices can be deleted; void the invoice instead', 400, 'VOID_REQUIRED');
+    }
+
+    const { count: timesSent } = await supabase
+        .from('invoice_revisions')
+        .select('*', { count: 'exact', head: true })
+        .eq('invoice_id', invoice.id)
+        .eq('event', 'sent');
+
+    if (timesSent > 0) {
+        throw new APIError('This draft has been sent to the client; void it instead', 400, 'VOID_REQUIRED');
+    }
+
+    const { error } = await supabase
+        .from('invoices')
+        .delete()
+        .eq('id', invoice.id);
+
+    if (error) {
+        throw new APIError('Failed to delete invoice', 500);
+    }
+
+    return invoice;
+}
+
+// Everything the PDF and HTML preview show
+const PRINT_COLUMNS = `
+    *,
+    client:clients(*),
+    items:invoice_items(*),
+    late_fees:invoice_late_fees(description, fee_type, rate, period, amount, applied_at)
+`;
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} options - { branding: branding to use instead of loading the account's,
+ *                            facturX: PDF/A-3 with the Factur-X XML embedded }
+ * @returns {Promise<Object>} { invoice, pdf: Buffer, filename }
+ */
+async function renderInvoicePDF(user, invoiceId, { branding, facturX } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id, PRINT_COLUMNS);
+
+    const pdf = await generateInvoicePDF(invoice, user, { branding, facturX });
+
+    return { invoice, pdf, filename: `${invoice.invoice_number}.pdf` };
+}
+
+/**
+ * Render an invoice as an HTML preview
+ * @param {Object} options - { branding: branding to use instead of loading the account's }
+ * @returns {Promise<Object>} { invoice, html }
+ */
+async function renderInvoicePreview(user, invoiceId, { branding } = {}) {
+    const invoice = await loadOwnedInvoice(invoiceId, user.id, PRINT_COLUMNS);
+
+    const html = await renderInvoiceHTML(invoice, user, { branding });
+
+    return { invoice, html };
+}
+
+module.exports = {
+    loadOwnedInvoice,
+    sendInvoice,
+    remindInvoice,
+    markPaid,
+    cancelInvoice,
+    voidInvoice,
+    deleteInvoice,
+    renderInvoicePDF,
+    renderInvoicePreview
+};
@@ -0,0 +1,246 @@
+/**
+ * Invoice Search Service
+ * Invoice list filters, free-text search, sorting and saved filter presets
+ */
+
+const { validate: isUuid } = require('uuid');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { sanitizeString } = require('../middleware/validate');
+const { applyInvoiceFilters } = require('./invoiceService');
+const { INVOICE_STATUSES } = require('./invoiceStatusService');
+
+// Columns the invoice list can be sorted by
+const SORTABLE_FIELDS = ['created_at', 'issue_date', 'due_date', 'paid_at', 'invoice_number', 'total', 'balance_due', 'status'];
+
+const DATE_FILTERS = ['issue_date_from', 'issue_date_to', 'due_date_from', 'due_date_to'];
+const AMOUNT_FILTERS = ['total_min', 'total_max'];
+const DAY_FILTERS = ['days_overdue_min', 'days_overdue_max'];
+
+const MAX_PRESETS = 50;
+
+/**
+ * Check and normalise invoice list filters
+ *
+ * Accepts query-string values (all strings) or a saved preset. Unknown keys
+ * and empty values are dropped, so the result can be stored or merged.
+ * @param {Object} raw - { status, client_id, currency, issue_date_from, issue_date_to, due_date_from, due_date_to,
+ *                        total_min, total_max, days_overdue_min, days_overdue_max, payment_method, search, sort, order }
+ * @returns {Object} Filters with only the keys that were given
+ * @throws {APIError} 400 on invalid values
+ */
+function normalizeInvoiceFilters(raw = {}) {
+    const value = key => (raw[key] === undefined || raw[key] === null || raw[key] === '' ? undefined : raw[key]);
+    const filters = {};
+
+    if (value('status') !== undefined) {
+        const statuses = Array.isArray(raw.status) ? raw.status : String(raw.status).split(',');
+        const invalid = statuses.find(status => !INVOICE_STATUSES.includes(status));
+        if (invalid !== undefined) {
+            throw new APIError(`Invalid invoice status "${invalid}"`, 400);
+        }
+        filters.status = statuses.length === 1 ? statuses[0] : statuses;
+    }
+
+    if (value('client_id') !== undefined) {
+        if (!isUuid(String(raw.client_id))) {
+            throw new APIError('Invalid client ID', 400);
+        }
+        filters.client_id = raw.client_id;
+    }
+
+    if (value('currency') !== undefined) {
+        if (!/^[A-Za-z]{3}$/.test(raw.currency)) {
+            throw new APIError('Currency must be a 3-letter code', 400);
+        }
+        filters.currency = raw.currency.toUpperCase();
+    }
+
+    DATE_FILTERS.filter(key => value(key) !== undefined).forEach(key => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(raw[key]) || isNaN(new Date(raw[key]))) {
+            throw new APIError(`${key} must be a date (YYYY-MM-DD)`, 400);
+        }
+        filters[key] = raw[key];
+    });
+
+    AMOUNT_FILTERS.filter(key => value(key) !== undefined).forEach(key => {
+        const amount = Number(raw[key]);
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw new APIError(`${key} must be a positive amount`, 400);
+        }
+        filters[key] = amount;
+    });
+
+    DAY_FILTERS.filter(key => value(key) !== undefined).forEach(key => {
+        const days = Number(raw[key]);
+        if (!Number.isInteger(days) || days < 0 || days > 3650) {
+            throw new APIError(`${key} must be a whole number of days`, 400);
+        }
+        filters[key] = days;
+    });
+
+    if (value('payment_method') !== undefined) {
+        const method = sanitizeString(String(raw.payment_method));
+        if (method.length > 50) {
+            throw new APIError('payment_method must be at most 50 characters', 400);
+        }
+        filters.payment_method = method;
+    }
+
+    if (value('search') !== undefined) {
+        const search = String(raw.search).trim();
+        if (search.length > 100) {
+            throw new APIError('Search must be at most 100 characters', 400);
+        }
+        if (search) filters.search = search;
+    }
+
+    if (value('sort') !== undefined) {
+        if (!SORTABLE_FIELDS.includes(raw.sort)) {
+            throw new APIError(`Sort must be one of: ${SORTABLE_FIELDS.join(', ')}`, 400);
+        }
+        filters.sort = raw.sort;
+    }
+
+    if (value('order') !== undefined) {
+        if (!['asc', 'desc'].includes(raw.order)) {
+            throw new APIError('Order must be asc or desc', 400);
+        }
+        filters.order = raw.order;
+    }
+
+    return filters;
+}
+
+/**
+ * Search an account's invoices
+ *
+ * Free text and payment method are matched by the search_invoices database
+ * function (invoice number, notes, line descriptions and client name); the
+ * other filters, sorting and paging are applied to its result like a table.
+ * @param {string} userId - Owner
+ * @param {Object} filters - Output of normalizeInvoiceFilters
+ * @param {Object} paging - { page, limit }
+ * @returns {Promise<Object>} { invoices, count }
+ */
+async function searchInvoices(userId, filters, { page = 1, limit = 20 } = {}) {
+    const { sort = 'created_at', order = 'desc' } = filters;
+
+    const query = supabase
+        .rpc('search_invoices', {
+            p_user_id: userId,
+            p_search: filters.search || null,
+            p_payment_method: filters.payment_method || null
+        }, { count: 'exact' })
+        .select(`
+            *,
+            client:clients(id, name, email, company)
+        `)
+        .order(sort, { ascending: order === 'asc', nullsFirst: false })
+        .range((page - 1) * limit, page * limit - 1);
+
+    const { data: invoices, error, count } = await applyInvoiceFilters(query, filters);
+
+    if (error) {
+        throw new APIError('Failed to fetch invoices', 500);
+    }
+
+    return { invoices, count };
+}
+
+/**
+ * Saved filter presets for an account, by name
+ */
+async function listFilterPresets(userId) {
+    const { data: presets, error } = await supabase
+        .from('invoice_filter_presets')
+        .select('id, name, filters, created_at, updated_at')
+        .eq('user_id', userId)
+        .order('name', { ascending: true });
+
+    if (error) {
+        throw new APIError('Failed to fetch filter presets', 500);
+    }
+
+    return presets;
+}
+
+/**
+ * Load a filter preset owned by a user
+ * @throws {APIError} 404 if the preset doesn't exist
+ */
+async function getFilterPreset(userId, presetId) {
+    const { data: preset, error } = await supabase
+        .from('invoice_filter_presets')
+        .select('id, name, filters, created_at, updated_at')
+        .eq('id', presetId)
+        .eq('user_id', userId)
+        .single();
+
+    if (error || !preset) {
+        throw new APIError('Filter preset not found', 404);
+    }
+
+    return preset;
+}
+
+/**
+ * Create a filter preset, or update one when presetId is given
+ * @param {string} userId - Owner
+ * @param {Object} data - { name, filters }
+ * @param {string} [presetId] - Preset to update (already checked to belong to the user)
+ * @throws {APIError} 400 on invalid filters, 409 DUPLICATE_PRESET when the name is taken
+ */
+async function saveFilterPreset(userId, { name, filters }, presetId) {
+    const preset = {};
+
+    if (!presetId || name !== undefined) {
+        preset.name = sanitizeString(name || '');
+        if (!preset.name || preset.name.length > 100) {
+            throw new APIError('Preset name is required and must be at most 100 characters', 400);
+        }
+    }
+
+    if (!presetId || filters !== undefined) {
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            throw new APIError('filters must be an object', 400);
+        }
+        preset.filters = normalizeInvoiceFilters(filters);
+    }
+
+    if (!presetId) {
+        const { count } = await supabase
+            .from('invoice_filter_presets')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId);
+
+        if (count >= MAX_PRESETS) {
+            throw new APIError(`You can save up to ${MAX_PRESETS} filter presets`, 400);
+        }
+    }
+
+    const { data: saved, error } = presetId
+        ? await supabase.from('invoice_filter_presets').update(preset).eq('id', presetId).eq('user_id', userId)
+            .select('id, name, filters, created_at, updated_at').single()
+        : await supabase.from('invoice_filter_presets').insert({ user_id: userId, ...preset })
+            .select('id, name, filters, created_at, updated_at').single();
+
+    if (error?.code === '23505') {
+        throw new APIError('A filter preset with this name already exists', 409, 'DUPLICATE_PRESET');
+    }
+
+    if (error) {
+        throw new APIError('Failed to save filter preset', 500);
+    }
+
+    return saved;
+}
+
+module.exports = {
+    SORTABLE_FIELDS,
+    normalizeInvoiceFilters,
+    searchInvoices,
+    listFilterPresets,
+    getFilterPreset,
+    saveFilterPreset
+};
@@ -0,0 +1,334 @@
+/**
+ * Invoice Service
+ * Invoice creation shared by the API, recurring profiles and other generators
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { sanitizeString } = require('../middleware/validate');
+const { isValidCurrency, resolveCurrency } = require('./currencyService');
+const { loadTaxRates, calculateLineTax, summarizeTaxes } = require('./taxService');
+const { applyCatalogItems } = require('./catalogService');
+const { parsePaymentTerms } = require('./paymentTermsService');
+const { syncInvoiceBalance } = require('./paymentService');
+
+const FREE_PLAN_MONTHLY_INVOICES = 5;
+
+// Statuses with money still to collect
+const UNPAID_STATUSES = ['pending', 'partially_paid', 'overdue'];
+
+/**
+ * Calculate invoice totals from line items
+ *
+ * Items may reference named taxes (tax_rate_ids); when any line does, those
+ * replace the flat invoice-wide taxRate
+ * @param {Array} items - Items with quantity, price and optional tax_rate_ids
+ * @param {number} taxRate - Tax percentage applied to the subtotal
+ * @param {number} discountAmount - Flat discount
+ * @param {Object} options - { taxRates: Map from loadTaxRates, pricesIncludeTax: prices already include tax }
+ * @returns {Object} { subtotal, taxAmount, total, lines, taxBreakdown }
+ */
+function calculateTotals(items, taxRate = 0, discountAmount = 0, { taxRates = new Map(), pricesIncludeTax = false } = {}) {
+    const hasLineTaxes = items.some(item => item.tax_rate_ids?.length);
+
+    if (hasLineTaxes) {
+        const lines = items.map(item => calculateLineTax(
+            item.quantity * item.price,
+            item.tax_rate_ids?.map(id => taxRates.get(id)) || [],
+            pricesIncludeTax
+        ));
+
+        const subtotal = lines.reduce((sum, line) => sum + line.net, 0);
+        const taxAmount = lines.reduce((sum, line) => sum + line.taxAmount, 0);
+        const total = subtotal + taxAmount - discountAmount;
+
+        return { subtotal, taxAmount, total, lines, taxBreakdown: summarizeTaxes(lines) };
+    }
+
+    const gross = items.reduce((sum, item) => sum + (item.quantity * item.price), 0);
+
+    // A flat rate on tax-inclusive prices is backed out of the entered amounts
+    const subtotal = pricesIncludeTax ? gross / (1 + taxRate / 100) : gross;
+    const taxAmount = pricesIncludeTax ? gross - subtotal : subtotal * (taxRate / 100);
+    const total = subtotal + taxAmount - discountAmount;
+
+    return { subtotal, taxAmount, total, lines: null, taxBreakdown: [] };
+}
+
+/**
+ * Build invoice item rows, storing each line's tax detail so later rate changes
+ * don't alter issued invoices
+ * @param {string} invoiceId - Invoice the items belong to
+ * @param {Array} items - Items as entered (description, quantity, price), after applyCatalogItems
+ * @param {Array|null} lines - Per-line tax results from calculateTotals
+ */
+function buildInvoiceItems(invoiceId, items, lines) {
+    return items.map((item, index) => ({
+        id: uuidv4(),
+        invoice_id: invoiceId,
+        description: sanitizeString(item.description),
+        quantity: item.quantity,
+        unit_price: item.price,
+        amount: item.quantity * item.price,
+        net_amount: lines ? lines[index].net : item.quantity * item.price,
+        tax_amount: lines ? lines[index].taxAmount : 0,
+        taxes: lines ? lines[index].taxes : [],
+        catalog_item_id: item.catalog_item_id || null,
+        unit: item.unit || null,
+        sku: item.sku || null,
+        sort_order: index
+    }));
+}
+
+/**
+ * Load the taxes referenced by items and calculate invoice totals
+ * @param {string} userId - Owner of the tax rates
+ * @param {Array} items - Items with quantity, price and optional tax_rate_ids
+ * @param {Object} options - { taxRate, discountAmount, pricesIncludeTax }
+ */
+async function calculateInvoiceTotals(userId, items, { taxRate = 0, discountAmount = 0, pricesIncludeTax = false } = {}) {
+    const taxRates = await loadTaxRates(userId, items);
+
+    return calculateTotals(items, taxRate, discountAmount, { taxRates, pricesIncludeTax });
+}
+
+/**
+ * Enforce the free plan's monthly invoice cap
+ * @param {Object} user - User with id and plan
+ */
+async function assertInvoiceQuota(user) {
+    if (user.plan !== 'free') {
+        return;
+    }
+
+    const { count } = await supabase
+        .from('invoices')
+        .select('*', { count: 'exact', head: true })
+        .eq('user_id', user.id)
+        .gte('created_at', new Date(new Date().setDate(1)).toISOString());
+
+    if (count >= FREE_PLAN_MONTHLY_INVOICES) {
+        throw new APIError(`Free plan limited to ${FREE_PLAN_MONTHLY_INVOICES} invoices per month. Please upgrade.`, 403, 'PLAN_LIMIT');
+    }
+}
+
+/**
+ * Turn an error raised by an invoice write function into an API error
+ * @param {Object} error - Supabase RPC error
+ * @param {string} fallback - Message for unexpected failures
+ */
+function toInvoiceWriteError(error, fallback) {
+    // Only possible if the numbering settings were changed to overlap earlier numbers
+    if (error.code === '23505') {
+        return new APIError('The next invoice number is already in use; check your numbering settings', 409, 'DUPLICATE_NUMBER');
+    }
+
+    if (error.message?.includes('INVOICE_TOTAL_BELOW_SETTLED')) {
+        return new APIError('Invoice total cannot be less than the amount already paid and credited', 400);
+    }
+
+    if (error.message?.includes('INVOICE_CLOSED')) {
+        return new APIError('Cannot modify a paid, void or cancelled invoice', 400, 'INVOICE_LOCKED');
+    }
+
+    if (error.message?.includes('INVOICE_NOT_FOUND')) {
+        return new APIError('Invoice not found', 404);
+    }
+
+    return new APIError(fallback, 500);
+}
+
+/**
+ * Early-payment discount columns for an invoice
+ * Taken from the given terms (e.g. "2/10 net 30"), otherwise from the account's default terms
+ * @param {string} userId - Owner
+ * @param {string|Object} [paymentTerms] - Terms given for this invoice
+ * @returns {Promise<Object>} { early_discount_rate, early_discount_days }
+ */
+async function resolveEarlyDiscount(userId, paymentTerms) {
+    if (paymentTerms !== undefined && paymentTerms !== null) {
+        const { discount_rate, discount_days } = parsePaymentTerms(paymentTerms);
+        return { early_discount_rate: discount_rate, early_discount_days: discount_days };
+    }
+
+    const { data: account } = await supabase
+        .from('users')
+        .select('early_discount_rate, early_discount_days')
+        .eq('id', userId)
+        .single();
+
+    return {
+        early_discount_rate: parseFloat(account?.early_discount_rate) || 0,
+        early_discount_days: account?.early_discount_days || 0
+    };
+}
+
+/**
+ * Create an invoice with its line items
+ * @param {Object} user - Owner (id, plan, default_currency)
+ * @param {Object} data - { client_id, items, due_date, issue_date, currency, notes, terms, payment_terms, status ('draft' or 'pending'),
+ *                        tax_rate, discount_amount, prices_include_tax, recurring_profile_id }
+ * @param {Object} options - { ip: request IP for the audit log }
+ * @returns {Promise<Object>} Created invoice including items
+ */
+async function createInvoice(user, data, { ip } = {}) {
+    const {
+        client_id, due_date, issue_date, currency, notes, terms, status = 'pending',
+        tax_rate = 0, discount_amount = 0, prices_include_tax = false, recurring_profile_id
+    } = data;
+
+    if (currency && !isValidCurrency(currency)) {
+        throw new APIError('Invalid currency code', 400);
+    }
+
+    await assertInvoiceQuota(user);
+
+    const earlyDiscount = await resolveEarlyDiscount(user.id, data.payment_terms);
+
+    // Verify client belongs to user
+    const { data: client, error: clientError } = await supabase
+        .from('clients')
+        .select('id, name, currency')
+        .eq('id', client_id)
+        .eq('user_id', user.id)
+        .single();
+
+    if (clientError || !client) {
+        throw new APIError('Client not found', 404);
+    }
+
+    const items = await applyCatalogItems(user.id, data.items);
+
+    const { lines, taxBreakdown } = await calculateInvoiceTotals(user.id, items, {
+        taxRate: tax_rate,
+        discountAmount: discount_amount,
+        pricesIncludeTax: Boolean(prices_include_tax)
+    });
+
+    // Number, invoice and items are claimed and inserted in one transaction; totals are computed from the stored items
+    const invoiceId = uuidv4();
+    const invoiceItems = buildInvoiceItems(invoiceId, items, lines);
+
+    const { data: invoice, error: invoiceError } = await supabase.rpc('create_invoice', {
+        p_invoice: {
+            id: invoiceId,
+            user_id: user.id,
+            client_id,
+            // Drafts can still be deleted; anything issued can only be voided
+            status: status === 'draft' ? 'draft' : 'pending',
+            currency: resolveCurrency(currency, client.currency, user.default_currency),
+            issue_date,
+            due_date,
+            // Line taxes replace the flat rate
+            tax_rate: taxBreakdown.length ? 0 : tax_rate,
+            tax_breakdown: taxBreakdown,
+            prices_include_tax: Boolean(prices_include_tax),
+            discount_amount,
+            ...earlyDiscount,
+            notes: sanitizeString(notes),
+            terms: sanitizeString(terms),
+            recurring_profile_id
+        },
+        p_items: invoiceItems
+    });
+
+    if (invoiceError || !invoice) {
+        throw toInvoiceWriteError(invoiceError || {}, 'Failed to create invoice');
+    }
+
+    // Log audit
+    await supabase.from('audit_logs').insert({
+        user_id: user.id,
+        action: 'INVOICE_CREATED',
+        entity_type: 'invoice',
+        entity_id: invoiceId,
+        new_values: { invoice_number: invoice.invoice_number, total: invoice.total, ...(recurring_profile_id && { recurring_profile_id }) },
+        ip_address: ip
+    });
+
+    return { ...invoice, items: invoiceItems };
+}
+
+/**
+ * Update an invoice and optionally replace its items in one transaction
+ *
+ * Totals are recomputed from the stored items inside the same transaction, and
+ * the update is rejected if the new total falls below what was already paid or credited.
+ * The status then follows the new balance (a total lowered to what was paid settles the invoice).
+ * @param {string} userId - Owner of the invoice
+ * @param {string} invoiceId - Invoice to update
+ * @param {Object} changes - Invoice fields to change (undefined fields are left as they are)
+ * @param {Array|null} invoiceItems - Rows from buildInvoiceItems to replace the items with
+ * @returns {Promise<Object>} Updated invoice
+ */
+async function updateInvoice(userId, invoiceId, changes, invoiceItems = null) {
+    const { data: invoice, error } = await supabase.rpc('update_invoice', {
+        p_invoice_id: invoiceId,
+        p_user_id: userId,
+        p_changes: changes,
+        p_items: invoiceItems
+    });
+
+    if (error || !invoice) {
+        throw toInvoiceWriteError(error || {}, 'Failed to update invoice');
+    }
+
+    return syncInvoiceBalance(invoice);
+}
+
+/**
+ * Date (YYYY-MM-DD, UTC) a number of days before today
+ */
+function daysAgo(days) {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() - days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Narrow an invoices query
+ *
+ * Days overdue count from the due date and only match invoices that are still
+ * unpaid (pending, partially paid or overdue).
+ * @param {Object} query - Supabase query on invoices
+ * @param {Object} filter - { status (one or a list), client_id, currency, issue_date_from, issue_date_to,
+ *                           due_date_from, due_date_to, total_min, total_max, days_overdue_min, days_overdue_max }
+ * @returns {Object} The filtered query
+ */
+function applyInvoiceFilters(query, filter = {}) {
+    const {
+        status, client_id, currency, issue_date_from, issue_date_to, due_date_from, due_date_to,
+        total_min, total_max, days_overdue_min, days_overdue_max
+    } = filter;
+
+    if (Array.isArray(status)) query = query.in('status', status);
+    else if (status) query = query.eq('status', status);
+    if (client_id) query = query.eq('client_id', client_id);
+    if (currency) query = query.eq('currency', currency);
+    if (issue_date_from) query = query.gte('issue_date', issue_date_from);
+    if (issue_date_to) query = query.lte('issue_date', issue_date_to);
+    if (due_date_from) query = query.gte('due_date', due_date_from);
+    if (due_date_to) query = query.lte('due_date', due_date_to);
+    if (total_min !== undefined) query = query.gte('total', total_min);
+    if (total_max !== undefined) query = query.lte('total', total_max);
+
+    if (days_overdue_min !== undefined || days_overdue_max !== undefined) {
+        query = query.in('status', UNPAID_STATUSES);
+        // At least one day overdue unless a minimum is given
+        query = query.lte('due_date', daysAgo(days_overdue_min ?? 1));
+        if (days_overdue_max !== undefined) query = query.gte('due_date', daysAgo(days_overdue_max));
+    }
+
+    return query;
+}
+
+module.exports = {
+    calculateTotals,
+    calculateInvoiceTotals,
+    buildInvoiceItems,
+    assertInvoiceQuota,
+    createInvoice,
+    updateInvoice,
+    applyInvoiceFilters
+};
@@ -0,0 +1,225 @@
+/**
+ * Invoice Status Service
+ * The invoice status state machine: which transitions are allowed and what each one changes
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { revokeShareLinks } = require('./shareLinkService');
+const { recordInvoiceRevision } = require('./revisionService');
+
+const INVOICE_STATUSES = ['draft', 'pending', 'partially_paid', 'paid', 'overdue', 'cancelled', 'void'];
+
+/**
+ * Allowed transitions from each status
+ *
+ * draft          -> pending (issued or sent), cancelled, void
+ * pending        -> partially_paid / paid (payments, credits), overdue (past due), cancelled, void
+ * partially_paid -> paid, overdue, pending (payments refunded), cancelled / void (only credited, nothing paid)
+ * overdue        -> paid, cancelled, void, pending / partially_paid (due date moved later)
+ * paid           -> partially_paid / pending / overdue (payments refunded)
+ * cancelled      -> void
+ * void           -> (final)
+ */
+const TRANSITIONS = {
+    draft: ['pending', 'cancelled', 'void'],
+    pending: ['partially_paid', 'paid', 'overdue', 'cancelled', 'void'],
+    partially_paid: ['pending', 'paid', 'overdue', 'cancelled', 'void'],
+    overdue: ['pending', 'partially_paid', 'paid', 'cancelled', 'void'],
+    paid: ['pending', 'partially_paid', 'overdue'],
+    cancelled: ['void'],
+    void: []
+};
+
+// Statuses a user can set directly; the rest follow payments, credits and due dates
+const MANUAL_STATUSES = ['pending', 'paid', 'cancelled'];
+
+// Statuses whose items, amounts and dates are final; a paid invoice reopens only when payments are refunded
+const LOCKED_STATUSES = ['paid', 'cancelled', 'void'];
+
+/**
+ * Check whether an invoice can move from one status to another
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * @throws {APIError} 400 INVALID_STATUS_TRANSITION if the transition isn't allowed
+ */
+function assertTransition(from, to) {
+    if (!canTransition(from, to)) {
+        throw new APIError(`Cannot change a ${from} invoice to ${to}`, 400, 'INVALID_STATUS_TRANSITION');
+    }
+}
+
+/**
+ * Check a status change requested by a user (rather than by a payment or the overdue job)
+ * @throws {APIError} 400 INVALID_STATUS_TRANSITION
+ */
+function assertManualTransition(invoice, to) {
+    if (to === 'void') {
+        throw new APIError('Use the void action to void an invoice (a reason is required)', 400, 'INVALID_STATUS_TRANSITION');
+    }
+
+    if (!MANUAL_STATUSES.includes(to)) {
+        throw new APIError(`The ${to} status is set automatically and can't be chosen`, 400, 'INVALID_STATUS_TRANSITION');
+    }
+
+    // Paid invoices go back to pending or partially paid through refunds only
+    if (invoice.status === 'paid' && to !== 'paid') {
+        throw new APIError('Refund the payments on this invoice to reopen it', 400, 'INVALID_STATUS_TRANSITION');
+    }
+
+    assertTransition(invoice.status, to);
+
+    // Money received has to be refunded before the invoice can be cancelled
+    if (to === 'cancelled' && parseFloat(invoice.paid_amount) > 0) {
+        throw new APIError('Refund the payments on this invoice before cancelling it', 400, 'INVALID_STATUS_TRANSITION');
+    }
+}
+
+/**
+ * Check the content of an invoice (items, amounts, dates, notes) can still be edited
+ * @throws {APIError} 400 INVOICE_LOCKED for paid, cancelled and void invoices
+ */
+function assertEditable(invoice) {
+    if (LOCKED_STATUSES.includes(invoice.status)) {
+        throw new APIError(`Cannot modify a ${invoice.status} invoice`, 400, 'INVOICE_LOCKED');
+    }
+}
+
+/**
+ * Status an invoice should have once paidAmount has been received and creditedAmount credited
+ * (discountAmount is an earned early-payment discount, which also counts as settled)
+ * Invoices past their due date (invoice.due_date) are overdue until they are settled in full,
+ * including paid invoices reopened by a refund; drafts and cancelled invoices keep their status
+ * @param {string} today - YYYY-MM-DD
+ */
+function getSettlementStatus(invoice, paidAmount, creditedAmount = 0, discountAmount = 0, today = new Date().toISOString().slice(0, 10)) {
+    if (['draft', 'cancelled', 'void'].includes(invoice.status)) {
+        return invoice.status;
+    }
+
+    const settled = paidAmount + creditedAmount + discountAmount;
+
+    if (settled >= parseFloat(invoice.total)) {
+        return 'paid';
+    }
+
+    if (invoice.status === 'overdue' || invoice.due_date < today) {
+        return 'overdue';
+    }
+
+    return settled > 0 ? 'partially_paid' : 'pending';
+}
+
+/**
+ * Status an unpaid invoice should have for its due date: overdue once the due
+ * date has passed, otherwise pending or partially paid. Other statuses are kept.
+ * @param {Object} invoice - Invoice row (status, due_date, paid_amount, credited_amount, early_discount_amount)
+ * @param {string} today - YYYY-MM-DD
+ */
+function getDueDateStatus(invoice, today = new Date().toISOString().slice(0, 10)) {
+    if (!['pending', 'partially_paid', 'overdue'].includes(invoice.status)) {
+        return invoice.status;
+    }
+
+    if (invoice.due_date < today) {
+        return 'overdue';
+    }
+
+    const settled = (parseFloat(invoice.paid_amount) || 0)
+        + (parseFloat(invoice.credited_amount) || 0)
+        + (parseFloat(invoice.early_discount_amount) || 0);
+
+    return settled > 0 ? 'partially_paid' : 'pending';
+}
+
+/**
+ * Columns that change together with the status
+ */
+function getStatusFields(invoice, status, paidAt) {
+    if (status === 'paid') {
+        return { paid_at: invoice.paid_at || paidAt || new Date().toISOString() };
+    }
+
+    return invoice.status === 'paid' ? { paid_at: null } : {};
+}
+
+/**
+ * Move an invoice to a new status and apply the side effects of the transition
+ *
+ * The update only applies if the invoice still has the status it was read with,
+ * so two writers can't both move it from the same starting point.
+ * @param {Object} invoice - Invoice row (id, user_id, status, paid_at)
+ * @param {string} status - Target status (the same status just saves `updates`)
+ * @param {Object} options
+ * @param {Object} options.updates - Other columns to save in the same update
+ * @param {string} options.paidAt - When the invoice counts as paid
+ * @param {string} options.action - Audit action, or null when the caller logs its own
+ * @param {Object} options.details - Extra audit values
+ * @param {string} options.ip - Request IP for the audit log
+ * @returns {Promise<Object>} Updated invoice row
+ */
+async function changeInvoiceStatus(invoice, status, { updates = {}, paidAt, action = 'INVOICE_STATUS_CHANGED', details = {}, ip } = {}) {
+    const changed = status !== invoice.status;
+
+    if (changed) {
+        assertTransition(invoice.status, status);
+    }
+
+    const { data: updated, error } = await supabase
+        .from('invoices')
+        .update({
+            ...updates,
+            ...(changed && { status, ...getStatusFields(invoice, status, paidAt) })
+        })
+        .eq('id', invoice.id)
+        .eq('status', invoice.status)
+        .select()
+        .single();
+
+    if (error || !updated) {
+        throw new APIError('Invoice status changed while it was being updated, please retry', 409, 'CONFLICT');
+    }
+
+    if (!changed) {
+        return updated;
+    }
+
+    // Clients can't pay or view a cancelled or void invoice
+    if (status === 'cancelled' || status === 'void') {
+        await revokeShareLinks(invoice.id);
+    }
+
+    await recordInvoiceRevision(invoice.id, 'status_changed');
+
+    if (action) {
+        await supabase.from('audit_logs').insert({
+            user_id: invoice.user_id,
+            action,
+            entity_type: 'invoice',
+            entity_id: invoice.id,
+            old_values: { status: invoice.status },
+            new_values: { status, ...details },
+            ip_address: ip
+        });
+    }
+
+    return updated;
+}
+
+module.exports = {
+    INVOICE_STATUSES,
+    TRANSITIONS,
+    MANUAL_STATUSES,
+    LOCKED_STATUSES,
+    canTransition,
+    assertTransition,
+    assertManualTransition,
+    assertEditable,
+    getSettlementStatus,
+    getDueDateStatus,
+    changeInvoiceStatus
+};
@@ -0,0 +1,264 @@
+/**
+ * Late Fee Service
+ * Late fee and interest policies, and the fees they add to overdue invoices
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// flat: one fixed fee; percentage: one fee as a share of the unpaid amount;
+// monthly_interest: a percentage of the unpaid amount for every 30 days late
+const LATE_FEE_TYPES = ['flat', 'percentage', 'monthly_interest'];
+
+const INTEREST_PERIOD_DAYS = 30;
+
+/**
+ * Policy used until an account saves its own
+ */
+const DEFAULT_LATE_FEE_POLICY = {
+    is_enabled: false,
+    fee_type: 'percentage',
+    amount: 0,
+    grace_days: 0,
+    max_periods: null
+};
+
+const POLICY_COLUMNS = 'is_enabled, fee_type, amount, grace_days, max_periods';
+
+/**
+ * Round to cents
+ */
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Day number (UTC) for a date or YYYY-MM-DD string
+ */
+function toDayNumber(value) {
+    const date = new Date(value);
+    return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / DAY);
+}
+
+/**
+ * Get the late fee policy that applies to a client's invoices
+ * A client's own policy replaces the account policy, which falls back to defaults
+ * @param {string} userId - Account
+ * @param {string} [clientId] - Client (omit for the account policy)
+ * @returns {Promise<Object>} Policy with source: 'client', 'account' or 'default'
+ */
+async function getLateFeePolicy(userId, clientId) {
+    if (clientId) {
+        const { data: clientPolicy } = await supabase
+            .from('late_fee_policies')
+            .select(POLICY_COLUMNS)
+            .eq('user_id', userId)
+            .eq('client_id', clientId)
+            .single();
+
+        if (clientPolicy) {
+            return { ...clientPolicy, source: 'client' };
+        }
+    }
+
+    const { data: accountPolicy } = await supabase
+        .from('late_fee_policies')
+        .select(POLICY_COLUMNS)
+        .eq('user_id', userId)
+        .is('client_id', null)
+        .single();
+
+    return accountPolicy
+        ? { ...accountPolicy, source: 'account' }
+        : { ...DEFAULT_LATE_FEE_POLICY, source: 'default' };
+}
+
+/**
+ * Check a policy update from the API
+ * @param {Object} data - { is_enabled, fee_type, amount, grace_days, max_periods }
+ * @returns {Object} Only the fields that were given
+ * @throws {APIError} 400 on invalid values
+ */
+function validateLateFeePolicy({ is_enabled, fee_type, amount, grace_days, max_periods } = {}) {
+    const policy = {};
+
+    if (is_enabled !== undefined) policy.is_enabled = Boolean(is_enabled);
+
+    if (fee_type !== undefined) {
+        if (!LATE_FEE_TYPES.includes(fee_type)) {
+            throw new APIError(`fee_type must be one of: ${LATE_FEE_TYPES.join(', ')}`, 400);
+        }
+        policy.fee_type = fee_type;
+    }
+
+    if (amount !== undefined) {
+        const value = Number(amount);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new APIError('amount must be a positive number', 400);
+        }
+        policy.amount = roundMoney(value);
+    }
+
+    if (grace_days !== undefined) {
+        const days = Number(grace_days);
+        if (!Number.isInteger(days) || days < 0 || days > 365) {
+            throw new APIError('grace_days must be between 0 and 365', 400);
+        }
+        policy.grace_days = days;
+    }
+
+    if (max_periods !== undefined) {
+        const periods = max_periods === null ? null : Number(max_periods);
+        if (periods !== null && (!Number.isInteger(periods) || periods < 1 || periods > 120)) {
+            throw new APIError('max_periods must be between 1 and 120, or null for no limit', 400);
+        }
+        policy.max_periods = periods;
+    }
+
+    return policy;
+}
+
+/**
+ * Create or update the account policy, or a client's override
+ * @param {string} userId - Account
+ * @param {string|null} clientId - Client (already checked to belong to the account), or null
+ * @param {Object} data - Policy fields
+ * @returns {Promise<Object>} { policy, changes }
+ */
+async function saveLateFeePolicy(userId, clientId, data) {
+    const changes = validateLateFeePolicy(data);
+    const current = await getLateFeePolicy(userId, clientId);
+    const merged = { ...current, ...changes };
+
+    if (merged.fee_type !== 'flat' && merged.amount > 100) {
+        throw new APIError('A percentage or interest rate can be at most 100', 400);
+    }
+
+    if (merged.is_enabled && !(merged.amount > 0)) {
+        throw new APIError('Set an amount greater than 0 to enable late fees', 400);
+    }
+
+    // Partial unique indexes can't be targeted by upsert, so look the row up first
+    let lookup = supabase
+        .from('late_fee_policies')
+        .select('id')
+        .eq('user_id', userId);
+
+    lookup = clientId ? lookup.eq('client_id', clientId) : lookup.is('client_id', null);
+
+    const { data: existing } = await lookup.single();
+
+    // A new client override starts from the policy it replaces
+    const fields = { ...merged };
+    delete fields.source;
+
+    const { data: policy, error } = existing
+        ? await supabase.from('late_fee_policies').update(changes).eq('id', existing.id)
+            .select(POLICY_COLUMNS).single()
+        : await supabase.from('late_fee_policies').insert({ user_id: userId, client_id: clientId, ...fields })
+            .select(POLICY_COLUMNS).single();
+
+    if (error) {
+        throw new APIError('Failed to save late fee policy', 500);
+    }
+
+    return { policy: { ...policy, source: clientId ? 'client' : 'account' }, changes };
+}
+
+/**
+ * Remove a client's override so the account policy applies again
+ */
+async function deleteClientLateFeePolicy(userId, clientId) {
+    const { error } = await supabase
+        .from('late_fee_policies')
+        .delete()
+        .eq('user_id', userId)
+        .eq('client_id', clientId);
+
+    if (error) {
+        throw new APIError('Failed to remove late fee policy', 500);
+    }
+}
+
+/**
+ * Label shown on the invoice for a fee
+ */
+function describeLateFee(feeType, rate, period) {
+    if (feeType === 'monthly_interest') {
+        return `Interest ${rate}% (month ${period})`;
+    }
+
+    return feeType === 'percentage' ? `Late fee (${rate}%)` : 'Late fee';
+}
+
+/**
+ * Work out which fees an overdue invoice should have by today
+ *
+ * Fees are charged on the unpaid amount excluding earlier fees (no interest on
+ * interest). Interest accrues one period at the start of every 30 days after
+ * the grace period; periods missed by earlier runs are caught up, each with
+ * its own line.
+ * @param {Object} invoice - Invoice with due_date, balance_due, late_fee_amount
+ * @param {Object} policy - Late fee policy
+ * @param {Array<number>} appliedPeriods - Periods already charged
+ * @param {Date} now - Reference time
+ * @returns {Array<Object>} Fees to add: { period, fee_type, rate, amount, description }
+ */
+function calculateDueLateFees(invoice, policy, appliedPeriods = [], now = new Date()) {
+    if (!policy.is_enabled || !(parseFloat(policy.amount) > 0)) {
+        return [];
+    }
+
+    const daysLate = toDayNumber(now) - toDayNumber(invoice.due_date) - (policy.grace_days || 0);
+    const principal = roundMoney((parseFloat(invoice.balance_due) || 0) - (parseFloat(invoice.late_fee_amount) || 0));
+
+    if (daysLate <= 0 || principal <= 0) {
+        return [];
+    }
+
+    const rate = parseFloat(policy.amount);
+    let periods = 1;
+
+    if (policy.fee_type === 'monthly_interest') {
+        periods = Math.floor((daysLate - 1) / INTEREST_PERIOD_DAYS) + 1;
+
+        if (policy.max_periods) {
+            periods = Math.min(periods, policy.max_periods);
+        }
+    }
+
+    const amount = policy.fee_type === 'flat' ? roundMoney(rate) : roundMoney(principal * rate / 100);
+
+    if (amount <= 0) {
+        return [];
+    }
+
+    const fees = [];
+
+    for (let period = 1; period <= periods; period++) {
+        if (!appliedPeriods.includes(period)) {
+            fees.push({
+                period,
+                fee_type: policy.fee_type,
+                rate,
+                amount,
+                description: describeLateFee(policy.fee_type, rate, period)
+            });
+        }
+    }
+
+    return fees;
+}
+
+module.exports = {
+    LATE_FEE_TYPES,
+    INTEREST_PERIOD_DAYS,
+    DEFAULT_LATE_FEE_POLICY,
+    getLateFeePolicy,
+    validateLateFeePolicy,
+    saveLateFeePolicy,
+    deleteClientLateFeePolicy,
+    calculateDueLateFees
+};
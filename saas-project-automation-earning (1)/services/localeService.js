@@ -0,0 +1,110 @@
+/**
+ * Locale Service
+ * Message catalogs and locale-aware date, number and currency formatting for client documents
+ */
+
+const { formatCurrency } = require('./currencyService');
+
+// Catalogs by locale or language; a locale falls back to its language, then English
+const CATALOGS = {
+    en: require('../locales/en.json'),
+    de: require('../locales/de.json'),
+    fr: require('../locales/fr.json'),
+    'fr-CA': require('../locales/fr-CA.json')
+};
+
+const SUPPORTED_LOCALES = [
+    'en-US', 'en-GB', 'en-CA',
+    'de-DE', 'de-AT', 'de-CH',
+    'fr-FR', 'fr-BE', 'fr-CH', 'fr-CA'
+];
+
+const DEFAULT_LOCALE = SUPPORTED_LOCALES.includes(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : 'en-US';
+
+/**
+ * Check a value is a locale documents can be written in (e.g. "de-DE")
+ */
+function isSupportedLocale(locale) {
+    return SUPPORTED_LOCALES.includes(locale);
+}
+
+/**
+ * Locale for a document: the first supported candidate, otherwise the default
+ */
+function resolveLocale(...candidates) {
+    return candidates.find(isSupportedLocale) || DEFAULT_LOCALE;
+}
+
+/**
+ * Find a dotted key ("document.bill_to") in a catalog
+ */
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+/**
+ * Translate function for a locale
+ *
+ * Messages can use {placeholders}. A message with "one"/"other" forms is
+ * chosen by params.count using the locale's plural rules. Unknown keys come
+ * back unchanged so a missing translation is visible rather than blank.
+ * @returns {Function} t(key, params)
+ */
+function getTranslator(locale) {
+    const catalogs = [CATALOGS[locale], CATALOGS[locale.split('-')[0]], CATALOGS.en].filter(Boolean);
+    const pluralRules = new Intl.PluralRules(locale);
+
+    return (key, params = {}) => {
+        let message = catalogs.map(catalog => lookup(catalog, key)).find(value => value !== undefined);
+
+        if (message === undefined) {
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = message[pluralRules.select(params.count)] || message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : params[name]));
+    };
+}
+
+/**
+ * Swap the narrow no-break space some locales group digits with (fr: "1 234,50 €")
+ * for a regular one, which every bundled PDF font has
+ */
+function toPrintable(text) {
+    return text.replace(/\u202f/g, '\u00a0');
+}
+
+/**
+ * Everything a template needs to write for a locale
+ * @param {string} [locale] - Client locale (unsupported values fall back to the default)
+ * @returns {Object} { locale, t, formatDate, formatNumber, formatCurrency, upper }
+ */
+function getLocalizer(locale) {
+    const resolved = resolveLocale(locale);
+
+    return {
+        locale: resolved,
+        t: getTranslator(resolved),
+        // month: 'short' (PDFs) or 'long' (emails)
+        formatDate: (value, month = 'short') => toPrintable(new Date(value).toLocaleDateString(resolved, {
+            year: 'numeric',
+            month,
+            day: 'numeric'
+        })),
+        formatNumber: value => toPrintable(new Intl.NumberFormat(resolved, { maximumFractionDigits: 2 }).format(value)),
+        formatCurrency: (amount, currency) => toPrintable(formatCurrency(amount, currency, resolved)),
+        upper: text => text.toLocaleUpperCase(resolved)
+    };
+}
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    isSupportedLocale,
+    resolveLocale,
+    getTranslator,
+    getLocalizer
+};
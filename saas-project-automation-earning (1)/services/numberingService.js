@@ -0,0 +1,187 @@
+/**
+ * Numbering Service
+ * Per-account document number sequences (invoices, estimates, credit notes)
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+
+/**
+ * Document types with their own sequence and default prefix
+ */
+const DOCUMENT_TYPES = {
+    invoice: { prefix: 'INV' },
+    estimate: { prefix: 'EST' },
+    credit_note: { prefix: 'CN' }
+};
+
+/**
+ * Settings used until an account saves its own (matches the original INV-2024-0001 format)
+ */
+const DEFAULT_SEQUENCE_SETTINGS = {
+    pattern: '{PREFIX}-{YYYY}-{NUMBER}',
+    padding: 4,
+    start_number: 1,
+    reset_yearly: false
+};
+
+const YEAR_TOKEN = /\{(YYYY|YY)\}/;
+
+/**
+ * Build a document number from a sequence's pattern
+ *
+ * Tokens: {PREFIX}, {YYYY}, {YY} and {NUMBER} (zero-padded to `padding` digits)
+ * @param {Object} sequence - { pattern, prefix, padding }
+ * @param {number} number - Sequence value
+ * @param {Date} date - Document date, used for the year tokens. Its UTC year is used, since
+ *                      date-only strings such as issue_date parse as UTC midnight
+ */
+function formatDocumentNumber(sequence, number, date = new Date()) {
+    const year = String(date.getUTCFullYear());
+
+    return sequence.pattern
+        .replace(/\{PREFIX\}/g, sequence.prefix || '')
+        .replace(/\{YYYY\}/g, year)
+        .replace(/\{YY\}/g, year.slice(-2))
+        .replace(/\{NUMBER\}/g, String(number).padStart(sequence.padding, '0'));
+}
+
+/**
+ * Claim the next number in an account's sequence
+ *
+ * The increment happens in one database call (next_document_number) that locks
+ * the sequence row, so concurrent creates never get the same number and
+ * deleting a document never frees its number for reuse.
+ * @param {string} userId - Owner of the sequence
+ * @param {string} documentType - invoice, estimate or credit_note
+ * @param {Date|string} [documentDate] - Date the document is issued
+ * @returns {Promise<string>} Formatted document number
+ */
+async function nextDocumentNumber(userId, documentType, documentDate) {
+    const date = documentDate ? new Date(documentDate) : new Date();
+
+    const { data: sequence, error } = await supabase.rpc('next_document_number', {
+        p_user_id: userId,
+        p_document_type: documentType,
+        p_year: date.getUTCFullYear()
+    });
+
+    if (error || !sequence) {
+        throw new APIError('Failed to generate document number', 500);
+    }
+
+    return formatDocumentNumber(sequence, sequence.number, date);
+}
+
+/**
+ * Get every sequence for an account, falling back to defaults
+ */
+async function getNumberSequences(userId) {
+    const { data: saved } = await supabase
+        .from('number_sequences')
+        .select('document_type, pattern, prefix, padding, start_number, reset_yearly, next_number, current_year')
+        .eq('user_id', userId);
+
+    return Object.entries(DOCUMENT_TYPES).map(([documentType, { prefix }]) => {
+        const sequence = {
+            document_type: documentType,
+            prefix,
+            ...DEFAULT_SEQUENCE_SETTINGS,
+            next_number: null,
+            current_year: null,
+            ...(saved || []).find(row => row.document_type === documentType)
+        };
+
+        return { ...sequence, example: formatDocumentNumber(sequence, Math.max(sequence.next_number || 0, sequence.start_number)) };
+    });
+}
+
+/**
+ * Save an account's settings for one sequence
+ *
+ * The counter itself is only moved by next_document_number; a sequence saved
+ * before its first use continues after the account's existing documents.
+ * @param {string} userId - Owner of the sequence
+ * @param {string} documentType - invoice, estimate or credit_note
+ * @param {Object} settings - { pattern, prefix, padding, start_number, reset_yearly }
+ */
+async function saveNumberSequence(userId, documentType, settings) {
+    validateSequenceSettings(settings);
+
+    const { data: existing } = await supabase
+        .from('number_sequences')
+        .select('id')
+        .eq('user_id', userId)
+        .eq('document_type', documentType)
+        .single();
+
+    let firstUse = {};
+
+    if (!existing) {
+        const { data: highest, error: highestError } = await supabase.rpc('highest_document_number', {
+            p_user_id: userId,
+            p_document_type: documentType
+        });
+
+        if (highestError) {
+            throw new APIError('Failed to update numbering settings', 500);
+        }
+
+        firstUse = { next_number: (highest || 0) + 1, current_year: new Date().getUTCFullYear() };
+    }
+
+    const { data: sequence, error } = await supabase
+        .from('number_sequences')
+        .upsert({ user_id: userId, document_type: documentType, ...settings, ...firstUse }, { onConflict: 'user_id,document_type' })
+        .select('document_type, pattern, prefix, padding, start_number, reset_yearly, next_number, current_year')
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to update numbering settings', 500);
+    }
+
+    return { ...sequence, example: formatDocumentNumber(sequence, Math.max(sequence.next_number, sequence.start_number)) };
+}
+
+/**
+ * Check sequence settings before saving them
+ * @throws {APIError} 400 if a setting is invalid or the pattern can't produce unique numbers
+ */
+function validateSequenceSettings(settings) {
+    const { pattern, prefix, padding, start_number, reset_yearly } = settings;
+
+    if (typeof pattern !== 'string' || pattern.length > 50 || !pattern.includes('{NUMBER}')) {
+        throw new APIError('Pattern must contain {NUMBER} and be at most 50 characters', 400);
+    }
+
+    if (!/^[A-Za-z0-9{}_/. -]+$/.test(pattern) || /\{(?!(PREFIX|YYYY|YY|NUMBER)\})/.test(pattern)) {
+        throw new APIError('Pattern may only use {PREFIX}, {YYYY}, {YY}, {NUMBER} and letters, numbers, "-", "_", "/", "."', 400);
+    }
+
+    if (typeof prefix !== 'string' || !/^[A-Za-z0-9_/-]{0,20}$/.test(prefix)) {
+        throw new APIError('Prefix may only contain letters, numbers, "-", "_" and "/" (max 20)', 400);
+    }
+
+    if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+        throw new APIError('Padding must be between 1 and 10 digits', 400);
+    }
+
+    if (!Number.isInteger(start_number) || start_number < 1) {
+        throw new APIError('Start number must be a positive integer', 400);
+    }
+
+    // Numbers restart every year, so the year has to be part of the number
+    if (reset_yearly && !YEAR_TOKEN.test(pattern)) {
+        throw new APIError('Yearly reset needs {YYYY} or {YY} in the pattern', 400);
+    }
+}
+
+module.exports = {
+    DOCUMENT_TYPES,
+    DEFAULT_SEQUENCE_SETTINGS,
+    formatDocumentNumber,
+    nextDocumentNumber,
+    getNumberSequences,
+    saveNumberSequence,
+    validateSequenceSettings
+};
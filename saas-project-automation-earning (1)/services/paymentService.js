@@ -0,0 +1,409 @@
+/**
+ * Payment Service
+ * Invoice payments, refunds and Stripe helpers shared by the dashboard and the public pay page
+ */
+
+const Stripe = require('stripe');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { toMinorUnits } = require('./currencyService');
+const { assertManualTransition, getSettlementStatus, changeInvoiceStatus } = require('./invoiceStatusService');
+const { getEarlyPaymentDiscount, isWithinDiscountWindow } = require('./paymentTermsService');
+
+const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+
+// Statuses that still have money outstanding
+const UNPAID_STATUSES = ['pending', 'partially_paid', 'overdue'];
+
+/**
+ * Round to whole cents
+ */
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Amount still owed on an invoice (after payments, credit notes and an earned early-payment discount)
+ */
+function getBalanceDue(invoice) {
+    return roundMoney(
+        parseFloat(invoice.total)
+        - (parseFloat(invoice.paid_amount) || 0)
+        - (parseFloat(invoice.credited_amount) || 0)
+        - (parseFloat(invoice.early_discount_amount) || 0)
+    );
+}
+
+/**
+ * Amount that settles an invoice in full if paid now
+ * Within the early-payment window this is the balance of the discounted total
+ */
+function getSettlementAmount(invoice, paidAt = new Date()) {
+    if (!isWithinDiscountWindow(invoice, paidAt)) {
+        return getBalanceDue(invoice);
+    }
+
+    return roundMoney(
+        getEarlyPaymentDiscount(invoice).discounted_total
+        - (parseFloat(invoice.paid_amount) || 0)
+        - (parseFloat(invoice.credited_amount) || 0)
+    );
+}
+
+/**
+ * Early-payment discount an invoice has earned
+ * It is earned when payments made within the window (plus credit notes) cover the discounted total
+ * @param {Object} invoice - Invoice with total, issue_date and discount terms
+ * @param {Array} payments - Completed and refunded payments (amount, refunded_amount, paid_at)
+ * @param {number} creditedAmount - Issued credit notes
+ * @returns {number} Discount to take off the balance (0 when not earned)
+ */
+function getEarnedEarlyDiscount(invoice, payments, creditedAmount) {
+    const discount = getEarlyPaymentDiscount(invoice);
+
+    if (!discount) {
+        return 0;
+    }
+
+    const paidInWindow = payments
+        .filter(p => isWithinDiscountWindow(invoice, p.paid_at))
+        .reduce((sum, p) => sum + parseFloat(p.amount) - (parseFloat(p.refunded_amount) || 0), 0);
+
+    return roundMoney(paidInWindow + creditedAmount) >= discount.discounted_total ? discount.amount : 0;
+}
+
+/**
+ * Recalculate an invoice's paid and credited amounts and move its status to match
+ *
+ * Totals are always re-summed from payments and credit notes, so concurrent
+ * writers can't overwrite each other's running balance
+ * @param {Object} invoice - Invoice row (only the id is used; the current row is re-read)
+ * @param {Object} options - { paidAt: when the invoice counts as paid, paymentMethod }
+ * @returns {Promise<Object>} Updated invoice row
+ */
+async function syncInvoiceBalance(invoice, { paidAt, paymentMethod } = {}) {
+    const [invoiceResult, paymentsResult, creditsResult] = await Promise.all([
+        supabase
+            .from('invoices')
+            .select('id, user_id, status, total, paid_at, issue_date, due_date, early_discount_rate, early_discount_days')
+            .eq('id', invoice.id)
+            .single(),
+        supabase
+            .from('payments')
+            .select('amount, refunded_amount, paid_at')
+            .eq('invoice_id', invoice.id)
+            .in('status', ['completed', 'refunded']),
+        supabase
+            .from('credit_notes')
+            .select('total')
+            .eq('invoice_id', invoice.id)
+            .eq('status', 'issued')
+    ]);
+
+    if (invoiceResult.error || paymentsResult.error || creditsResult.error) {
+        throw new APIError('Failed to update invoice balance', 500);
+    }
+
+    const current = invoiceResult.data;
+
+    const paidAmount = roundMoney(paymentsResult.data.reduce(
+        (sum, p) => sum + parseFloat(p.amount) - (parseFloat(p.refunded_amount) || 0), 0
+    ));
+    const creditedAmount = roundMoney(creditsResult.data.reduce((sum, c) => sum + parseFloat(c.total), 0));
+    const earlyDiscount = getEarnedEarlyDiscount(current, paymentsResult.data, creditedAmount);
+
+    // Payments and credits write their own audit entries
+    return changeInvoiceStatus(current, getSettlementStatus(current, paidAmount, creditedAmount, earlyDiscount), {
+        updates: {
+            paid_amount: paidAmount,
+            credited_amount: creditedAmount,
+            early_discount_amount: earlyDiscount,
+            ...(paymentMethod && { payment_method: paymentMethod })
+        },
+        paidAt,
+        action: null
+    });
+}
+
+/**
+ * Record a payment against an invoice and update its running balance
+ * @param {Object} invoice - Invoice row (id, user_id, status, total, paid_amount)
+ * @param {Object} payment - { amount, payment_method, stripe_payment_id, notes, paid_at }
+ * @param {Object} options - { ip: request IP for the audit log }
+ * A Stripe payment that arrives for a draft, cancelled or void invoice is
+ * recorded and refunded straight away; if the refund fails it is flagged in the
+ * audit log (PAYMENT_REFUND_REQUIRED) for the account to refund by hand.
+ * @returns {Promise<Object|null>} { payment, invoice, refunded }, or null if the Stripe payment was already recorded
+ */
+async function recordInvoicePayment(invoice, payment, { ip } = {}) {
+    const { payment_method = 'manual', stripe_payment_id, notes, paid_at } = payment;
+    const amount = roundMoney(parseFloat(payment.amount));
+
+    if (!(amount > 0)) {
+        throw new APIError('Payment amount must be greater than zero', 400);
+    }
+
+    // Money already captured by Stripe is recorded as-is; manual entries are checked
+    if (!stripe_payment_id) {
+        if (!UNPAID_STATUSES.includes(invoice.status)) {
+            throw new APIError(`Cannot record a payment for a ${invoice.status} invoice`, 400);
+        }
+
+        const balanceDue = getBalanceDue(invoice);
+
+        if (amount > balanceDue) {
+            throw new APIError(`Payment exceeds the balance due of ${balanceDue.toFixed(2)}`, 400, 'OVERPAYMENT');
+        }
+    }
+
+    const { data: record, error } = await supabase
+        .from('payments')
+        .insert({
+            id: uuidv4(),
+            invoice_id: invoice.id,
+            user_id: invoice.user_id,
+            amount,
+            payment_method,
+            stripe_payment_id,
+            status: 'completed',
+            notes,
+            paid_at: paid_at || new Date().toISOString()
+        })
+        .select()
+        .single();
+
+    if (error) {
+        // Unique stripe_payment_id - Stripe retried a webhook we already handled
+        if (error.code === '23505' && stripe_payment_id) {
+            return null;
+        }
+        throw new APIError('Failed to record payment', 500);
+    }
+
+    // Paid invoices keep a late Stripe payment (it can be refunded by hand); closed ones can't take money
+    if (!UNPAID_STATUSES.includes(invoice.status) && invoice.status !== 'paid') {
+        return refundUnpayablePayment(invoice, record, { ip });
+    }
+
+    const updated = await syncInvoiceBalance(invoice, { paidAt: record.paid_at, paymentMethod: payment_method });
+
+    await supabase.from('audit_logs').insert({
+        user_id: invoice.user_id,
+        action: 'PAYMENT_RECORDED',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        old_values: { status: invoice.status, paid_amount: parseFloat(invoice.paid_amount) || 0 },
+        new_values: { status: updated.status, amount, paid_amount: updated.paid_amount, balance_due: updated.balance_due, payment_method },
+        ip_address: ip
+    });
+
+    return { payment: record, invoice: updated, refunded: false };
+}
+
+/**
+ * Refund a Stripe payment received for an invoice that can't be paid
+ * @returns {Promise<Object>} { payment, invoice, refunded }
+ */
+async function refundUnpayablePayment(invoice, record, { ip } = {}) {
+    try {
+        const { payment, invoice: updated } = await refundPayment(invoice, record, {
+            method: 'stripe',
+            reason: `Received for a ${invoice.status} invoice`
+        }, { ip });
+
+        return { payment, invoice: updated, refunded: true };
+    } catch (error) {
+        const updated = await syncInvoiceBalance(invoice);
+
+        await supabase.from('audit_logs').insert({
+            user_id: invoice.user_id,
+            action: 'PAYMENT_REFUND_REQUIRED',
+            entity_type: 'invoice',
+            entity_id: invoice.id,
+            new_values: { payment_id: record.id, amount: record.amount, status: invoice.status, error: error.message },
+            ip_address: ip
+        });
+
+        return { payment: record, invoice: updated, refunded: false };
+    }
+}
+
+/**
+ * Mark an invoice as paid by recording its remaining balance as one payment
+ * Within the early-payment window the discounted balance settles it in full
+ * @param {Object} invoice - Invoice row
+ * @param {Object} payment - { payment_method, notes }
+ * @param {Object} options - { ip: request IP for the audit log }
+ * @returns {Promise<Object>} { payment, invoice }
+ */
+async function markInvoicePaid(invoice, { payment_method = 'manual', notes } = {}, { ip } = {}) {
+    assertManualTransition(invoice, 'paid');
+
+    return recordInvoicePayment(invoice, { amount: getSettlementAmount(invoice), payment_method, notes }, { ip });
+}
+
+/**
+ * Refund all or part of a payment, through Stripe when it was paid online
+ * @param {Object} invoice - Invoice row the payment belongs to
+ * @param {Object} payment - Payment row (id, amount, refunded_amount, status, stripe_payment_id)
+ * @param {Object} refund - { amount (defaults to the refundable remainder), method: 'stripe' | 'manual', reason }
+ * @param {Object} options - { ip: request IP for the audit log }
+ * @returns {Promise<Object>} { refund, payment, invoice }
+ */
+async function refundPayment(invoice, payment, refund = {}, { ip } = {}) {
+    if (payment.status !== 'completed') {
+        throw new APIError(`Cannot refund a ${payment.status} payment`, 400);
+    }
+
+    const alreadyRefunded = parseFloat(payment.refunded_amount) || 0;
+    const refundable = roundMoney(parseFloat(payment.amount) - alreadyRefunded);
+    const amount = refund.amount !== undefined ? roundMoney(parseFloat(refund.amount)) : refundable;
+    const method = refund.method || (payment.stripe_payment_id ? 'stripe' : 'manual');
+
+    if (!(amount > 0)) {
+        throw new APIError('Refund amount must be greater than zero', 400);
+    }
+
+    if (amount > refundable) {
+        throw new APIError(`Refund exceeds the refundable amount of ${refundable.toFixed(2)}`, 400, 'OVER_REFUND');
+    }
+
+    if (method === 'stripe' && !payment.stripe_payment_id) {
+        throw new APIError('Only Stripe payments can be refunded through Stripe', 400);
+    }
+
+    const refundedAmount = roundMoney(alreadyRefunded + amount);
+
+    // Guard on the previous refunded amount so two refunds can't both pass the check above
+    const { data: updatedPayment, error: paymentError } = await supabase
+        .from('payments')
+        .update({
+            refunded_amount: refundedAmount,
+            status: refundedAmount >= parseFloat(payment.amount) ? 'refunded' : 'completed'
+        })
+        .eq('id', payment.id)
+        .eq('refunded_amount', alreadyRefunded)
+        .select()
+        .single();
+
+    if (paymentError || !updatedPayment) {
+        throw new APIError('Payment was changed by another request, please retry', 409, 'CONFLICT');
+    }
+
+    let stripeRefund;
+
+    if (method === 'stripe') {
+        try {
+            stripeRefund = await stripe.refunds.create({
+                payment_intent: payment.stripe_payment_id,
+                amount: toMinorUnits(amount, invoice.currency),
+                metadata: { invoice_id: invoice.id, payment_id: payment.id }
+            });
+        } catch (error) {
+            // Nothing was refunded - release the amount reserved above
+            await supabase
+                .from('payments')
+                .update({ refunded_amount: alreadyRefunded, status: payment.status })
+                .eq('id', payment.id);
+            throw new APIError(`Stripe refund failed: ${error.message}`, 502, 'STRIPE_REFUND_FAILED');
+        }
+    }
+
+    const { data: record, error } = await supabase
+        .from('refunds')
+        .insert({
+            id: uuidv4(),
+            payment_id: payment.id,
+            invoice_id: invoice.id,
+            user_id: invoice.user_id,
+            amount,
+            method,
+            stripe_refund_id: stripeRefund?.id,
+            reason: refund.reason
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to record refund', 500);
+    }
+
+    const updated = await syncInvoiceBalance(invoice);
+
+    await supabase.from('audit_logs').insert({
+        user_id: invoice.user_id,
+        action: 'PAYMENT_REFUNDED',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        old_values: { status: invoice.status, paid_amount: parseFloat(invoice.paid_amount) || 0 },
+        new_values: {
+            status: updated.status,
+            payment_id: payment.id,
+            amount,
+            method,
+            paid_amount: updated.paid_amount,
+            balance_due: updated.balance_due
+        },
+        ip_address: ip
+    });
+
+    return { refund: record, payment: updatedPayment, invoice: updated };
+}
+
+/**
+ * Create a Stripe payment intent for an invoice
+ * @param {Object} invoice - Invoice with client (name, email)
+ * @returns {Promise<Object>} Stripe payment intent
+ */
+async function createInvoicePaymentIntent(invoice) {
+    if (invoice.status === 'paid') {
+        throw new APIError('Invoice is already paid', 400);
+    }
+
+    if (!UNPAID_STATUSES.includes(invoice.status)) {
+        throw new APIError(`Invoice cannot be paid while ${invoice.status}`, 400, 'NOT_PAYABLE');
+    }
+
+    // Charge whatever is left after earlier partial payments (less any early-payment discount)
+    const balanceDue = getSettlementAmount(invoice);
+    const earlyDiscount = isWithinDiscountWindow(invoice) ? getEarlyPaymentDiscount(invoice) : null;
+
+    if (!(balanceDue > 0)) {
+        throw new APIError('Invoice has no balance due', 400);
+    }
+
+    const paymentIntent = await stripe.paymentIntents.create({
+        amount: toMinorUnits(balanceDue, invoice.currency),
+        currency: invoice.currency.toLowerCase(),
+        metadata: {
+            invoice_id: invoice.id,
+            user_id: invoice.user_id,
+            invoice_number: invoice.invoice_number,
+            ...(earlyDiscount && { early_payment_discount: earlyDiscount.amount })
+        },
+        description: `Invoice ${invoice.invoice_number}`,
+        receipt_email: invoice.client.email
+    });
+
+    // Save payment intent ID
+    await supabase
+        .from('invoices')
+        .update({ stripe_payment_intent_id: paymentIntent.id })
+        .eq('id', invoice.id);
+
+    return paymentIntent;
+}
+
+module.exports = {
+    stripe,
+    UNPAID_STATUSES,
+    roundMoney,
+    getBalanceDue,
+    getSettlementAmount,
+    syncInvoiceBalance,
+    recordInvoicePayment,
+    markInvoicePaid,
+    refundPayment,
+    createInvoicePaymentIntent
+};
@@ -0,0 +1,143 @@
+/**
+ * Payment Terms Service
+ * Structured payment terms ("2/10 net 30") and early-payment discounts
+ */
+
+const { APIError } = require('../middleware/errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "2/10 net 30", "2.5/15 n/45", "net 30" or "30"
+const TERMS_PATTERN = /^(?:(\d+(?:\.\d+)?)\s*\/\s*(\d+)\s*,?\s*)?(?:(?:net|n\s*\/)\s*)?(\d+)?$/i;
+
+/**
+ * Round to whole cents
+ */
+function roundMoney(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Parse payment terms
+ * Accepts "2/10 net 30" (2% off within 10 days, due in 30), "net 30", a day
+ * count, or an object with the same fields.
+ * @param {string|number|Object} value - Terms to parse
+ * @returns {Object} { discount_rate, discount_days, net_days } (net_days is null when not given)
+ * @throws {APIError} 400 INVALID_PAYMENT_TERMS
+ */
+function parsePaymentTerms(value) {
+    let terms;
+
+    if (value !== null && typeof value === 'object') {
+        terms = {
+            discount_rate: Number(value.discount_rate || 0),
+            discount_days: Number(value.discount_days || 0),
+            net_days: value.net_days === undefined || value.net_days === null ? null : Number(value.net_days)
+        };
+    } else {
+        const match = String(value ?? '').trim().match(TERMS_PATTERN);
+
+        if (!match || (!match[1] && !match[3])) {
+            throw new APIError('Payment terms must look like "2/10 net 30" or "net 30"', 400, 'INVALID_PAYMENT_TERMS');
+        }
+
+        terms = {
+            discount_rate: match[1] ? Number(match[1]) : 0,
+            discount_days: match[2] ? Number(match[2]) : 0,
+            net_days: match[3] ? Number(match[3]) : null
+        };
+    }
+
+    const { discount_rate, discount_days, net_days } = terms;
+
+    if (!Number.isFinite(discount_rate) || discount_rate < 0 || discount_rate >= 100) {
+        throw new APIError('The early-payment discount must be between 0 and 100%', 400, 'INVALID_PAYMENT_TERMS');
+    }
+
+    if (!Number.isInteger(discount_days) || discount_days < 0 || discount_days > 365) {
+        throw new APIError('The discount period must be between 0 and 365 days', 400, 'INVALID_PAYMENT_TERMS');
+    }
+
+    if (net_days !== null && (!Number.isInteger(net_days) || net_days < 0 || net_days > 365)) {
+        throw new APIError('Net days must be between 0 and 365', 400, 'INVALID_PAYMENT_TERMS');
+    }
+
+    if ((discount_rate > 0) !== (discount_days > 0)) {
+        throw new APIError('An early-payment discount needs both a rate and a number of days', 400, 'INVALID_PAYMENT_TERMS');
+    }
+
+    if (net_days !== null && discount_days > net_days) {
+        throw new APIError('The discount period must end before the net due date', 400, 'INVALID_PAYMENT_TERMS');
+    }
+
+    return { discount_rate, discount_days, net_days };
+}
+
+/**
+ * Format terms for display, e.g. "2/10 net 30" or "Net 30"
+ */
+function formatPaymentTerms({ discount_rate, discount_days, net_days }) {
+    const net = net_days !== null && net_days !== undefined ? `net ${net_days}` : '';
+
+    if (parseFloat(discount_rate) > 0) {
+        return `${parseFloat(discount_rate)}/${discount_days}${net ? ` ${net}` : ''}`;
+    }
+
+    return net ? `Net ${net_days}` : '';
+}
+
+/**
+ * Terms of an invoice, with the net days worked out from its dates
+ */
+function getInvoicePaymentTerms(invoice) {
+    const netDays = invoice.issue_date && invoice.due_date
+        ? Math.round((new Date(invoice.due_date) - new Date(invoice.issue_date)) / DAY)
+        : null;
+
+    return {
+        discount_rate: parseFloat(invoice.early_discount_rate) || 0,
+        discount_days: invoice.early_discount_days || 0,
+        net_days: netDays
+    };
+}
+
+/**
+ * The early-payment discount an invoice offers
+ *
+ * The discount is a share of the invoice total and is available until the end
+ * of the last day of the discount period (counted from the issue date).
+ * @param {Object} invoice - Invoice with total, issue_date, early_discount_rate, early_discount_days
+ * @returns {Object|null} { rate, amount, deadline: 'YYYY-MM-DD', discounted_total }, or null when none is offered
+ */
+function getEarlyPaymentDiscount(invoice) {
+    const rate = parseFloat(invoice.early_discount_rate) || 0;
+
+    if (!(rate > 0) || !(invoice.early_discount_days > 0) || !invoice.issue_date) {
+        return null;
+    }
+
+    const total = parseFloat(invoice.total) || 0;
+    const amount = roundMoney(total * rate / 100);
+    const deadline = new Date(new Date(invoice.issue_date).getTime() + invoice.early_discount_days * DAY)
+        .toISOString()
+        .slice(0, 10);
+
+    return { rate, amount, deadline, discounted_total: roundMoney(total - amount) };
+}
+
+/**
+ * Whether a payment made at a given time still gets the early-payment discount
+ */
+function isWithinDiscountWindow(invoice, paidAt = new Date()) {
+    const discount = getEarlyPaymentDiscount(invoice);
+
+    return Boolean(discount) && new Date(paidAt).toISOString().slice(0, 10) <= discount.deadline;
+}
+
+module.exports = {
+    parsePaymentTerms,
+    formatPaymentTerms,
+    getInvoicePaymentTerms,
+    getEarlyPaymentDiscount,
+    isWithinDiscountWindow
+};
@@ -1,22 +1,81 @@
 /**
  * PDF Generation Service
- * Creates professional invoice PDFs using PDFKit
+ * Creates professional invoice PDFs using PDFKit, styled by the account's template
  */
 
 const PDFDocument = require('pdfkit');
+const {
+    STATUS_COLORS,
+    ITEM_COLUMNS,
+    getBranding,
+    resolveTheme,
+    getBusinessLines,
+    getClientLines,
+    getTotalsLines
+} = require('./templateService');
+const { getLocalizer } = require('./localeService');
+const { writeText, widthOfText, measureText } = require('./fontService');
+const { buildFacturX, embedFacturX } = require('./facturXService');
+const { APIError } = require('../middleware/errorHandler');
+
+// Room at the top of every page for the continuation header, and at the
+// bottom for the void reason and footer
+const PAGE_MARGINS = { top: 90, bottom: 100, left: 50, right: 50 };
+
+const TABLE_LEFT = 50;
+const TABLE_WIDTH = 495;
+const TABLE_HEADER_HEIGHT = 30;
+const ROW_PADDING = 5;
+const MIN_ROW_HEIGHT = 25;
+
+// Each column wraps within its width, so rows grow to fit their longest cell
+const COLUMN_LAYOUT = {
+    description: { x: 60, width: 280 },
+    quantity: { x: 350, width: 45 },
+    unit_price: { x: 400, width: 65 },
+    amount: { x: 470, width: 75 }
+};
 
 /**
  * Generate Invoice PDF
+ * Labels, dates and amounts are written in the client's locale. With facturX
+ * the PDF is a PDF/A-3 with the invoice's Factur-X (EN 16931) XML embedded.
  * @param {Object} invoice - Invoice data with items and client
  * @param {Object} user - User/business data
+ * @param {Object} options - { documentType: 'invoice', 'estimate' or 'credit_note' (title and due date label),
+ *                            referenceNumber: number shown in the line under the document number,
+ *                            branding: branding to use instead of the account's saved branding,
+ *                            locale: locale to use instead of the client's,
+ *                            facturX: embed Factur-X XML (invoices only) }
  * @returns {Promise<Buffer>} PDF buffer
+ * @throws {APIError} 400 FACTURX_INCOMPLETE when the invoice lacks data Factur-X requires
  */
-async function generateInvoicePDF(invoice, user) {
+async function generateInvoicePDF(invoice, user, options = {}) {
+    const { documentType = 'invoice', referenceNumber } = options;
+    const theme = resolveTheme(options.branding || await getBranding(user.id || invoice.user_id));
+    const { layout, colors, fonts } = theme;
+    const l10n = getLocalizer(options.locale || invoice.client?.locale);
+    const { t } = l10n;
+    const title = t(`document.title.${documentType}`);
+    const reference = referenceNumber ? t(`document.reference.${documentType}`, { number: referenceNumber }) : null;
+
+    if (options.facturX && documentType !== 'invoice') {
+        throw new APIError('Factur-X is only available for invoices', 400);
+    }
+
+    // Built and checked before drawing, so an incomplete invoice never produces a PDF
+    const facturXml = options.facturX ? await buildFacturX(invoice, user) : null;
+
     return new Promise((resolve, reject) => {
         try {
-            const doc = new PDFDocument({ 
-                margin: 50,
-                size: 'A4'
+            // No built-in default font: all text is set in the embedded fonts
+            const doc = new PDFDocument({
+                // A copy, as the pages share it and the footer pass changes it
+                margins: { ...PAGE_MARGINS },
+                size: 'A4',
+                bufferPages: true,
+                font: null,
+                ...(facturXml && { subset: 'PDF/A-3b', pdfVersion: '1.7' })
             });
 
             const buffers = [];
@@ -26,210 +85,250 @@ async function generateInvoicePDF(invoice, user) {
                 resolve(pdfBuffer);
             });
 
-            // Colors
-            const primaryColor = '#667eea';
-            const textColor = '#333333';
-            const grayColor = '#666666';
-            const lightGray = '#f5f5f5';
+            // On a band header everything above the divider sits on the accent color
+            const isBand = layout.header === 'band';
+            const headerText = isBand ? colors.onAccent : colors.text;
+            const headerMuted = isBand ? colors.onAccent : colors.muted;
+            const businessLines = getBusinessLines(user, theme);
+
+            let logo = null;
+
+            if (theme.logo) {
+                // A logo that can't be read is left out rather than failing the PDF
+                try {
+                    logo = doc.openImage(theme.logo);
+                } catch (error) {
+                    console.error('Failed to read logo:', error.message);
+                }
+            }
+
+            const titleTop = logo ? 100 : 50;
+            const headerBottom = Math.max(
+                titleTop + (reference ? 65 : 50),
+                68 + businessLines.length * 15,
+                115
+            );
+            const dividerY = headerBottom + 15;
+
+            if (isBand) {
+                doc.fillColor(colors.accent)
+                   .rect(0, 0, doc.page.width, dividerY)
+                   .fill();
+            }
+
+            if (logo) {
+                doc.image(logo, 50, 40, { fit: [150, 50] });
+            }
 
             // Header
-            doc.fillColor(primaryColor)
-               .fontSize(28)
-               .font('Helvetica-Bold')
-               .text('INVOICE', 50, 50);
+            doc.fillColor(isBand ? colors.onAccent : colors.accent);
+            writeText(doc, title, 50, titleTop, { font: fonts.bold, size: layout.titleSize });
 
-            doc.fillColor(grayColor)
-               .fontSize(10)
-               .font('Helvetica')
-               .text(invoice.invoice_number, 50, 85);
+            doc.fillColor(headerMuted);
+            writeText(doc, invoice.invoice_number, 50, titleTop + 35, { font: fonts.regular, size: 10 });
 
-            // Business Info (Right side)
-            doc.fillColor(textColor)
-               .fontSize(12)
-               .font('Helvetica-Bold')
-               .text(user.business_name || user.name, 350, 50, { align: 'right' });
-
-            doc.fillColor(grayColor)
-               .fontSize(10)
-               .font('Helvetica')
-               .text(user.email, 350, 68, { align: 'right' });
-
-            if (user.address) {
-                doc.text(user.address, 350, 83, { align: 'right' });
+            if (reference) {
+                writeText(doc, reference, 50, titleTop + 50, { font: fonts.regular, size: 10 });
             }
 
-            if (user.phone) {
-                doc.text(user.phone, 350, 98, { align: 'right' });
-            }
+            // Business Info (Right side)
+            doc.fillColor(headerText);
+            writeText(doc, user.business_name || user.name, 300, 50, { font: fonts.bold, size: 12, width: 245, align: 'right' });
 
-            // Divider
-            doc.moveTo(50, 130)
-               .lineTo(545, 130)
-               .strokeColor(lightGray)
-               .lineWidth(2)
-               .stroke();
+            doc.fillColor(headerMuted);
 
-            // Bill To
-            doc.fillColor(grayColor)
-               .fontSize(10)
-               .font('Helvetica')
-               .text('BILL TO', 50, 150);
-
-            doc.fillColor(textColor)
-               .fontSize(12)
-               .font('Helvetica-Bold')
-               .text(invoice.client.name, 50, 168);
-
-            doc.fillColor(grayColor)
-               .fontSize(10)
-               .font('Helvetica');
-
-            if (invoice.client.company) {
-                doc.text(invoice.client.company, 50, 185);
+            businessLines.forEach((line, index) => {
+                writeText(doc, line, 300, 68 + index * 15, { font: fonts.regular, size: 10, width: 245, align: 'right', lineBreak: false });
+            });
+
+            // Divider
+            if (!isBand) {
+                doc.moveTo(50, dividerY)
+                   .lineTo(545, dividerY)
+                   .strokeColor(colors.stripe)
+                   .lineWidth(2)
+                   .stroke();
             }
 
-            doc.text(invoice.client.email, 50, invoice.client.company ? 200 : 185);
+            // Bill To
+            const partiesTop = dividerY + 20;
 
-            if (invoice.client.address) {
-                doc.text(invoice.client.address, 50, invoice.client.company ? 215 : 200);
-            }
+            doc.fillColor(colors.muted);
+            writeText(doc, t('document.bill_to'), 50, partiesTop, { font: fonts.regular, size: 10 });
 
-            // Invoice Details (Right side)
-            doc.fillColor(grayColor)
-               .text('Issue Date:', 400, 150);
-            doc.fillColor(textColor)
-               .text(formatDate(invoice.issue_date || invoice.created_at), 470, 150);
-
-            doc.fillColor(grayColor)
-               .text('Due Date:', 400, 168);
-            doc.fillColor(textColor)
-               .font('Helvetica-Bold')
-               .text(formatDate(invoice.due_date), 470, 168);
-
-            doc.fillColor(grayColor)
-               .font('Helvetica')
-               .text('Status:', 400, 186);
-
-            const statusColors = {
-                draft: '#9ca3af',
-                pending: '#f59e0b',
-                paid: '#10b981',
-                overdue: '#ef4444',
-                cancelled: '#6b7280'
-            };
-
-            doc.fillColor(statusColors[invoice.status] || grayColor)
-               .font('Helvetica-Bold')
-               .text(invoice.status.toUpperCase(), 470, 186);
-
-            // Items Table Header
-            const tableTop = 260;
-            const tableLeft = 50;
-
-            doc.fillColor(primaryColor)
-               .rect(tableLeft, tableTop, 495, 25)
-               .fill();
-
-            doc.fillColor('#ffffff')
-               .fontSize(10)
-               .font('Helvetica-Bold')
-               .text('Description', tableLeft + 10, tableTop + 8)
-               .text('Qty', 350, tableTop + 8)
-               .text('Price', 400, tableTop + 8)
-               .text('Amount', 470, tableTop + 8);
-
-            // Items
-            let yPosition = tableTop + 35;
-            const items = invoice.items || [];
+            doc.fillColor(colors.text);
+            writeText(doc, invoice.client.name, 50, partiesTop + 18, { font: fonts.bold, size: 12, width: 300 });
 
-            items.forEach((item, index) => {
-                const bgColor = index % 2 === 0 ? '#ffffff' : lightGray;
-                
-                doc.fillColor(bgColor)
-                   .rect(tableLeft, yPosition - 5, 495, 25)
-                   .fill();
+            doc.fillColor(colors.muted);
 
-                doc.fillColor(textColor)
-                   .font('Helvetica')
-                   .fontSize(10)
-                   .text(item.description, tableLeft + 10, yPosition, { width: 280 })
-                   .text(item.quantity.toString(), 350, yPosition)
-                   .text(formatCurrency(item.unit_price), 400, yPosition)
-                   .text(formatCurrency(item.amount), 470, yPosition);
+            let clientBottom = partiesTop + 35;
 
-                yPosition += 25;
+            getClientLines(invoice.client, theme).forEach(line => {
+                writeText(doc, line, 50, clientBottom, { font: fonts.regular, size: 10, width: 300 });
+                clientBottom = doc.y + 3;
             });
 
-            // Totals
-            yPosition += 20;
+            // Invoice Details (Right side)
+            const detailLabel = { font: fonts.regular, size: 10, width: 120, align: 'right' };
+
+            doc.fillColor(colors.muted);
+            writeText(doc, t('document.issue_date'), 340, partiesTop, detailLabel);
+            doc.fillColor(colors.text);
+            writeText(doc, l10n.formatDate(invoice.issue_date || invoice.created_at), 470, partiesTop, { font: fonts.regular, size: 10 });
 
-            doc.fillColor(grayColor)
-               .text('Subtotal:', 400, yPosition);
-            doc.fillColor(textColor)
-               .text(formatCurrency(invoice.subtotal), 470, yPosition);
+            doc.fillColor(colors.muted);
+            writeText(doc, t(`document.due_date_label.${documentType}`), 340, partiesTop + 18, detailLabel);
+            doc.fillColor(colors.text);
+            writeText(doc, l10n.formatDate(invoice.due_date), 470, partiesTop + 18, { font: fonts.bold, size: 10 });
 
-            if (invoice.tax_rate > 0) {
-                yPosition += 18;
-                doc.fillColor(grayColor)
-                   .text(`Tax (${invoice.tax_rate}%):`, 400, yPosition);
-                doc.fillColor(textColor)
-                   .text(formatCurrency(invoice.tax_amount), 470, yPosition);
-            }
+            if (theme.show('status')) {
+                doc.fillColor(colors.muted);
+                writeText(doc, t('document.status'), 340, partiesTop + 36, detailLabel);
 
-            if (invoice.discount_amount > 0) {
-                yPosition += 18;
-                doc.fillColor(grayColor)
-                   .text('Discount:', 400, yPosition);
-                doc.fillColor('#10b981')
-                   .text(`-${formatCurrency(invoice.discount_amount)}`, 470, yPosition);
+                doc.fillColor(STATUS_COLORS[invoice.status] || colors.muted);
+                writeText(doc, l10n.upper(t(`status.${invoice.status}`)), 470, partiesTop + 36, { font: fonts.bold, size: 10 });
             }
 
-            // Total
+            // Items table, continued on new pages with the header repeated
+            let yPosition = Math.max(dividerY + 130, clientBottom + 25);
+            const items = invoice.items || [];
+
+            drawTableHeader(doc, yPosition, theme, t);
+            yPosition += TABLE_HEADER_HEIGHT;
+
+            items.forEach((item, index) => {
+                const rowHeight = measureItemRow(doc, item, invoice.currency, theme, l10n);
+
+                if (yPosition + rowHeight > doc.page.maxY()) {
+                    doc.addPage();
+                    yPosition = doc.page.margins.top;
+                    drawTableHeader(doc, yPosition, theme, t);
+                    yPosition += TABLE_HEADER_HEIGHT;
+                }
+
+                if (layout.stripedRows && index % 2 === 1) {
+                    doc.fillColor(colors.stripe)
+                       .rect(TABLE_LEFT, yPosition, TABLE_WIDTH, rowHeight)
+                       .fill();
+                }
+
+                if (layout.rowDividers) {
+                    doc.moveTo(TABLE_LEFT, yPosition + rowHeight)
+                       .lineTo(TABLE_LEFT + TABLE_WIDTH, yPosition + rowHeight)
+                       .strokeColor(colors.rule)
+                       .lineWidth(0.5)
+                       .stroke();
+                }
+
+                const textTop = yPosition + ROW_PADDING;
+
+                doc.fillColor(colors.text);
+
+                ITEM_COLUMNS.forEach(column => {
+                    const { x, width } = COLUMN_LAYOUT[column.key];
+                    writeText(doc, column.value(item, invoice.currency, l10n), x, textTop, { font: fonts.regular, size: 10, width });
+                });
+
+                yPosition += rowHeight;
+            });
+
+            // Totals are measured first so the block is never split across pages
+            const totals = getTotalsLines(invoice, l10n);
+            const totalsHeight = measureTotals(doc, totals, theme);
+
             yPosition += 25;
-            doc.fillColor(primaryColor)
-               .rect(380, yPosition - 5, 165, 30)
-               .fill();
-
-            doc.fillColor('#ffffff')
-               .fontSize(12)
-               .font('Helvetica-Bold')
-               .text('TOTAL:', 400, yPosition + 3)
-               .text(formatCurrency(invoice.total), 470, yPosition + 3);
-
-            // Notes
-            if (invoice.notes) {
-                yPosition += 60;
-                doc.fillColor(grayColor)
-                   .fontSize(10)
-                   .font('Helvetica-Bold')
-                   .text('Notes:', 50, yPosition);
-
-                doc.fillColor(textColor)
-                   .font('Helvetica')
-                   .text(invoice.notes, 50, yPosition + 15, { width: 495 });
-            }
 
-            // Terms
-            if (invoice.terms) {
-                yPosition += 60;
-                doc.fillColor(grayColor)
-                   .font('Helvetica-Bold')
-                   .text('Terms & Conditions:', 50, yPosition);
+            if (yPosition + totalsHeight > doc.page.maxY()) {
+                doc.addPage();
+                yPosition = doc.page.margins.top;
+            }
 
-                doc.fillColor(textColor)
-                   .font('Helvetica')
-                   .text(invoice.terms, 50, yPosition + 15, { width: 495 });
+            yPosition = drawTotals(doc, totals, yPosition, theme);
+
+            // Notes and terms flow onto new pages when they are long
+            [['notes', invoice.notes], ['terms', invoice.terms]]
+                .filter(([field, text]) => text && theme.show(field))
+                .forEach(([field, text]) => {
+                    yPosition += 30;
+
+                    // Keep the heading with at least the first lines of text
+                    if (yPosition + 45 > doc.page.maxY()) {
+                        doc.addPage();
+                        yPosition = doc.page.margins.top;
+                    }
+
+                    doc.fillColor(colors.muted);
+                    writeText(doc, t(`document.${field}`), TABLE_LEFT, yPosition, { font: fonts.bold, size: 10 });
+
+                    doc.fillColor(colors.text);
+                    writeText(doc, text, TABLE_LEFT, yPosition + 15, { font: fonts.regular, size: 10, width: TABLE_WIDTH });
+
+                    yPosition = doc.y;
+                });
+
+            // Page furniture is drawn last, once the page count is known
+            const { start, count } = doc.bufferedPageRange();
+            const footerText = theme.footerText === null ? t('document.footer') : theme.footerText;
+            const voidStamp = t('document.void_stamp');
+            // Longer words (e.g. STORNIERT) are set smaller to fit across the page
+            const voidStampSize = Math.min(140, Math.floor(140 * 495 / widthOfText(doc, voidStamp, { font: fonts.bold, size: 140 })));
+
+            for (let pageIndex = start; pageIndex < start + count; pageIndex++) {
+                doc.switchToPage(pageIndex);
+                // Drawing below the content area must not start another page
+                doc.page.margins.bottom = 0;
+
+                if (pageIndex > start) {
+                    doc.fillColor(colors.muted);
+                    writeText(doc, t('document.continued', { title, number: invoice.invoice_number }), 50, 50, { font: fonts.regular, size: 10, lineBreak: false });
+                    writeText(doc, user.business_name || user.name, 300, 50, { font: fonts.regular, size: 10, width: 245, align: 'right', lineBreak: false });
+
+                    doc.moveTo(50, 70)
+                       .lineTo(545, 70)
+                       .strokeColor(isBand ? colors.accent : colors.stripe)
+                       .lineWidth(2)
+                       .stroke();
+                }
+
+                // Void invoices keep their content but are stamped across every page
+                if (invoice.status === 'void') {
+                    doc.save()
+                       .rotate(-30, { origin: [297, 420] })
+                       .fillColor(colors.void)
+                       .fillOpacity(0.25);
+                    writeText(doc, voidStamp, 50, 420 - voidStampSize / 2, { font: fonts.bold, size: voidStampSize, width: 495, align: 'center', lineBreak: false });
+                    doc.restore();
+
+                    if (invoice.void_reason) {
+                        doc.fillColor(colors.void);
+                        writeText(
+                            doc,
+                            invoice.voided_at
+                                ? t('document.voided_on', { date: l10n.formatDate(invoice.voided_at), reason: invoice.void_reason })
+                                : t('document.voided', { reason: invoice.void_reason }),
+                            50,
+                            750,
+                            { font: fonts.bold, size: 10, align: 'center', width: 495, height: 24, ellipsis: true }
+                        );
+                    }
+                }
+
+                // Footer
+                doc.fillColor(colors.muted);
+
+                if (footerText) {
+                    writeText(doc, footerText, 50, 780, { font: fonts.regular, size: 9, align: 'center', width: 495, lineBreak: false });
+                }
+
+                // On its own line under the footer text, which spans the full width
+                if (theme.show('page_numbers')) {
+                    writeText(doc, t('document.page', { page: pageIndex - start + 1, pages: count }), 405, 795, { font: fonts.regular, size: 9, width: 140, align: 'right', lineBreak: false });
+                }
             }
 
-            // Footer
-            doc.fillColor(grayColor)
-               .fontSize(9)
-               .text(
-                   'Generated by InvoiceFlow | invoiceflow.com',
-                   50,
-                   780,
-                   { align: 'center', width: 495 }
-               );
+            if (facturXml) {
+                embedFacturX(doc, facturXml);
+            }
 
             doc.end();
         } catch (error) {
@@ -239,24 +338,104 @@ async function generateInvoicePDF(invoice, user) {
 }
 
 /**
- * Format currency
+ * Draw the items table header
+ */
+function drawTableHeader(doc, y, { layout, colors, fonts }, t) {
+    if (layout.tableHeader === 'filled') {
+        doc.fillColor(colors.accent)
+           .rect(TABLE_LEFT, y, TABLE_WIDTH, 25)
+           .fill();
+    } else {
+        doc.moveTo(TABLE_LEFT, y + 24)
+           .lineTo(TABLE_LEFT + TABLE_WIDTH, y + 24)
+           .strokeColor(colors.accent)
+           .lineWidth(1)
+           .stroke();
+    }
+
+    doc.fillColor(layout.tableHeader === 'filled' ? colors.onAccent : colors.accent);
+
+    ITEM_COLUMNS.forEach(column => {
+        const { x, width } = COLUMN_LAYOUT[column.key];
+        writeText(doc, t(column.label), x, y + 8, { font: fonts.bold, size: 10, width, lineBreak: false });
+    });
+}
+
+/**
+ * Height of an item row with its cells wrapped
+ */
+function measureItemRow(doc, item, currency, { fonts }, l10n) {
+    const textHeight = Math.max(...ITEM_COLUMNS.map(column =>
+        measureText(doc, column.value(item, currency, l10n), { font: fonts.regular, size: 10, width: COLUMN_LAYOUT[column.key].width })
+    ));
+
+    return Math.max(MIN_ROW_HEIGHT, textHeight + ROW_PADDING * 2);
+}
+
+/**
+ * Height of a totals line once drawn
+ */
+function measureTotalsLine(doc, line, { fonts }) {
+    if (line.type === 'total') {
+        return 25;
+    }
+
+    if (line.type === 'note') {
+        return measureText(doc, line.text, { font: fonts.bold, size: 10, width: TABLE_WIDTH });
+    }
+
+    return 12;
+}
+
+/**
+ * Height of the whole totals block
  */
-function formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
-        style: 'currency',
-        currency: 'USD'
-    }).format(amount);
+function measureTotals(doc, lines, theme) {
+    return lines.slice(1).reduce((height, line) => height + line.gap, 0)
+        + measureTotalsLine(doc, lines[lines.length - 1], theme);
 }
 
 /**
- * Format date
+ * Draw the totals block from y
+ * @returns {number} Bottom of the block
  */
-function formatDate(dateStr) {
-    return new Date(dateStr).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric'
+function drawTotals(doc, lines, y, theme) {
+    const { layout, colors, fonts } = theme;
+    let yPosition = y;
+
+    lines.forEach(line => {
+        yPosition += line.gap;
+
+        if (line.type === 'total') {
+            if (layout.totalStyle === 'box') {
+                doc.fillColor(colors.accent)
+                   .rect(380, yPosition - 5, 165, 30)
+                   .fill();
+            } else {
+                doc.moveTo(380, yPosition - 5)
+                   .lineTo(545, yPosition - 5)
+                   .strokeColor(colors.accent)
+                   .lineWidth(1)
+                   .stroke();
+            }
+
+            doc.fillColor(layout.totalStyle === 'box' ? colors.onAccent : colors.accent);
+            writeText(doc, line.label, 390, yPosition + 3, { font: fonts.bold, size: 12, width: 75, lineBreak: false });
+            writeText(doc, line.value, 470, yPosition + 3, { font: fonts.bold, size: 12, width: 75, lineBreak: false });
+        } else if (line.type === 'note') {
+            doc.fillColor(colors[line.tone]);
+            writeText(doc, line.text, TABLE_LEFT, yPosition, { font: fonts.bold, size: 10, width: TABLE_WIDTH, align: 'right' });
+        } else {
+            const font = line.type === 'balance' ? fonts.bold : fonts.regular;
+
+            doc.fillColor(line.type === 'balance' ? colors.text : colors.muted);
+            writeText(doc, line.label, 200, yPosition, { font, size: 10, width: 260, align: 'right', lineBreak: false });
+            doc.fillColor(line.tone ? colors[line.tone] : colors.text);
+            writeText(doc, line.value, 470, yPosition, { font, size: 10, width: 75, lineBreak: false });
+        }
     });
+
+    return yPosition + measureTotalsLine(doc, lines[lines.length - 1], theme);
 }
 
 module.exports = { generateInvoicePDF };
@@ -0,0 +1,214 @@
+/**
+ * Preview Service
+ * HTML previews of invoices, styled by the same templates as the PDF
+ */
+
+const {
+    STATUS_COLORS,
+    ITEM_COLUMNS,
+    getBranding,
+    resolveTheme,
+    getBusinessLines,
+    getClientLines,
+    getTotalsLines
+} = require('./templateService');
+const { getLocalizer } = require('./localeService');
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Example invoice for previewing branding before an account has invoices
+ */
+function getSampleInvoice(currency = 'USD') {
+    const today = new Date();
+    const dueDate = new Date(today.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    return {
+        invoice_number: 'INV-0001',
+        status: 'pending',
+        currency,
+        issue_date: today.toISOString().slice(0, 10),
+        due_date: dueDate.toISOString().slice(0, 10),
+        client: {
+            name: 'Jane Cooper',
+            company: 'Acme Corporation',
+            email: 'jane@acme.example',
+            address: '123 Market Street, San Francisco, CA'
+        },
+        items: [
+            { description: 'Website design', quantity: 1, unit_price: 2400, amount: 2400 },
+            { description: 'Development (hours)', quantity: 12, unit_price: 95, amount: 1140 },
+            { description: 'Hosting, first year', quantity: 1, unit_price: 240, amount: 240 }
+        ],
+        subtotal: 3780,
+        tax_rate: 10,
+        tax_amount: 378,
+        discount_amount: 0,
+        total: 4158,
+        notes: 'Thank you for your business.',
+        terms: 'Payment is due within 30 days.'
+    };
+}
+
+/**
+ * Stylesheet for a theme
+ */
+function getStyles({ layout, colors, fonts }) {
+    const isBand = layout.header === 'band';
+    const isFilledHeader = layout.tableHeader === 'filled';
+    const isBoxTotal = layout.totalStyle === 'box';
+
+    return `
+        * { box-sizing: border-box; }
+        body { margin: 0; padding: 24px; background: #e5e7eb; font-family: ${fonts.css}; color: ${colors.text}; font-size: 13px; }
+        .page { position: relative; max-width: 794px; margin: 0 auto; background: #ffffff; padding: 48px; overflow: hidden; }
+        .header { display: flex; justify-content: space-between; gap: 24px; padding-bottom: 20px; margin-bottom: 24px;
+            ${isBand ? `background: ${colors.accent}; color: ${colors.onAccent}; margin: -48px -48px 24px; padding: 40px 48px 20px;` : `border-bottom: 2px solid ${colors.stripe};`} }
+        .logo { display: block; max-width: 200px; max-height: 66px; margin-bottom: 12px; }
+        .title { margin: 0; font-size: ${Math.round(layout.titleSize * 1.33)}px; color: ${isBand ? colors.onAccent : colors.accent}; }
+        .muted { color: ${isBand ? colors.onAccent : colors.muted}; }
+        .business { text-align: right; }
+        .business strong { font-size: 16px; }
+        .parties { display: flex; justify-content: space-between; gap: 24px; margin-bottom: 32px; color: ${colors.muted}; }
+        .parties strong { color: ${colors.text}; font-size: 16px; }
+        .details td { padding: 2px 0 2px 16px; }
+        .details td:last-child { color: ${colors.text}; }
+        table.items { width: 100%; border-collapse: collapse; }
+        table.items th { text-align: left; padding: 8px 12px;
+            ${isFilledHeader ? `background: ${colors.accent}; color: ${colors.onAccent};` : `color: ${colors.accent}; border-bottom: 1px solid ${colors.accent};`} }
+        table.items td { padding: 7px 12px; vertical-align: top;${layout.rowDividers ? ` border-bottom: 1px solid ${colors.rule};` : ''} }
+        ${layout.stripedRows ? `table.items tbody tr:nth-child(even) td { background: ${colors.stripe}; }` : ''}
+        .totals { margin: 32px 0 0 auto; width: 360px; border-collapse: collapse; }
+        .totals td { padding: 3px 0; }
+        .totals td:first-child { text-align: right; padding-right: 12px; color: ${colors.muted}; }
+        .totals .total td { padding: 8px 12px; font-size: 16px; font-weight: bold;
+            ${isBoxTotal ? `background: ${colors.accent}; color: ${colors.onAccent};` : `color: ${colors.accent}; border-top: 1px solid ${colors.accent};`} }
+        .totals .total td:first-child { color: inherit; }
+        .totals .balance td { font-weight: bold; color: ${colors.text}; }
+        .totals .positive { color: ${colors.positive}; }
+        .totals .negative { color: ${colors.negative}; }
+        .note { text-align: right; font-weight: bold; color: ${colors.positive}; }
+        .section { margin-top: 28px; white-space: pre-wrap; }
+        .section h3 { margin: 0 0 4px; font-size: 13px; color: ${colors.muted}; }
+        .footer { margin-top: 48px; text-align: center; font-size: 12px; color: ${colors.muted}; }
+        .void-stamp { position: absolute; top: 38%; left: 0; right: 0; text-align: center; font-size: 180px; font-weight: bold;
+            color: ${colors.void}; opacity: 0.25; transform: rotate(-30deg); pointer-events: none; }
+        .void-reason { margin-top: 24px; text-align: center; font-weight: bold; color: ${colors.void}; }
+    `;
+}
+
+/**
+ * Render an invoice as an HTML page
+ * Takes the same arguments as generateInvoicePDF and draws the same template,
+ * as one continuous page rather than A4 pages.
+ * @param {Object} invoice - Invoice data with items and client
+ * @param {Object} user - User/business data
+ * @param {Object} options - { documentType, referenceNumber, branding, locale }
+ * @returns {Promise<string>} HTML document
+ */
+async function renderInvoiceHTML(invoice, user, options = {}) {
+    const { documentType = 'invoice', referenceNumber } = options;
+    const theme = resolveTheme(options.branding || await getBranding(user.id || invoice.user_id));
+    const { currency } = invoice;
+    const l10n = getLocalizer(options.locale || invoice.client?.locale);
+    const { t } = l10n;
+    const title = t(`document.title.${documentType}`);
+    const reference = referenceNumber ? t(`document.reference.${documentType}`, { number: referenceNumber }) : null;
+    const footerText = theme.footerText === null ? t('document.footer') : theme.footerText;
+
+    const businessLines = getBusinessLines(user, theme)
+        .map(line => `<div class="muted" dir="auto">${escapeHtml(line)}</div>`)
+        .join('');
+
+    const clientLines = getClientLines(invoice.client, theme)
+        .map(line => `<div dir="auto">${escapeHtml(line)}</div>`)
+        .join('');
+
+    const status = theme.show('status')
+        ? `<tr><td>${escapeHtml(t('document.status'))}</td><td style="color: ${STATUS_COLORS[invoice.status] || theme.colors.muted}"><strong>${escapeHtml(l10n.upper(t(`status.${invoice.status}`)))}</strong></td></tr>`
+        : '';
+
+    const rows = (invoice.items || [])
+        .map(item => `<tr>${ITEM_COLUMNS.map(column => `<td>${escapeHtml(column.value(item, currency, l10n))}</td>`).join('')}</tr>`)
+        .join('');
+
+    const totals = getTotalsLines(invoice, l10n)
+        .map(line => line.type === 'note'
+            ? `<tr><td colspan="2" class="note">${escapeHtml(line.text)}</td></tr>`
+            : `<tr class="${line.type}"><td>${escapeHtml(line.label)}</td><td class="${line.tone || ''}">${escapeHtml(line.value)}</td></tr>`)
+        .join('');
+
+    const sections = [['notes', invoice.notes], ['terms', invoice.terms]]
+        .filter(([field, text]) => text && theme.show(field))
+        .map(([field, text]) => `<div class="section"><h3>${escapeHtml(t(`document.${field}`))}</h3>${escapeHtml(text)}</div>`)
+        .join('');
+
+    const voidMarkup = invoice.status === 'void'
+        ? `<div class="void-stamp">${escapeHtml(t('document.void_stamp'))}</div>${invoice.void_reason
+            ? `<div class="void-reason">${escapeHtml(invoice.voided_at
+                ? t('document.voided_on', { date: l10n.formatDate(invoice.voided_at), reason: invoice.void_reason })
+                : t('document.voided', { reason: invoice.void_reason }))}</div>`
+            : ''}`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="${l10n.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(`${title} ${invoice.invoice_number}`)}</title>
+    <style>${getStyles(theme)}</style>
+</head>
+<body>
+    <div class="page">
+        <div class="header">
+            <div>
+                ${theme.logo ? `<img class="logo" src="${escapeHtml(theme.logo)}" alt="">` : ''}
+                <h1 class="title">${escapeHtml(title)}</h1>
+                <div class="muted">${escapeHtml(invoice.invoice_number)}</div>
+                ${reference ? `<div class="muted">${escapeHtml(reference)}</div>` : ''}
+            </div>
+            <div class="business">
+                <strong dir="auto">${escapeHtml(user.business_name || user.name)}</strong>
+                ${businessLines}
+            </div>
+        </div>
+        <div class="parties">
+            <div>
+                <div>${escapeHtml(t('document.bill_to'))}</div>
+                <strong dir="auto">${escapeHtml(invoice.client.name)}</strong>
+                ${clientLines}
+            </div>
+            <table class="details">
+                <tr><td>${escapeHtml(t('document.issue_date'))}</td><td>${l10n.formatDate(invoice.issue_date || invoice.created_at)}</td></tr>
+                <tr><td>${escapeHtml(t(`document.due_date_label.${documentType}`))}</td><td><strong>${l10n.formatDate(invoice.due_date)}</strong></td></tr>
+                ${status}
+            </table>
+        </div>
+        <table class="items">
+            <thead><tr>${ITEM_COLUMNS.map(column => `<th>${escapeHtml(t(column.label))}</th>`).join('')}</tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <table class="totals">${totals}</table>
+        ${sections}
+        ${voidMarkup}
+        ${footerText ? `<div class="footer">${escapeHtml(footerText)}</div>` : ''}
+    </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+    getSampleInvoice,
+    renderInvoiceHTML
+};
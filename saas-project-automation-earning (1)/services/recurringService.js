@@ -0,0 +1,193 @@
+/**
+ * Recurring Invoice Service
+ * Schedules and generates invoices from recurring profiles
+ */
+
+const { supabase } = require('../config/database');
+const { createInvoice } = require('./invoiceService');
+const { generateInvoicePDF } = require('./pdfService');
+const { sendInvoiceEmail } = require('./emailService');
+const { createShareLink } = require('./shareLinkService');
+
+const FREQUENCIES = ['weekly', 'monthly', 'quarterly', 'yearly', 'custom'];
+
+// Sending invoices by email is a paid-plan feature (see POST /api/invoices/:id/send)
+const SEND_PLANS = ['pro', 'business'];
+
+/**
+ * Format a Date as YYYY-MM-DD (UTC)
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add whole months, clamping to the end of shorter months (Jan 31 -> Feb 28)
+ */
+function addMonths(date, months) {
+    const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return result;
+}
+
+/**
+ * Date of the nth run of a profile (0 = start date)
+ *
+ * Always counted from the start date rather than the previous run,
+ * so month-end schedules don't drift (Jan 31, Feb 28, Mar 31...)
+ */
+function getRunDate(profile, n) {
+    const start = new Date(`${profile.start_date}T00:00:00Z`);
+
+    switch (profile.frequency) {
+        case 'weekly':
+            return new Date(start.getTime() + n * 7 * 24 * 60 * 60 * 1000);
+        case 'monthly':
+            return addMonths(start, n);
+        case 'quarterly':
+            return addMonths(start, n * 3);
+        case 'yearly':
+            return addMonths(start, n * 12);
+        case 'custom':
+            return new Date(start.getTime() + n * profile.interval_days * 24 * 60 * 60 * 1000);
+        default:
+            throw new Error(`Unknown frequency: ${profile.frequency}`);
+    }
+}
+
+/**
+ * Generate the next scheduled invoice for a profile
+ *
+ * The occurrence is claimed by advancing the schedule before the invoice is
+ * created, so a manual run and the scheduled job can't both generate it. The
+ * claim is released if the invoice can't be created.
+ * @param {Object} profile - Profile with items
+ * @param {Object} user - Owner (id, plan, name, business_name, email...)
+ * @param {Object} options - { ip: request IP for the audit log }
+ * @returns {Promise<Object>} { invoice, sent, profile, skipped }; without an invoice, skipped is
+ *                            'completed' (already past its end date) or 'claimed' (generated by another run)
+ */
+async function generateFromProfile(profile, user, { ip } = {}) {
+    // The end date may have been moved before the next run since the schedule last advanced
+    if (profile.end_date && profile.next_run_date > profile.end_date) {
+        const { data: completedProfile, error } = await supabase
+            .from('recurring_profiles')
+            .update({ is_active: false })
+            .eq('id', profile.id)
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Failed to complete recurring profile: ${error.message}`);
+        }
+
+        return { invoice: null, sent: false, profile: completedProfile, skipped: 'completed' };
+    }
+
+    const occurrences = profile.occurrences || 0;
+    const runDate = getRunDate(profile, occurrences);
+    const dueDate = new Date(runDate.getTime() + (profile.due_in_days || 0) * 24 * 60 * 60 * 1000);
+
+    // Advance the schedule, finishing the profile once past its end date
+    const nextRunDate = toDateString(getRunDate(profile, occurrences + 1));
+    const finished = profile.end_date && nextRunDate > profile.end_date;
+
+    const { data: claimedProfile, error: claimError } = await supabase
+        .from('recurring_profiles')
+        .update({
+            occurrences: occurrences + 1,
+            next_run_date: nextRunDate,
+            last_run_at: new Date().toISOString(),
+            last_error: null,
+            ...(finished && { is_active: false })
+        })
+        .eq('id', profile.id)
+        .eq('occurrences', occurrences)
+        .eq('next_run_date', profile.next_run_date)
+        .select();
+
+    if (claimError) {
+        throw new Error(`Failed to advance recurring profile: ${claimError.message}`);
+    }
+
+    if (!claimedProfile.length) {
+        return { invoice: null, sent: false, profile: null, skipped: 'claimed' };
+    }
+
+    const items = (profile.items || [])
+        .sort((a, b) => a.sort_order - b.sort_order)
+        .map(item => ({
+            description: item.description,
+            quantity: parseFloat(item.quantity),
+            price: parseFloat(item.unit_price)
+        }));
+
+    let invoice;
+
+    try {
+        invoice = await createInvoice(user, {
+            client_id: profile.client_id,
+            items,
+            issue_date: toDateString(runDate),
+            due_date: toDateString(dueDate),
+            currency: profile.currency,
+            notes: profile.notes,
+            terms: profile.terms,
+            tax_rate: parseFloat(profile.tax_rate) || 0,
+            discount_amount: parseFloat(profile.discount_amount) || 0,
+            recurring_profile_id: profile.id
+        }, { ip });
+    } catch (error) {
+        // Put the schedule back so the run is retried (e.g. once the monthly cap resets)
+        const { error: releaseError } = await supabase
+            .from('recurring_profiles')
+            .update({
+                occurrences,
+                next_run_date: profile.next_run_date,
+                last_run_at: profile.last_run_at,
+                last_error: error.message,
+                is_active: profile.is_active
+            })
+            .eq('id', profile.id)
+            .eq('occurrences', occurrences + 1);
+
+        if (releaseError) {
+            console.error(`Failed to release run ${occurrences + 1} of recurring profile ${profile.id}:`, releaseError.message);
+        }
+
+        throw error;
+    }
+
+    const updatedProfile = claimedProfile[0];
+
+    let sent = false;
+
+    if (profile.auto_send && SEND_PLANS.includes(user.plan)) {
+        try {
+            const { data: client } = await supabase
+                .from('clients')
+                .select('*')
+                .eq('id', profile.client_id)
+                .single();
+
+            const fullInvoice = { ...invoice, client };
+            const pdfBuffer = await generateInvoicePDF(fullInvoice, user, { facturX: client.facturx_enabled });
+            const shareLink = await createShareLink(invoice.id, user.id);
+            await sendInvoiceEmail(client.email, fullInvoice, pdfBuffer, shareLink.url);
+            sent = true;
+        } catch (error) {
+            // The invoice exists either way - it can still be sent by hand
+            console.error(`Failed to send recurring invoice ${invoice.id}:`, error);
+        }
+    }
+
+    return { invoice, sent, profile: updatedProfile };
+}
+
+module.exports = {
+    FREQUENCIES,
+    toDateString,
+    getRunDate,
+    generateFromProfile
+};
@@ -0,0 +1,125 @@
+/**
+ * Reminder Service
+ * Payment reminder cadences and delivery
+ */
+
+const { supabase } = require('../config/database');
+const { sendReminderEmail } = require('./emailService');
+const { createReminderShareLink, revokeOlderReminderLinks } = require('./shareLinkService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Cadence used until an account saves its own settings
+ */
+const DEFAULT_REMINDER_SETTINGS = {
+    is_enabled: false,
+    days_before_due: [3],
+    on_due_date: true,
+    repeat_every_days: 7,
+    max_reminders: 5
+};
+
+/**
+ * Day number (UTC) for a date or YYYY-MM-DD string
+ */
+function toDayNumber(value) {
+    const date = new Date(value);
+    return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / DAY);
+}
+
+/**
+ * Get reminder settings for an account, falling back to defaults
+ */
+async function getReminderSettings(userId) {
+    const { data: settings } = await supabase
+        .from('reminder_settings')
+        .select('*')
+        .eq('user_id', userId)
+        .single();
+
+    return { ...DEFAULT_REMINDER_SETTINGS, ...settings };
+}
+
+/**
+ * Work out whether a reminder is due for an invoice today
+ *
+ * The cadence is a list of offsets from the due date (e.g. -3, 0, +7, +14...).
+ * A reminder is due when the latest offset that has been reached comes after
+ * the last reminder sent, so a missed run catches up with a single email and a
+ * manual reminder counts towards the cadence.
+ *
+ * @param {Object} invoice - Invoice with due_date, reminder_sent_at, reminder_count
+ * @param {Object} settings - Reminder settings
+ * @param {Date} now - Reference time
+ * @returns {number|null} Offset in days from the due date, or null if nothing is due
+ */
+function getDueReminderOffset(invoice, settings, now = new Date()) {
+    if ((invoice.reminder_count || 0) >= settings.max_reminders) {
+        return null;
+    }
+
+    const dueDay = toDayNumber(invoice.due_date);
+    const daysFromDue = toDayNumber(now) - dueDay;
+
+    const offsets = (settings.days_before_due || []).map(days => -Math.abs(days));
+
+    if (settings.on_due_date) {
+        offsets.push(0);
+    }
+
+    if (settings.repeat_every_days > 0 && daysFromDue > 0) {
+        const repeats = Math.floor(daysFromDue / settings.repeat_every_days);
+        if (repeats > 0) {
+            offsets.push(repeats * settings.repeat_every_days);
+        }
+    }
+
+    const reached = offsets.filter(offset => offset <= daysFromDue);
+
+    if (reached.length === 0) {
+        return null;
+    }
+
+    const latest = Math.max(...reached);
+    const lastSent = invoice.reminder_sent_at
+        ? toDayNumber(invoice.reminder_sent_at) - dueDay
+        : -Infinity;
+
+    return latest > lastSent ? latest : null;
+}
+
+/**
+ * Email a payment reminder for an invoice and record it
+ * Each reminder carries a new pay link and revokes the ones sent with earlier
+ * reminders, and the count is incremented in the database so concurrent sends both count.
+ * @param {Object} invoice - Invoice with client (name, email)
+ * @param {Object} options - { automated: sent by the scheduler, ip: request IP }
+ */
+async function sendInvoiceReminder(invoice, { automated = false, ip } = {}) {
+    const shareLink = await createReminderShareLink(invoice.id, invoice.user_id);
+
+    await sendReminderEmail(invoice.client.email, invoice, shareLink.url);
+    await revokeOlderReminderLinks(invoice.id, shareLink.id);
+
+    const { data: recorded } = await supabase.rpc('record_invoice_reminder', { p_invoice_id: invoice.id });
+    const reminderCount = recorded ?? (invoice.reminder_count || 0) + 1;
+
+    await supabase.from('audit_logs').insert({
+        user_id: invoice.user_id,
+        action: automated ? 'REMINDER_SENT_AUTO' : 'REMINDER_SENT',
+        entity_type: 'invoice',
+        entity_id: invoice.id,
+        new_values: { reminder_count: reminderCount, to: invoice.client.email },
+        ip_address: ip
+    });
+
+    return reminderCount;
+}
+
+module.exports = {
+    DEFAULT_REMINDER_SETTINGS,
+    getReminderSettings,
+    getDueReminderOffset,
+    sendInvoiceReminder
+};
@@ -0,0 +1,211 @@
+/**
+ * Revision Service
+ * Immutable invoice snapshots and the differences between them
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+
+// Snapshot keys that are compared line by line or per party rather than as fields
+const NESTED_KEYS = ['items', 'client', 'sender', 'branding'];
+
+// Branding settings compared between revisions (the logo is compared separately)
+const BRANDING_FIELDS = ['template', 'accent_color', 'font', 'footer_text', 'hidden_fields'];
+
+// Item columns compared between revisions
+const ITEM_FIELDS = ['description', 'quantity', 'unit', 'unit_price', 'amount', 'net_amount', 'tax_amount', 'taxes', 'sku'];
+
+/**
+ * Snapshot an invoice as it is now
+ *
+ * Creates and updates are snapshotted inside their own transaction; this is
+ * for sends and status changes. A failed snapshot is logged rather than
+ * failing a change that has already been made.
+ * @param {string} invoiceId - Invoice to snapshot
+ * @param {string} event - sent or status_changed
+ * @returns {Promise<Object|null>} Revision row
+ */
+async function recordInvoiceRevision(invoiceId, event) {
+    const { data: revision, error } = await supabase.rpc('record_invoice_revision', {
+        p_invoice_id: invoiceId,
+        p_event: event
+    });
+
+    if (error) {
+        console.error(`Failed to record ${event} revision for invoice ${invoiceId}:`, error.message);
+        return null;
+    }
+
+    return revision;
+}
+
+/**
+ * Compare two values stored in a snapshot (numbers come back as numbers or strings)
+ */
+function isSameValue(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || a === undefined || b === undefined) return false;
+    if (!isNaN(a) && !isNaN(b) && typeof a !== 'object' && typeof b !== 'object') {
+        return parseFloat(a) === parseFloat(b);
+    }
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Changed fields between two objects
+ * @param {string} [prefix] - Prefix for nested fields (e.g. "client.")
+ * @returns {Array} [{ field, from, to }]
+ */
+function diffFields(before = {}, after = {}, fields, prefix = '') {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+
+    return keys
+        .filter(key => !isSameValue(before?.[key] ?? null, after?.[key] ?? null))
+        .map(key => ({ field: `${prefix}${key}`, from: before?.[key] ?? null, to: after?.[key] ?? null }));
+}
+
+/**
+ * Line-level changes, matching lines by position
+ * @returns {Array} [{ line, change: added | removed | changed, before, after, fields }]
+ */
+function diffItems(beforeItems = [], afterItems = []) {
+    const changes = [];
+    const lines = Math.max(beforeItems.length, afterItems.length);
+
+    for (let index = 0; index < lines; index++) {
+        const before = beforeItems[index];
+        const after = afterItems[index];
+
+        if (!before) {
+            changes.push({ line: index + 1, change: 'added', before: null, after });
+        } else if (!after) {
+            changes.push({ line: index + 1, change: 'removed', before, after: null });
+        } else {
+            const fields = diffFields(before, after, ITEM_FIELDS);
+            if (fields.length) {
+                changes.push({ line: index + 1, change: 'changed', before, after, fields });
+            }
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Changed branding between two snapshots
+ * A logo change is reported as whether there was a logo, not as its hash.
+ * Snapshots taken before branding was recorded have nothing to compare.
+ */
+function diffBranding(before, after) {
+    if (!before || !after) {
+        return [];
+    }
+
+    const fields = diffFields(before, after, BRANDING_FIELDS, 'branding.');
+
+    if ((before.logo_hash ?? null) !== (after.logo_hash ?? null)) {
+        fields.push({ field: 'branding.logo', from: Boolean(before.logo_hash), to: Boolean(after.logo_hash) });
+    }
+
+    return fields;
+}
+
+/**
+ * Everything that changed from one snapshot to the next
+ * @returns {Object} { fields, items }
+ */
+function diffSnapshots(before, after) {
+    const topLevel = Object.keys({ ...before, ...after }).filter(key => !NESTED_KEYS.includes(key));
+
+    return {
+        fields: [
+            ...diffFields(before, after, topLevel),
+            ...diffFields(before.client, after.client, null, 'client.'),
+            ...diffFields(before.sender, after.sender, null, 'sender.'),
+            ...diffBranding(before.branding, after.branding)
+        ],
+        items: diffItems(before.items, after.items)
+    };
+}
+
+/**
+ * List an invoice's revisions, each with its changes from the one before
+ * @param {string} invoiceId - Invoice whose history is listed
+ * @returns {Promise<Array>} Revisions, oldest first
+ */
+async function getInvoiceRevisions(invoiceId) {
+    const { data: revisions, error } = await supabase
+        .from('invoice_revisions')
+        .select('id, revision_number, event, snapshot, created_at')
+        .eq('invoice_id', invoiceId)
+        .order('revision_number', { ascending: true });
+
+    if (error) {
+        throw new APIError('Failed to fetch invoice revisions', 500);
+    }
+
+    return revisions.map((revision, index) => ({
+        id: revision.id,
+        revision_number: revision.revision_number,
+        event: revision.event,
+        created_at: revision.created_at,
+        status: revision.snapshot.status,
+        total: revision.snapshot.total,
+        changes: index === 0 ? null : diffSnapshots(revisions[index - 1].snapshot, revision.snapshot)
+    }));
+}
+
+/**
+ * Load one revision of an invoice
+ * @throws {APIError} 404 if the revision doesn't exist
+ */
+async function getInvoiceRevision(invoiceId, revisionNumber) {
+    const { data: revision, error } = await supabase
+        .from('invoice_revisions')
+        .select('*')
+        .eq('invoice_id', invoiceId)
+        .eq('revision_number', revisionNumber)
+        .single();
+
+    if (error || !revision) {
+        throw new APIError('Revision not found', 404);
+    }
+
+    return revision;
+}
+
+/**
+ * Branding a revision was recorded with, ready to render
+ * Snapshots reference the logo by hash; the image itself is loaded from branding_logos.
+ * @param {Object} branding - Snapshot branding
+ * @param {string} userId - Owner of the invoice
+ * @returns {Promise<Object|undefined>} Branding with logo_url, or undefined for snapshots without branding
+ */
+async function getRevisionBranding(branding, userId) {
+    if (!branding) {
+        return undefined;
+    }
+
+    const { logo_hash: logoHash, ...settings } = branding;
+
+    if (!logoHash) {
+        return { ...settings, logo_url: null };
+    }
+
+    const { data: logo } = await supabase
+        .from('branding_logos')
+        .select('data_url')
+        .eq('user_id', userId)
+        .eq('hash', logoHash)
+        .single();
+
+    return { ...settings, logo_url: logo?.data_url || null };
+}
+
+module.exports = {
+    recordInvoiceRevision,
+    diffSnapshots,
+    getInvoiceRevisions,
+    getInvoiceRevision,
+    getRevisionBranding
+};
@@ -0,0 +1,189 @@
+/**
+ * Share Link Service
+ * Signed, revocable links that give clients access to a single invoice or estimate
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+
+const DEFAULT_EXPIRY_DAYS = parseInt(process.env.SHARE_LINK_EXPIRY_DAYS) || 60;
+
+/**
+ * Sign a raw token - only the signature is stored, so a leaked
+ * database row cannot be turned back into a working link
+ */
+function signToken(token) {
+    return crypto
+        .createHmac('sha256', process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET)
+        .update(token)
+        .digest('hex');
+}
+
+/**
+ * Build the client-facing URL for a token
+ */
+function getShareUrl(token) {
+    return `${process.env.FRONTEND_URL}/pay/${token}`;
+}
+
+/**
+ * Build the client-facing estimate review URL for a token
+ */
+function getEstimateShareUrl(token) {
+    return `${process.env.FRONTEND_URL}/estimate/${token}`;
+}
+
+/**
+ * Insert a share link for one document
+ * @param {Object} target - { invoice_id } or { estimate_id }, plus purpose for reminder links
+ */
+async function insertShareLink(target, userId, expiresInDays) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+    const { data: link, error } = await supabase
+        .from('invoice_share_links')
+        .insert({
+            id: uuidv4(),
+            ...target,
+            user_id: userId,
+            token_hash: signToken(token),
+            expires_at: expiresAt.toISOString()
+        })
+        .select('id, invoice_id, estimate_id, purpose, expires_at, is_revoked, created_at')
+        .single();
+
+    if (error) {
+        throw new APIError('Failed to create share link', 500);
+    }
+
+    return { link, token };
+}
+
+/**
+ * Create a new share link for an invoice
+ * @param {string} invoiceId - Invoice the link grants access to
+ * @param {string} userId - Owner of the invoice
+ * @param {Object} options - { expiresInDays }
+ * @returns {Promise<Object>} Link record plus the raw token and URL (only returned once)
+ */
+async function createShareLink(invoiceId, userId, { expiresInDays = DEFAULT_EXPIRY_DAYS } = {}) {
+    const { link, token } = await insertShareLink({ invoice_id: invoiceId }, userId, expiresInDays);
+
+    return { ...link, token, url: getShareUrl(token) };
+}
+
+/**
+ * Create a share link for a payment reminder
+ * Call revokeOlderReminderLinks once the reminder is sent, so each invoice
+ * keeps one live reminder link however many reminders go out.
+ * @returns {Promise<Object>} Link record plus the raw token and URL
+ */
+async function createReminderShareLink(invoiceId, userId) {
+    const { link, token } = await insertShareLink({ invoice_id: invoiceId, purpose: 'reminder' }, userId, DEFAULT_EXPIRY_DAYS);
+
+    return { ...link, token, url: getShareUrl(token) };
+}
+
+/**
+ * Revoke the reminder links of an invoice other than the latest one
+ * @param {string} invoiceId - Invoice whose reminder links are revoked
+ * @param {string} latestLinkId - Reminder link to keep
+ */
+async function revokeOlderReminderLinks(invoiceId, latestLinkId) {
+    const { error } = await supabase
+        .from('invoice_share_links')
+        .update({ is_revoked: true })
+        .eq('invoice_id', invoiceId)
+        .eq('purpose', 'reminder')
+        .eq('is_revoked', false)
+        .neq('id', latestLinkId);
+
+    if (error) {
+        throw new APIError('Failed to revoke share link', 500);
+    }
+}
+
+/**
+ * Create a new share link for an estimate (review, accept or decline)
+ * @param {string} estimateId - Estimate the link grants access to
+ * @param {string} userId - Owner of the estimate
+ * @param {Object} options - { expiresInDays }
+ * @returns {Promise<Object>} Link record plus the raw token and URL (only returned once)
+ */
+async function createEstimateShareLink(estimateId, userId, { expiresInDays = DEFAULT_EXPIRY_DAYS } = {}) {
+    const { link, token } = await insertShareLink({ estimate_id: estimateId }, userId, expiresInDays);
+
+    return { ...link, token, url: getEstimateShareUrl(token) };
+}
+
+/**
+ * Resolve a raw token to its share link
+ * @returns {Promise<Object|null>} Active link, or null if unknown, revoked or expired
+ */
+async function resolveShareLink(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+
+    const { data: link } = await supabase
+        .from('invoice_share_links')
+        .select('id, invoice_id, estimate_id, user_id, expires_at, is_revoked, view_count')
+        .eq('token_hash', signToken(token))
+        .single();
+
+    if (!link || link.is_revoked || new Date(link.expires_at) <= new Date()) {
+        return null;
+    }
+
+    return link;
+}
+
+/**
+ * Record that a client opened the link
+ */
+async function recordShareLinkView(link) {
+    await supabase
+        .from('invoice_share_links')
+        .update({
+            view_count: (link.view_count || 0) + 1,
+            last_viewed_at: new Date().toISOString()
+        })
+        .eq('id', link.id);
+}
+
+/**
+ * Revoke share links for an invoice
+ * @param {string} invoiceId - Invoice whose links are revoked
+ * @param {string} [linkId] - Revoke only this link instead of all of them
+ */
+async function revokeShareLinks(invoiceId, linkId) {
+    let query = supabase
+        .from('invoice_share_links')
+        .update({ is_revoked: true })
+        .eq('invoice_id', invoiceId);
+
+    if (linkId) {
+        query = query.eq('id', linkId);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+        throw new APIError('Failed to revoke share link', 500);
+    }
+}
+
+module.exports = {
+    createShareLink,
+    createReminderShareLink,
+    revokeOlderReminderLinks,
+    createEstimateShareLink,
+    resolveShareLink,
+    recordShareLinkView,
+    revokeShareLinks,
+    getShareUrl,
+    getEstimateShareUrl
+};
@@ -0,0 +1,119 @@
+/**
+ * Tax Service
+ * Named tax rates applied per line item, including compound taxes and tax-inclusive prices
+ */
+
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { roundMoney } = require('./paymentService');
+
+/**
+ * Load the active tax rates referenced by a set of line items
+ * @param {string} userId - Owner of the tax rates
+ * @param {Array} items - Line items with optional tax_rate_ids
+ * @returns {Promise<Map>} Tax rate id -> { id, name, rate, is_compound }
+ */
+async function loadTaxRates(userId, items) {
+    const ids = [...new Set(items.flatMap(item => item.tax_rate_ids || []))];
+
+    if (!ids.length) {
+        return new Map();
+    }
+
+    const { data: taxRates, error } = await supabase
+        .from('tax_rates')
+        .select('id, name, rate, is_compound')
+        .eq('user_id', userId)
+        .eq('is_active', true)
+        .in('id', ids);
+
+    if (error || taxRates.length !== ids.length) {
+        throw new APIError('Tax rate not found', 404);
+    }
+
+    return new Map(taxRates.map(taxRate => [taxRate.id, taxRate]));
+}
+
+/**
+ * Calculate the taxes on one line
+ *
+ * Simple taxes apply to the net amount. Compound taxes come after them and
+ * apply to the net amount plus every tax before them (e.g. a PST charged on top of GST).
+ * With tax-inclusive pricing the entered amount is split back into net + taxes.
+ * @param {number} amount - quantity × unit price as entered
+ * @param {Array} taxes - Tax rates for the line ({ id, name, rate, is_compound })
+ * @param {boolean} pricesIncludeTax - The entered amount already includes the taxes
+ * @returns {Object} { net, taxAmount, taxes: [{ tax_rate_id, name, rate, is_compound, taxable_amount, amount }] }
+ */
+function calculateLineTax(amount, taxes = [], pricesIncludeTax = false) {
+    const ordered = [...taxes.filter(tax => !tax.is_compound), ...taxes.filter(tax => tax.is_compound)];
+
+    let net = amount;
+
+    if (pricesIncludeTax && ordered.length) {
+        const simpleRate = ordered
+            .filter(tax => !tax.is_compound)
+            .reduce((sum, tax) => sum + parseFloat(tax.rate) / 100, 0);
+        const factor = ordered
+            .filter(tax => tax.is_compound)
+            .reduce((product, tax) => product * (1 + parseFloat(tax.rate) / 100), 1 + simpleRate);
+
+        net = amount / factor;
+    }
+
+    net = roundMoney(net);
+
+    let taxedAmount = net;
+    const lineTaxes = ordered.map(tax => {
+        const taxableAmount = tax.is_compound ? taxedAmount : net;
+        const taxAmount = roundMoney(taxableAmount * parseFloat(tax.rate) / 100);
+
+        taxedAmount += taxAmount;
+
+        return {
+            tax_rate_id: tax.id,
+            name: tax.name,
+            rate: parseFloat(tax.rate),
+            is_compound: Boolean(tax.is_compound),
+            taxable_amount: roundMoney(taxableAmount),
+            amount: taxAmount
+        };
+    });
+
+    const taxAmount = roundMoney(lineTaxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+    // Absorb rounding so net + taxes always equals the price the client was quoted
+    if (pricesIncludeTax && ordered.length) {
+        net = roundMoney(amount - taxAmount);
+    }
+
+    return { net, taxAmount, taxes: lineTaxes };
+}
+
+/**
+ * Total each tax across all lines, for the per-tax breakdown on the invoice
+ * @param {Array} lines - Results of calculateLineTax
+ * @returns {Array} [{ tax_rate_id, name, rate, is_compound, taxable_amount, amount }]
+ */
+function summarizeTaxes(lines) {
+    const summary = new Map();
+
+    for (const line of lines) {
+        for (const tax of line.taxes) {
+            const key = `${tax.tax_rate_id}:${tax.rate}`;
+            const entry = summary.get(key) || { ...tax, taxable_amount: 0, amount: 0 };
+
+            entry.taxable_amount = roundMoney(entry.taxable_amount + tax.taxable_amount);
+            entry.amount = roundMoney(entry.amount + tax.amount);
+            summary.set(key, entry);
+        }
+    }
+
+    return [...summary.values()];
+}
+
+module.exports = {
+    loadTaxRates,
+    calculateLineTax,
+    summarizeTaxes
+};
@@ -0,0 +1,410 @@
+/**
+ * Template Service
+ * Invoice templates and account branding shared by the PDF and HTML preview
+ */
+
+const PDFDocument = require('pdfkit');
+const { supabase } = require('../config/database');
+const { APIError } = require('../middleware/errorHandler');
+const { getEarlyPaymentDiscount, isWithinDiscountWindow } = require('./paymentTermsService');
+
+/**
+ * Layouts an account can choose from
+ * header: 'plain' (title in the accent color) or 'band' (accent band across the top)
+ * tableHeader: 'filled' (accent band) or 'rule' (accent labels over a thin line)
+ * totalStyle: 'box' (total in an accent box) or 'rule' (total under a line)
+ */
+const TEMPLATES = {
+    classic: {
+        label: 'Classic',
+        header: 'plain',
+        tableHeader: 'filled',
+        stripedRows: true,
+        rowDividers: false,
+        totalStyle: 'box',
+        titleSize: 28
+    },
+    modern: {
+        label: 'Modern',
+        header: 'band',
+        tableHeader: 'filled',
+        stripedRows: false,
+        rowDividers: true,
+        totalStyle: 'box',
+        titleSize: 26
+    },
+    minimal: {
+        label: 'Minimal',
+        header: 'plain',
+        tableHeader: 'rule',
+        stripedRows: false,
+        rowDividers: true,
+        totalStyle: 'rule',
+        titleSize: 22
+    }
+};
+
+// Bundled PDF fonts (see fontService) and the matching CSS font stacks
+// The ids are the names accounts saved before the fonts were bundled
+const FONTS = {
+    helvetica: { label: 'Sans-serif', regular: 'DejaVuSansCondensed', bold: 'DejaVuSansCondensed-Bold', css: '"DejaVu Sans Condensed", Helvetica, Arial, sans-serif' },
+    times: { label: 'Serif', regular: 'DejaVuSerifCondensed', bold: 'DejaVuSerifCondensed-Bold', css: '"DejaVu Serif Condensed", "Times New Roman", Times, serif' },
+    courier: { label: 'Monospace', regular: 'DejaVuSansMono', bold: 'DejaVuSansMono-Bold', css: '"DejaVu Sans Mono", "Courier New", Courier, monospace' }
+};
+
+// Parts of the document an account can leave out
+const OPTIONAL_FIELDS = [
+    'business_email',
+    'business_address',
+    'business_phone',
+    'client_company',
+    'client_email',
+    'client_address',
+    'status',
+    'notes',
+    'terms',
+    'page_numbers'
+];
+
+/**
+ * Branding used until an account saves its own
+ */
+const DEFAULT_BRANDING = {
+    template: 'classic',
+    accent_color: '#667eea',
+    font: 'helvetica',
+    footer_text: null,
+    hidden_fields: []
+};
+
+const BRANDING_COLUMNS = 'template, accent_color, font, footer_text, hidden_fields';
+
+const MAX_LOGO_BYTES = 512 * 1024;
+
+// label is a message catalog key; value(item, currency, l10n) is the cell text
+const ITEM_COLUMNS = [
+    { key: 'description', label: 'document.description', value: item => item.description },
+    { key: 'quantity', label: 'document.quantity', value: (item, currency, l10n) => l10n.formatNumber(item.quantity) },
+    { key: 'unit_price', label: 'document.price', value: (item, currency, l10n) => l10n.formatCurrency(item.unit_price, currency) },
+    { key: 'amount', label: 'document.amount', value: (item, currency, l10n) => l10n.formatCurrency(item.amount, currency) }
+];
+
+/**
+ * Get an account's branding, with its logo, falling back to defaults
+ * @returns {Promise<Object>} { template, accent_color, font, footer_text, hidden_fields, logo_url }
+ */
+async function getBranding(userId) {
+    const [{ data: branding }, { data: user }] = await Promise.all([
+        supabase.from('invoice_branding').select(BRANDING_COLUMNS).eq('user_id', userId).single(),
+        supabase.from('users').select('logo_url').eq('id', userId).single()
+    ]);
+
+    return { ...DEFAULT_BRANDING, ...branding, logo_url: user?.logo_url || null };
+}
+
+/**
+ * Check a logo upload: a PNG or JPEG data URL that PDFKit can read
+ * @param {string} logo - data:image/png;base64,... or data:image/jpeg;base64,...
+ * @returns {string} The data URL
+ * @throws {APIError} 400 INVALID_LOGO
+ */
+function validateLogo(logo) {
+    const match = typeof logo === 'string' && logo.match(/^data:image\/(png|jpeg);base64,([A-Za-z0-9+/]+={0,2})$/);
+
+    if (!match) {
+        throw new APIError('The logo must be a PNG or JPEG image sent as a base64 data URL', 400, 'INVALID_LOGO');
+    }
+
+    const image = Buffer.from(match[2], 'base64');
+
+    if (image.length > MAX_LOGO_BYTES) {
+        throw new APIError(`The logo must be at most ${MAX_LOGO_BYTES / 1024} KB`, 400, 'INVALID_LOGO');
+    }
+
+    try {
+        new PDFDocument({ autoFirstPage: false }).openImage(image);
+    } catch (error) {
+        throw new APIError('The logo image could not be read', 400, 'INVALID_LOGO');
+    }
+
+    return logo;
+}
+
+/**
+ * Check a branding update from the API
+ * @param {Object} data - { template, accent_color, font, footer_text, hidden_fields }
+ * @returns {Object} Only the fields that were given
+ * @throws {APIError} 400 on invalid values
+ */
+function validateBranding({ template, accent_color, font, footer_text, hidden_fields } = {}) {
+    const branding = {};
+
+    if (template !== undefined) {
+        if (!TEMPLATES[template]) {
+            throw new APIError(`template must be one of: ${Object.keys(TEMPLATES).join(', ')}`, 400);
+        }
+        branding.template = template;
+    }
+
+    if (accent_color !== undefined) {
+        if (!/^#[0-9a-fA-F]{6}$/.test(accent_color)) {
+            throw new APIError('accent_color must be a hex color such as #667eea', 400);
+        }
+        branding.accent_color = accent_color.toLowerCase();
+    }
+
+    if (font !== undefined) {
+        if (!FONTS[font]) {
+            throw new APIError(`font must be one of: ${Object.keys(FONTS).join(', ')}`, 400);
+        }
+        branding.font = font;
+    }
+
+    if (footer_text !== undefined) {
+        // null restores the default footer, an empty string removes it
+        if (footer_text !== null && (typeof footer_text !== 'string' || footer_text.length > 200)) {
+            throw new APIError('footer_text must be at most 200 characters', 400);
+        }
+        branding.footer_text = footer_text === null ? null : footer_text.trim();
+    }
+
+    if (hidden_fields !== undefined) {
+        const invalid = Array.isArray(hidden_fields)
+            ? hidden_fields.find(field => !OPTIONAL_FIELDS.includes(field))
+            : hidden_fields;
+
+        if (invalid !== undefined) {
+            throw new APIError(`hidden_fields can include: ${OPTIONAL_FIELDS.join(', ')}`, 400);
+        }
+        branding.hidden_fields = [...new Set(hidden_fields)];
+    }
+
+    return branding;
+}
+
+/**
+ * Save an account's branding and logo
+ * @param {string} userId - Account
+ * @param {Object} data - Branding fields, plus logo (data URL, or null to remove it)
+ * @returns {Promise<Object>} { branding, changes }
+ */
+async function saveBranding(userId, data) {
+    const changes = validateBranding(data);
+    const logo = data.logo === undefined || data.logo === null ? data.logo : validateLogo(data.logo);
+
+    if (Object.keys(changes).length) {
+        const { error } = await supabase
+            .from('invoice_branding')
+            .upsert({ user_id: userId, ...changes }, { onConflict: 'user_id' });
+
+        if (error) {
+            throw new APIError('Failed to update branding', 500);
+        }
+    }
+
+    if (logo !== undefined) {
+        const { error } = await supabase
+            .from('users')
+            .update({ logo_url: logo })
+            .eq('id', userId);
+
+        if (error) {
+            throw new APIError('Failed to update logo', 500);
+        }
+    }
+
+    // The logo itself is too large for the audit log
+    const auditChanges = logo === undefined ? changes : { ...changes, logo: logo ? 'updated' : 'removed' };
+
+    return { branding: await getBranding(userId), changes: auditChanges };
+}
+
+/**
+ * Everything a renderer needs from an account's branding
+ * @param {Object} branding - Output of getBranding (or unsaved settings merged into it)
+ * @returns {Object} { name, layout, colors, fonts, logo, footerText (null for the default footer), show(field) }
+ */
+function resolveTheme(branding = DEFAULT_BRANDING) {
+    const settings = { ...DEFAULT_BRANDING, ...branding };
+    const hidden = new Set(settings.hidden_fields || []);
+
+    return {
+        name: settings.template,
+        layout: TEMPLATES[settings.template] || TEMPLATES.classic,
+        colors: {
+            accent: settings.accent_color,
+            onAccent: '#ffffff',
+            text: '#333333',
+            muted: '#666666',
+            stripe: '#f5f5f5',
+            rule: '#e5e7eb',
+            positive: '#10b981',
+            negative: '#ef4444',
+            void: '#dc2626'
+        },
+        fonts: FONTS[settings.font] || FONTS.helvetica,
+        logo: settings.logo_url || null,
+        footerText: settings.footer_text ?? null,
+        show: field => !hidden.has(field)
+    };
+}
+
+/**
+ * Status colors
+ */
+const STATUS_COLORS = {
+    draft: '#9ca3af',
+    pending: '#f59e0b',
+    partially_paid: '#8b5cf6',
+    paid: '#10b981',
+    overdue: '#ef4444',
+    cancelled: '#6b7280',
+    void: '#dc2626',
+    sent: '#3b82f6',
+    accepted: '#10b981',
+    declined: '#ef4444',
+    expired: '#6b7280',
+    issued: '#667eea'
+};
+
+/**
+ * Business details shown in the header, in order
+ */
+function getBusinessLines(user, theme) {
+    return [
+        theme.show('business_email') && user.email,
+        theme.show('business_address') && user.address,
+        theme.show('business_phone') && user.phone
+    ].filter(Boolean);
+}
+
+/**
+ * Client details shown under "Bill to", after the name
+ */
+function getClientLines(client, theme) {
+    return [
+        theme.show('client_company') && client.company,
+        theme.show('client_email') && client.email,
+        theme.show('client_address') && client.address
+    ].filter(Boolean);
+}
+
+/**
+ * Label of a late fee line in the document's language
+ * Fees stored before their type was recorded keep their stored description
+ */
+function getLateFeeLabel(fee, { t, formatNumber }) {
+    return fee.fee_type
+        ? t(`document.late_fee.${fee.fee_type}`, { rate: formatNumber(fee.rate), period: fee.period })
+        : fee.description;
+}
+
+/**
+ * Lines of the totals block, each with the gap above it (in PDF points)
+ * @param {Object} invoice - Invoice with totals, payments, late fees and discount terms
+ * @param {Object} l10n - Output of getLocalizer
+ * @returns {Array<Object>} { gap, type: 'line' | 'total' | 'balance' | 'note', label, value, tone, text }
+ */
+function getTotalsLines(invoice, l10n) {
+    const { currency } = invoice;
+    const { t, formatNumber } = l10n;
+    const formatCurrency = amount => l10n.formatCurrency(amount, currency);
+    const lines = [{
+        gap: 0,
+        type: 'line',
+        label: t(invoice.prices_include_tax ? 'document.subtotal_excl_tax' : 'document.subtotal'),
+        value: formatCurrency(invoice.subtotal)
+    }];
+    const line = (label, value, tone) => lines.push({ gap: 18, type: 'line', label, value, tone });
+
+    // One line per named tax, otherwise the single invoice-wide rate
+    const taxBreakdown = invoice.tax_breakdown || [];
+
+    if (taxBreakdown.length) {
+        taxBreakdown.forEach(tax => line(
+            t('document.named_tax', { name: tax.name, rate: formatNumber(tax.rate) }),
+            formatCurrency(tax.amount)
+        ));
+    } else if (invoice.tax_rate > 0) {
+        line(t('document.tax', { rate: formatNumber(invoice.tax_rate) }), formatCurrency(invoice.tax_amount));
+    }
+
+    if (invoice.discount_amount > 0) {
+        line(t('document.discount'), `-${formatCurrency(invoice.discount_amount)}`, 'positive');
+    }
+
+    // Late fees and interest added since the invoice became overdue
+    const lateFees = invoice.late_fees?.length
+        ? invoice.late_fees
+        : (invoice.late_fee_amount > 0 ? [{ description: t('document.late_fees'), amount: invoice.late_fee_amount }] : []);
+
+    lateFees.forEach(fee => line(`${getLateFeeLabel(fee, l10n)}:`, formatCurrency(fee.amount), 'negative'));
+
+    lines.push({ gap: 25, type: 'total', label: t('document.total'), value: formatCurrency(invoice.total) });
+
+    // Payments and credit notes received so far
+    const paidAmount = parseFloat(invoice.paid_amount) || 0;
+    const creditedAmount = parseFloat(invoice.credited_amount) || 0;
+    const earlyDiscountAmount = parseFloat(invoice.early_discount_amount) || 0;
+
+    if (paidAmount > 0 || creditedAmount > 0) {
+        const firstLine = lines.length;
+
+        if (paidAmount > 0) {
+            line(t('document.amount_paid'), `-${formatCurrency(paidAmount)}`, 'positive');
+        }
+
+        if (creditedAmount > 0) {
+            line(t('document.credits'), `-${formatCurrency(creditedAmount)}`, 'positive');
+        }
+
+        if (earlyDiscountAmount > 0) {
+            line(t('document.early_payment_discount'), `-${formatCurrency(earlyDiscountAmount)}`, 'positive');
+        }
+
+        lines[firstLine].gap += 22;
+        lines.push({
+            gap: 18,
+            type: 'balance',
+            label: t('document.balance_due'),
+            value: formatCurrency(invoice.total - paidAmount - creditedAmount - earlyDiscountAmount)
+        });
+    }
+
+    // Early-payment discount still open to the client
+    if (isWithinDiscountWindow(invoice) && !(earlyDiscountAmount > 0) && ['pending', 'partially_paid'].includes(invoice.status)) {
+        const discount = getEarlyPaymentDiscount(invoice);
+
+        lines.push({
+            gap: 30,
+            type: 'note',
+            tone: 'positive',
+            text: t('document.early_discount_offer', {
+                amount: formatCurrency(discount.discounted_total - paidAmount - creditedAmount),
+                date: l10n.formatDate(discount.deadline),
+                rate: formatNumber(discount.rate),
+                savings: formatCurrency(discount.amount)
+            })
+        });
+    }
+
+    return lines;
+}
+
+module.exports = {
+    TEMPLATES,
+    FONTS,
+    OPTIONAL_FIELDS,
+    DEFAULT_BRANDING,
+    STATUS_COLORS,
+    ITEM_COLUMNS,
+    getBranding,
+    validateLogo,
+    validateBranding,
+    saveBranding,
+    resolveTheme,
+    getBusinessLines,
+    getClientLines,
+    getLateFeeLabel,
+    getTotalsLines
+};